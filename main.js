@@ -6,6 +6,7 @@ const { app, BrowserWindow, ipcMain, globalShortcut, clipboard } = require('elec
 const path = require('path');
 const fs = require('fs').promises;
 const chokidar = require('chokidar');
+const { FileSystemAdapter, FsyncMode } = require('./ses/fs-adapter.js');
 
 // Set proper app name and data path
 app.setName('SES Context OS');
@@ -14,6 +15,7 @@ const userDataPath = app.getPath('userData');
 let mainWindow = null;
 let fileWatcher = null;
 let clipboardInterval = null;
+let contentAdapter = null;
 
 // ============================================
 // Window Management
@@ -202,6 +204,92 @@ function setupIPC() {
     }
   });
 
+  // Content store persistence (one file per object under userData)
+  contentAdapter = new FileSystemAdapter(path.join(userDataPath, 'content-store'), {
+    fsync: FsyncMode.DATA
+  });
+
+  ipcMain.handle('contentStore:store', async (event, cid, data) => {
+    try {
+      await contentAdapter.store(cid, data);
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('contentStore:fetch', async (event, cid) => {
+    try {
+      const data = await contentAdapter.fetch(cid);
+      return { success: true, data };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('contentStore:has', async (event, cid) => {
+    try {
+      const exists = await contentAdapter.has(cid);
+      return { success: true, exists };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('contentStore:keys', async () => {
+    try {
+      const keys = await contentAdapter.keys();
+      return { success: true, keys };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('contentStore:delete', async (event, cid) => {
+    try {
+      const deleted = await contentAdapter.delete(cid);
+      return { success: true, deleted };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('contentStore:quarantine', async (event, cid) => {
+    try {
+      const moved = await contentAdapter.quarantine(cid);
+      return { success: true, moved };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('contentStore:pin', async (event, cid) => {
+    try {
+      await contentAdapter.pin(cid);
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('contentStore:unpin', async (event, cid) => {
+    try {
+      await contentAdapter.unpin(cid);
+      return { success: true };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('contentStore:listPins', async () => {
+    try {
+      const pins = await contentAdapter.listPins();
+      return { success: true, pins };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
   // System info
   ipcMain.handle('system:getInfo', async () => {
     return {
@@ -18,6 +18,19 @@ contextBridge.exposeInMainWorld('electronAPI', {
     readDir: (dirpath) => ipcRenderer.invoke('fs:readDir', dirpath)
   },
 
+  // Content Store (objects persisted by the main process)
+  contentStore: {
+    store: (cid, data) => ipcRenderer.invoke('contentStore:store', cid, data),
+    fetch: (cid) => ipcRenderer.invoke('contentStore:fetch', cid),
+    has: (cid) => ipcRenderer.invoke('contentStore:has', cid),
+    keys: () => ipcRenderer.invoke('contentStore:keys'),
+    delete: (cid) => ipcRenderer.invoke('contentStore:delete', cid),
+    quarantine: (cid) => ipcRenderer.invoke('contentStore:quarantine', cid),
+    pin: (cid) => ipcRenderer.invoke('contentStore:pin', cid),
+    unpin: (cid) => ipcRenderer.invoke('contentStore:unpin', cid),
+    listPins: () => ipcRenderer.invoke('contentStore:listPins')
+  },
+
   // System Info
   system: {
     getInfo: () => ipcRenderer.invoke('system:getInfo')
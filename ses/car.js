@@ -0,0 +1,342 @@
+/**
+ * CAR.JS - Pulse Bundles as CAR Archives
+ * Sovereign Execution Substrate - Layer 3
+ *
+ * A bundle is a root CID (pulse, claim, chain head, ...) plus every
+ * object it transitively references: input, function source, output,
+ * trace and its segments, parent pulses, evidence, chunked payloads.
+ * It is written as a CARv1 archive:
+ *
+ *   varint | DAG-CBOR header { roots: [CID links], version: 1 }
+ *   varint | binary CIDv1 | block bytes      (one section per object)
+ *
+ * Blocks are the stored canonical bytes, so legacy CIDs map to CIDv1
+ * with the same digest and the archive imports into IPFS tooling.
+ * The importer rehashes every block before storing anything.
+ *
+ * @version 1.0.0
+ * @license Apache-2.0 / MIT
+ */
+
+(function(root) {
+  'use strict';
+
+  const CAR_VERSION = '1.0.0';
+  const CAR_FORMAT = 1;
+
+  const textEncoder = new TextEncoder();
+  const textDecoder = new TextDecoder('utf-8', { fatal: true, ignoreBOM: true });
+
+  function getCIDModule() {
+    const cids = root.CIDModule ||
+      (typeof require === 'function' ? require('./cid.js') : null);
+    if (!cids) {
+      throw new Error('CIDModule not available - load cid.js');
+    }
+    return cids;
+  }
+
+  function getDagCBOR() {
+    const codec = root.DagCBOR ||
+      (typeof require === 'function' ? require('./dag-cbor.js') : null);
+    if (!codec) {
+      throw new Error('DagCBOR not available - load dag-cbor.js');
+    }
+    return codec;
+  }
+
+  function getContentStoreModule() {
+    const storeModule = root.ContentStoreModule ||
+      (typeof require === 'function' ? require('./content-store.js') : null);
+    if (!storeModule) {
+      throw new Error('ContentStoreModule not available - load content-store.js');
+    }
+    return storeModule;
+  }
+
+  function getStoreGC() {
+    const gc = root.StoreGC ||
+      (typeof require === 'function' ? require('./store-gc.js') : null);
+    if (!gc) {
+      throw new Error('StoreGC not available - load store-gc.js');
+    }
+    return gc;
+  }
+
+  // ============================================
+  // VARINTS (unsigned LEB128)
+  // ============================================
+
+  function encodeVarint(value) {
+    const bytes = [];
+    while (value >= 0x80) {
+      bytes.push((value % 0x80) | 0x80);
+      value = Math.floor(value / 0x80);
+    }
+    bytes.push(value);
+    return bytes;
+  }
+
+  function readVarint(bytes, offset) {
+    let value = 0;
+    let scale = 1;
+    for (let i = offset; i < bytes.length && i < offset + 8; i++) {
+      value += (bytes[i] & 0x7f) * scale;
+      if ((bytes[i] & 0x80) === 0) {
+        return [value, i + 1];
+      }
+      scale *= 0x80;
+    }
+    throw new Error('Truncated or oversized varint at byte ' + offset);
+  }
+
+  // ============================================
+  // ARCHIVE FORMAT
+  // ============================================
+
+  /**
+   * Write a CARv1 archive
+   * @param {string[]} roots - Root CIDv1s
+   * @param {Array<{cid: string, bytes: Uint8Array}>} blocks - Blocks, keyed by CIDv1
+   * @returns {Uint8Array}
+   */
+  function writeCAR(roots, blocks) {
+    const cids = getCIDModule();
+    const DagCBOR = getDagCBOR();
+    const header = DagCBOR.encode({ roots: roots.map(cid => new DagCBOR.CIDLink(cid)), version: CAR_FORMAT });
+
+    const parts = [Uint8Array.from(encodeVarint(header.length)), header];
+    for (const block of blocks) {
+      const cidBytes = cids.base32Decode(block.cid.slice(1));
+      parts.push(Uint8Array.from(encodeVarint(cidBytes.length + block.bytes.length)), cidBytes, block.bytes);
+    }
+
+    let size = 0;
+    for (const part of parts) {
+      size += part.length;
+    }
+    const archive = new Uint8Array(size);
+    let offset = 0;
+    for (const part of parts) {
+      archive.set(part, offset);
+      offset += part.length;
+    }
+    return archive;
+  }
+
+  /**
+   * Read a CARv1 archive (hashes are not checked, see importBundle)
+   * @param {Uint8Array} archive
+   * @returns {Object} { roots: string[], blocks: [{ cid, bytes }] }
+   * @throws {Error} If the archive is malformed
+   */
+  function readCAR(archive) {
+    if (!(archive instanceof Uint8Array)) {
+      throw new Error('readCAR expects a Uint8Array');
+    }
+    const cids = getCIDModule();
+    const DagCBOR = getDagCBOR();
+
+    const [headerLength, headerStart] = readVarint(archive, 0);
+    const headerEnd = headerStart + headerLength;
+    if (headerLength === 0 || headerEnd > archive.length) {
+      throw new Error('Truncated CAR header');
+    }
+    const header = DagCBOR.decode(archive.subarray(headerStart, headerEnd));
+    if (!header || header.version !== CAR_FORMAT || !Array.isArray(header.roots) ||
+        !header.roots.every(link => link instanceof DagCBOR.CIDLink)) {
+      throw new Error('Not a CARv1 archive');
+    }
+
+    const blocks = [];
+    let offset = headerEnd;
+    while (offset < archive.length) {
+      const [sectionLength, sectionStart] = readVarint(archive, offset);
+      const sectionEnd = sectionStart + sectionLength;
+      if (sectionEnd > archive.length) {
+        throw new Error('Truncated CAR section at byte ' + offset);
+      }
+      const section = archive.subarray(sectionStart, sectionEnd);
+      const cidLength = binaryCIDLength(section);
+      blocks.push({
+        cid: 'b' + cids.base32Encode(section.subarray(0, cidLength)),
+        bytes: section.slice(cidLength)
+      });
+      offset = sectionEnd;
+    }
+
+    return { roots: header.roots.map(link => link.cid), blocks: blocks };
+  }
+
+  // version, codec, multihash code and digest length are varints, then the digest
+  function binaryCIDLength(section) {
+    let offset = 0;
+    let length = 0;
+    for (let i = 0; i < 4; i++) {
+      [length, offset] = readVarint(section, offset);
+    }
+    if (offset + length > section.length) {
+      throw new Error('Truncated CID in CAR section');
+    }
+    return offset + length;
+  }
+
+  // ============================================
+  // BUNDLES
+  // ============================================
+
+  /**
+   * CIDv1 for stored content (codec inferred like ContentStore.toCIDv1)
+   * @private
+   */
+  function blockCID(cid, data) {
+    const cids = getCIDModule();
+    const parsed = cids.parse(cid);
+    if (parsed.format === 'v1') {
+      return cid;
+    }
+    if (cids.equivalents(cid).length === 0) {
+      throw new Error('Only sha256 CIDs can be bundled: ' + cid);
+    }
+    if (data instanceof Uint8Array) {
+      return cids.toV1(cid, cids.Codec.DAG_CBOR);
+    }
+    let json = true;
+    try {
+      JSON.parse(data);
+    } catch (e) {
+      json = false;
+    }
+    return cids.toV1(cid, json ? cids.Codec.DAG_JSON : cids.Codec.RAW);
+  }
+
+  function decodeBlock(data) {
+    if (data instanceof Uint8Array) {
+      return getDagCBOR().decode(data);
+    }
+    try {
+      return JSON.parse(data);
+    } catch (e) {
+      return null; // Raw strings hold no references
+    }
+  }
+
+  /**
+   * Export a root and everything it transitively references
+   * References are found like garbage collection marks (store-gc.js);
+   * referenced CIDs the store doesn't hold are left out.
+   * @param {ContentStore} store - Source store
+   * @param {string|string[]} roots - Root CID(s)
+   * @returns {Promise<Uint8Array>} CARv1 archive
+   * @throws {Error} If a root is not in the store
+   */
+  async function exportBundle(store, roots) {
+    const cids = getCIDModule();
+    const { findReferences } = getStoreGC();
+    const rootList = Array.isArray(roots) ? roots : [roots];
+    const asRef = ref => (cids.isCID(ref) ? ref : null);
+
+    const blocks = [];
+    const rootCids = [];
+    const seen = new Set();  // Legacy form, so equivalent CIDs are bundled once
+    const pending = rootList.map(cid => ({ cid: cid, root: true }));
+    for (let i = 0; i < pending.length; i++) {
+      const { cid, root: isRoot } = pending[i];
+      const identity = cids.toLegacy(cid);
+      if (seen.has(identity) && !isRoot) {
+        continue;
+      }
+      const data = await store.fetchRaw(cid);
+      if (data === null) {
+        if (isRoot) {
+          throw new Error('Bundle root not found: ' + cid);
+        }
+        continue;
+      }
+
+      const v1 = blockCID(cid, data);
+      if (isRoot && !rootCids.includes(v1)) {
+        rootCids.push(v1);
+      }
+      if (seen.has(identity)) {
+        continue;
+      }
+      seen.add(identity);
+
+      blocks.push({ cid: v1, bytes: typeof data === 'string' ? textEncoder.encode(data) : data });
+      for (const ref of findReferences(decodeBlock(data), asRef)) {
+        pending.push({ cid: ref, root: false });
+      }
+    }
+
+    return writeCAR(rootCids, blocks);
+  }
+
+  /**
+   * Import a bundle, rehashing every block first
+   * Nothing is stored unless every block matches its CID, every root is
+   * present and every pulse or trace passes ContentStore.import checks.
+   * @param {ContentStore} store - Target store
+   * @param {Uint8Array} archive - CARv1 archive
+   * @param {Object} options - Import options
+   * @param {boolean} options.pin - Pin the roots as garbage collection roots (default false)
+   * @returns {Promise<Object>} { roots: string[], blocks: number }
+   * @throws {IntegrityError} If a block does not hash to its CID
+   */
+  async function importBundle(store, archive, options = {}) {
+    const cids = getCIDModule();
+    const { sha256, IntegrityError } = getContentStoreModule();
+    const { roots, blocks } = readCAR(archive);
+
+    const entries = {};
+    for (const block of blocks) {
+      const parsed = cids.parse(block.cid);
+      const actual = await sha256(block.bytes);
+      if (actual !== cids.toLegacy(block.cid)) {
+        throw new IntegrityError(block.cid, cids.toV1(actual, parsed.codec));
+      }
+
+      if (parsed.codec === cids.Codec.DAG_CBOR) {
+        entries[block.cid] = block.bytes;
+      } else if (parsed.codec === cids.Codec.DAG_JSON || parsed.codec === cids.Codec.RAW) {
+        let text;
+        try {
+          text = textDecoder.decode(block.bytes);
+        } catch (e) {
+          throw new Error('Block is not UTF-8 text: ' + block.cid);
+        }
+        entries[block.cid] = text;
+      } else {
+        throw new Error('Unsupported block codec: ' + block.cid);
+      }
+    }
+
+    for (const cid of roots) {
+      if (!(cid in entries)) {
+        throw new Error('Bundle root missing from archive: ' + cid);
+      }
+    }
+
+    await store.import(entries, { pins: options.pin ? roots : [] });
+    return { roots: roots, blocks: blocks.length };
+  }
+
+  // ============================================
+  // EXPORT
+  // ============================================
+  const CARModule = Object.freeze({
+    VERSION: CAR_VERSION,
+    writeCAR: writeCAR,
+    readCAR: readCAR,
+    exportBundle: exportBundle,
+    importBundle: importBundle
+  });
+
+  // Universal module export
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CARModule;
+  } else if (typeof root !== 'undefined') {
+    root.CARModule = CARModule;
+  }
+
+})(typeof globalThis !== 'undefined' ? globalThis : (typeof window !== 'undefined' ? window : global));
@@ -0,0 +1,294 @@
+/**
+ * CID.JS - CIDv1 / Multihash Content Identifiers
+ * Sovereign Execution Substrate - Layer 3
+ *
+ * Two CID formats address the same SHA-256 digest:
+ *   legacy - cid:sha256:<hex>
+ *   v1     - CIDv1, multibase base32 ('b'), multihash sha2-256,
+ *            codec raw (strings), dag-json (JSON values) or
+ *            dag-cbor (binary-encoded values)
+ *
+ * Content-store canonical JSON (compact, sorted keys) is valid DAG-JSON,
+ * so v1 CIDs resolve on ordinary IPFS nodes. Keys are sorted by UTF-16
+ * code units, which matches DAG-JSON's UTF-8 byte order except for keys
+ * mixing astral and U+E000-U+FFFF characters.
+ *
+ * djb2 CIDs are not multihashes and have no v1 form.
+ *
+ * @version 1.0.0
+ * @license Apache-2.0 / MIT
+ */
+
+(function(root) {
+  'use strict';
+
+  const CID_VERSION = '1.0.0';
+
+  // Multicodec table codes
+  const Codec = Object.freeze({
+    RAW: 0x55,
+    DAG_CBOR: 0x71,
+    DAG_JSON: 0x0129
+  });
+
+  const CODEC_NAMES = Object.freeze({
+    [Codec.RAW]: 'raw',
+    [Codec.DAG_CBOR]: 'dag-cbor',
+    [Codec.DAG_JSON]: 'dag-json'
+  });
+
+  const SHA2_256 = 0x12;
+  const SHA2_256_LENGTH = 32;
+
+  const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+  const LEGACY_PATTERN = /^cid:([a-z0-9]+):([a-f0-9]+)$/;
+
+  // ============================================
+  // ENCODINGS
+  // ============================================
+
+  /**
+   * RFC 4648 base32, lowercase, no padding
+   * @param {Uint8Array} bytes
+   * @returns {string}
+   */
+  function base32Encode(bytes) {
+    let output = '';
+    let buffer = 0;
+    let bits = 0;
+    for (const byte of bytes) {
+      buffer = (buffer << 8) | byte;
+      bits += 8;
+      while (bits >= 5) {
+        bits -= 5;
+        output += BASE32_ALPHABET[(buffer >>> bits) & 31];
+      }
+      buffer &= (1 << bits) - 1;
+    }
+    if (bits > 0) {
+      output += BASE32_ALPHABET[(buffer << (5 - bits)) & 31];
+    }
+    return output;
+  }
+
+  /**
+   * @param {string} text - Lowercase base32 without padding
+   * @returns {Uint8Array}
+   */
+  function base32Decode(text) {
+    const bytes = [];
+    let buffer = 0;
+    let bits = 0;
+    for (const char of text) {
+      const value = BASE32_ALPHABET.indexOf(char);
+      if (value === -1) {
+        throw new Error('Invalid base32 character: ' + char);
+      }
+      buffer = (buffer << 5) | value;
+      bits += 5;
+      if (bits >= 8) {
+        bits -= 8;
+        bytes.push((buffer >>> bits) & 0xff);
+      }
+      buffer &= (1 << bits) - 1;
+    }
+    if (buffer !== 0) {
+      throw new Error('Invalid base32 padding bits');
+    }
+    return new Uint8Array(bytes);
+  }
+
+  function encodeVarint(value) {
+    const bytes = [];
+    while (value >= 0x80) {
+      bytes.push((value & 0x7f) | 0x80);
+      value = Math.floor(value / 128);
+    }
+    bytes.push(value);
+    return bytes;
+  }
+
+  /**
+   * @returns {Array} [value, next offset]
+   */
+  function decodeVarint(bytes, offset) {
+    let value = 0;
+    let factor = 1;
+    for (let i = offset; i < bytes.length && i < offset + 9; i++) {
+      value += (bytes[i] & 0x7f) * factor;
+      if ((bytes[i] & 0x80) === 0) {
+        return [value, i + 1];
+      }
+      factor *= 128;
+    }
+    throw new Error('Truncated varint in CID');
+  }
+
+  function toHex(bytes) {
+    return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  function fromHex(hex) {
+    const bytes = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < bytes.length; i++) {
+      bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+    }
+    return bytes;
+  }
+
+  // ============================================
+  // CIDS
+  // ============================================
+
+  /**
+   * Build a CIDv1 from a SHA-256 digest
+   * @param {Uint8Array} digest - 32-byte SHA-256 digest
+   * @param {number} codec - Codec.RAW, Codec.DAG_CBOR or Codec.DAG_JSON
+   * @returns {string} base32 CIDv1
+   */
+  function fromDigest(digest, codec = Codec.DAG_JSON) {
+    if (digest.length !== SHA2_256_LENGTH) {
+      throw new Error('CIDv1 requires a 32-byte SHA-256 digest');
+    }
+    const bytes = [
+      ...encodeVarint(1),
+      ...encodeVarint(codec),
+      ...encodeVarint(SHA2_256),
+      ...encodeVarint(SHA2_256_LENGTH),
+      ...digest
+    ];
+    return 'b' + base32Encode(bytes);
+  }
+
+  /**
+   * Parse a CID in either format
+   * @param {string} cid - Legacy or CIDv1 string
+   * @returns {Object} { format, algorithm, digest (hex), codec, codecName }
+   * @throws {Error} If the CID is not recognized
+   */
+  function parse(cid) {
+    if (typeof cid !== 'string') {
+      throw new Error('CID must be a string');
+    }
+
+    const legacy = LEGACY_PATTERN.exec(cid);
+    if (legacy) {
+      return { format: 'legacy', algorithm: legacy[1], digest: legacy[2], codec: null, codecName: null };
+    }
+
+    if (cid[0] !== 'b') {
+      throw new Error('Unrecognized CID (expected cid:<alg>:<hex> or base32 CIDv1): ' + cid);
+    }
+    const bytes = base32Decode(cid.slice(1));
+    let offset = 0;
+    let version, codec, hashCode, length;
+    [version, offset] = decodeVarint(bytes, offset);
+    [codec, offset] = decodeVarint(bytes, offset);
+    [hashCode, offset] = decodeVarint(bytes, offset);
+    [length, offset] = decodeVarint(bytes, offset);
+    if (version !== 1) {
+      throw new Error('Unsupported CID version: ' + version);
+    }
+    if (hashCode !== SHA2_256 || length !== SHA2_256_LENGTH) {
+      throw new Error('Unsupported multihash (only sha2-256): 0x' + hashCode.toString(16));
+    }
+    if (bytes.length - offset !== length) {
+      throw new Error('CID digest length mismatch');
+    }
+    return {
+      format: 'v1',
+      algorithm: 'sha256',
+      digest: toHex(bytes.subarray(offset)),
+      codec: codec,
+      codecName: CODEC_NAMES[codec] || null
+    };
+  }
+
+  /**
+   * Check if a string is a CID in either format
+   * @param {string} cid
+   * @returns {boolean}
+   */
+  function isCID(cid) {
+    try {
+      parse(cid);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Convert a CID to CIDv1 (v1 CIDs are returned unchanged)
+   * @param {string} cid - Legacy sha256 CID or CIDv1
+   * @param {number} codec - Codec for legacy CIDs, which do not record one (default dag-json)
+   * @returns {string}
+   */
+  function toV1(cid, codec = Codec.DAG_JSON) {
+    const parsed = parse(cid);
+    if (parsed.format === 'v1') {
+      return cid;
+    }
+    if (parsed.algorithm !== 'sha256' || parsed.digest.length !== SHA2_256_LENGTH * 2) {
+      throw new Error('Only sha256 CIDs have a CIDv1 form: ' + cid);
+    }
+    return fromDigest(fromHex(parsed.digest), codec);
+  }
+
+  /**
+   * Convert a CID to the legacy cid:sha256:<hex> form
+   * @param {string} cid - Legacy CID or sha2-256 CIDv1
+   * @returns {string}
+   */
+  function toLegacy(cid) {
+    const parsed = parse(cid);
+    return parsed.format === 'legacy' ? cid : 'cid:sha256:' + parsed.digest;
+  }
+
+  /**
+   * Every form that addresses the same content as a CID
+   * (legacy CIDs map to every v1 codec)
+   * @param {string} cid
+   * @returns {string[]} Equivalent CIDs, excluding the input
+   */
+  function equivalents(cid) {
+    let parsed;
+    try {
+      parsed = parse(cid);
+    } catch (e) {
+      return [];
+    }
+    if (parsed.format === 'v1') {
+      return [toLegacy(cid)];
+    }
+    if (parsed.algorithm !== 'sha256' || parsed.digest.length !== SHA2_256_LENGTH * 2) {
+      return [];
+    }
+    return [toV1(cid, Codec.DAG_JSON), toV1(cid, Codec.RAW), toV1(cid, Codec.DAG_CBOR)];
+  }
+
+  // ============================================
+  // EXPORT
+  // ============================================
+  const CIDModule = Object.freeze({
+    VERSION: CID_VERSION,
+    Codec: Codec,
+    CODEC_NAMES: CODEC_NAMES,
+    fromDigest: fromDigest,
+    parse: parse,
+    isCID: isCID,
+    toV1: toV1,
+    toLegacy: toLegacy,
+    equivalents: equivalents,
+    base32Encode: base32Encode,
+    base32Decode: base32Decode
+  });
+
+  // Universal module export
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CIDModule;
+  } else if (typeof root !== 'undefined') {
+    root.CIDModule = CIDModule;
+  }
+
+})(typeof globalThis !== 'undefined' ? globalThis : (typeof window !== 'undefined' ? window : global));
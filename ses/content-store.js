@@ -22,17 +22,12 @@
   
   /**
    * Generate CID using SHA-256 (async, browser-safe)
-   * @param {any} data - Data to hash
+   * @param {any} data - Data to hash (strings and Uint8Array hashed as-is)
    * @returns {Promise<string>} CID string
    */
   async function sha256(data) {
-    const str = typeof data === 'string' ? data : JSON.stringify(data);
-    const encoder = new TextEncoder();
-    const buffer = encoder.encode(str);
-    
-    // Use Web Crypto API (browser + Node 15+)
-    const hashBuffer = await crypto.subtle.digest('SHA-256', buffer);
-    const hashArray = new Uint8Array(hashBuffer);
+    const input = typeof data === 'string' || data instanceof Uint8Array ? data : JSON.stringify(data);
+    const hashArray = await sha256Digest(input);
     const hashHex = Array.from(hashArray)
       .map(b => b.toString(16).padStart(2, '0'))
       .join('');
@@ -40,22 +35,123 @@
     return 'cid:sha256:' + hashHex;
   }
 
+  /**
+   * SHA-256 digest of bytes, or of a string's UTF-8 bytes
+   * undefined (the canonical form of a function returning nothing)
+   * hashes as the empty string.
+   * @param {string|Uint8Array|undefined} input - Input to hash
+   * @returns {Promise<Uint8Array>} 32-byte digest
+   */
+  async function sha256Digest(input) {
+    const buffer = input instanceof Uint8Array ? input : new TextEncoder().encode(input === undefined ? '' : input);
+    
+    // Use Web Crypto API (browser + Node 15+)
+    const hashBuffer = await crypto.subtle.digest('SHA-256', buffer);
+    return new Uint8Array(hashBuffer);
+  }
+
+  function getCIDModule() {
+    const cids = root.CIDModule ||
+      (typeof require === 'function' ? require('./cid.js') : null);
+    if (!cids) {
+      throw new Error('CIDModule not available - load cid.js');
+    }
+    return cids;
+  }
+
+  function getTieredCache() {
+    const cache = root.TieredCache ||
+      (typeof require === 'function' ? require('./tiered-cache.js') : null);
+    if (!cache) {
+      throw new Error('TieredCache not available - load tiered-cache.js');
+    }
+    return cache;
+  }
+
+  function getDagCBOR() {
+    const codec = root.DagCBOR ||
+      (typeof require === 'function' ? require('./dag-cbor.js') : null);
+    if (!codec) {
+      throw new Error('DagCBOR not available - load dag-cbor.js');
+    }
+    return codec;
+  }
+
+  // Exported bytes use the DAG-JSON bytes form: { "/": { "bytes": <base64> } }
+  function bytesToEntry(bytes) {
+    let binary = '';
+    for (const byte of bytes) {
+      binary += String.fromCharCode(byte);
+    }
+    return { '/': { bytes: btoa(binary).replace(/=+$/, '') } };
+  }
+
+  function entryToBytes(entry) {
+    if (!entry || typeof entry !== 'object' || !entry['/'] || typeof entry['/'].bytes !== 'string') {
+      return entry;
+    }
+    const binary = atob(entry['/'].bytes);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  }
+
   /**
    * Generate CID synchronously using djb2 hash
    * Fallback for synchronous contexts
-   * @param {any} data - Data to hash  
+   * @param {any} data - Data to hash (Uint8Array hashed bytewise)
    * @returns {string} CID string
    */
   function djb2(data) {
-    const str = typeof data === 'string' ? data : JSON.stringify(data);
+    const str = typeof data === 'string' || data instanceof Uint8Array ? data : JSON.stringify(data);
     let hash = 5381;
     for (let i = 0; i < str.length; i++) {
-      hash = ((hash << 5) + hash) + str.charCodeAt(i);
+      hash = ((hash << 5) + hash) + (typeof str === 'string' ? str.charCodeAt(i) : str[i]);
       hash = hash >>> 0; // Convert to unsigned 32-bit
     }
     return 'cid:djb2:' + hash.toString(16).padStart(8, '0');
   }
 
+  // ============================================
+  // INTEGRITY
+  // ============================================
+  class IntegrityError extends Error {
+    /**
+     * @param {string} cid - CID the content was read under
+     * @param {string} actualCid - CID the content actually hashes to
+     */
+    constructor(cid, actualCid) {
+      super(`Integrity check failed: ${cid} holds content hashing to ${actualCid}`);
+      this.name = 'IntegrityError';
+      this.cid = cid;
+      this.actualCid = actualCid;
+    }
+  }
+
+  /**
+   * Recompute a CID from stored content, in the CID's own scheme
+   * @param {string} cid - CID the content is stored under
+   * @param {string|Uint8Array} data - Stored (canonical) content
+   * @returns {Promise<string|null>} Recomputed CID, or null if the scheme can't be checked
+   */
+  async function recomputeCID(cid, data) {
+    const cids = getCIDModule();
+    if (!cids.isCID(cid)) {
+      return null;
+    }
+    const parsed = cids.parse(cid);
+    if (parsed.algorithm === 'djb2') {
+      return djb2(data);
+    }
+    if (parsed.algorithm !== 'sha256') {
+      return null;
+    }
+    const actual = await sha256(data);
+    return parsed.format === 'v1' ? cids.toV1(actual, parsed.codec) : actual;
+  }
+
   // ============================================
   // CONTENT STORE INTERFACE
   // ============================================
@@ -67,17 +163,70 @@
    * - store(x) always returns the same CID for the same x
    * - fetch(store(x)) === x
    * - fetch(unknownCID) returns null (never throws)
+   * - fetch and has accept legacy and CIDv1 forms of a sha256 CID
+   * - strings are stored as-is; other values as sorted-key JSON, or as
+   *   canonical CBOR bytes with codec 'dag-cbor'
+   * - Uint8Array values are always stored as CBOR byte strings
+   * - with verify, fetch rehashes content and throws IntegrityError on
+   *   a mismatch instead of returning it
+   * - fetch tries memory, then the adapter, then peers; peer content is
+   *   always rehashed
    */
   class ContentStore {
+    /**
+     * @param {Object} options - Store options
+     * @param {boolean} options.useAsync - SHA-256 CIDs (default true; false uses djb2)
+     * @param {string} options.cidFormat - 'legacy' (default) or 'v1'
+     * @param {string} options.codec - 'json' (default) or 'dag-cbor'
+     * @param {Object} options.adapter - Persistence tier ({ store, fetch, ... })
+     * @param {Object} options.peers - Peer tier ({ fetchContent(cid) }, e.g. ContentDistribution)
+     * @param {boolean} options.verify - Rehash content on fetch (default false)
+     * @param {Object} options.cache - Memory tier budget: { policy: 'lru' or 'arc', maxBytes, maxEntries }
+     *   (default unbounded; a bounded cache needs an adapter to evict to)
+     */
     constructor(options = {}) {
-      // In-memory storage (can be swapped for IPFS, IndexedDB, etc.)
-      this._storage = new Map();
+      // Memory tier (see tiered-cache.js)
+      this._storage = getTieredCache().createCache(options.cache);
       
       // Use async SHA-256 by default
       this._useAsync = options.useAsync !== false;
       
+      // CID format for new content: 'legacy' (cid:sha256:<hex>) or 'v1' (IPFS CIDv1)
+      this._cidFormat = options.cidFormat || 'legacy';
+      if (this._cidFormat !== 'legacy' && this._cidFormat !== 'v1') {
+        throw new Error('Unknown CID format: ' + this._cidFormat);
+      }
+      if (this._cidFormat === 'v1' && !this._useAsync) {
+        throw new Error('CIDv1 addressing requires SHA-256 (useAsync)');
+      }
+      
+      // Encoding for non-string values: 'json' or 'dag-cbor' (binary, exact numerics)
+      this._codec = options.codec || 'json';
+      if (this._codec !== 'json' && this._codec !== 'dag-cbor') {
+        throw new Error('Unknown store codec: ' + this._codec);
+      }
+      
       // Optional persistence adapter
       this._adapter = options.adapter || null;
+      if (this._storage.bounded && !(this._adapter && this._adapter.store)) {
+        throw new Error('A bounded cache needs an adapter to hold evicted content');
+      }
+      
+      // Optional peer tier, consulted after the adapter
+      this._peers = options.peers || null;
+      this._tierStats = {
+        adapter: { hits: 0, misses: 0 },
+        peers: { hits: 0, misses: 0, rejected: 0 }
+      };
+      
+      // Rehash on every fetch (imported and adapter content is otherwise trusted)
+      this._verify = options.verify === true;
+      
+      // Corrupted entries removed by scrub (CID -> content)
+      this._quarantine = new Map();
+      
+      // GC roots (see store-gc.js)
+      this._pins = new Set();
     }
 
     /**
@@ -86,13 +235,22 @@
      * @returns {Promise<string>} CID of stored data
      */
     async store(data) {
-      // Normalize data to canonical JSON
+      // Normalize data to canonical JSON or CBOR
       const canonical = this._canonicalize(data);
       
       // Generate CID
-      const cid = this._useAsync 
-        ? await sha256(canonical)
-        : djb2(canonical);
+      let cid;
+      if (this._cidFormat === 'v1') {
+        // Strings are stored as-is (raw); everything else as DAG-JSON or DAG-CBOR
+        const codecs = getCIDModule().Codec;
+        const codec = typeof data === 'string' ? codecs.RAW
+          : (canonical instanceof Uint8Array ? codecs.DAG_CBOR : codecs.DAG_JSON);
+        cid = getCIDModule().fromDigest(await sha256Digest(canonical), codec);
+      } else {
+        cid = this._useAsync 
+          ? await sha256(canonical)
+          : djb2(canonical);
+      }
       
       // Store if not already present
       if (!this._storage.has(cid)) {
@@ -113,11 +271,15 @@
      * @returns {string} CID of stored data
      */
     storeSync(data) {
+      if (this._cidFormat === 'v1') {
+        throw new Error('storeSync cannot produce CIDv1 (SHA-256 is async)');
+      }
       const canonical = this._canonicalize(data);
       const cid = djb2(canonical);
       
+      // Not persisted, so never evicted
       if (!this._storage.has(cid)) {
-        this._storage.set(cid, canonical);
+        this._storage.set(cid, canonical, { pinned: true });
       }
       
       return cid;
@@ -127,20 +289,46 @@
      * Fetch data by CID
      * @param {string} cid - Content identifier
      * @returns {Promise<any|null>} Stored data or null
+     * @throws {IntegrityError} In verify mode, if the content does not match its CID
      */
     async fetch(cid) {
-      // Check memory first
-      if (this._storage.has(cid)) {
-        return this._parse(this._storage.get(cid));
+      const data = await this.fetchRaw(cid);
+      return data === null ? null : this._parse(data);
+    }
+
+    /**
+     * Fetch stored content without parsing it
+     * @param {string} cid - Content identifier
+     * @returns {Promise<string|Uint8Array|null>} Canonical string or CBOR bytes, or null
+     * @throws {IntegrityError} In verify mode, if the content does not match its CID
+     */
+    async fetchRaw(cid) {
+      // Check memory first (get counts the hit or miss; a void output is stored as undefined)
+      const key = this._resolve(cid);
+      const cached = this._storage.get(key !== null ? key : cid);
+      if (key !== null) {
+        if (this._verify) {
+          await this._check(key, cached);
+        }
+        return cached;
       }
       
       // Try adapter if available
       if (this._adapter && this._adapter.fetch) {
         const data = await this._adapter.fetch(cid);
         if (data !== null) {
+          this._tierStats.adapter.hits++;
+          if (this._verify) {
+            await this._check(cid, data);
+          }
           this._storage.set(cid, data);
-          return this._parse(data);
+          return data;
         }
+        this._tierStats.adapter.misses++;
+      }
+      
+      if (this._peers) {
+        return this._fetchFromPeers(cid);
       }
       
       return null;
@@ -148,33 +336,73 @@
 
     /**
      * Synchronous fetch
+     * In verify mode only djb2 CIDs are rehashed (SHA-256 is async).
      * @param {string} cid - Content identifier
      * @returns {any|null} Stored data or null
+     * @throws {IntegrityError} In verify mode, if djb2 content does not match its CID
      */
     fetchSync(cid) {
-      if (this._storage.has(cid)) {
-        return this._parse(this._storage.get(cid));
+      const key = this._resolve(cid);
+      if (key !== null) {
+        const data = this._storage.get(key);
+        if (this._verify && key.startsWith('cid:djb2:') && djb2(data) !== key) {
+          throw new IntegrityError(key, djb2(data));
+        }
+        return this._parse(data);
       }
       return null;
     }
 
     /**
-     * Check if CID exists
+     * Check if CID is in the memory tier
+     * Content evicted to the adapter is not seen; use contains() for that.
      * @param {string} cid - Content identifier
      * @returns {boolean}
      */
     has(cid) {
-      return this._storage.has(cid);
+      return this._resolve(cid) !== null;
     }
 
     /**
-     * Get all stored CIDs
+     * Check if CID is in the memory tier or the adapter (peers are not asked)
+     * @param {string} cid - Content identifier
+     * @returns {Promise<boolean>}
+     */
+    async contains(cid) {
+      if (this.has(cid)) {
+        return true;
+      }
+      if (this._adapter && this._adapter.has) {
+        return this._adapter.has(cid);
+      }
+      if (this._adapter && this._adapter.fetch) {
+        return (await this._adapter.fetch(cid)) !== null;
+      }
+      return false;
+    }
+
+    /**
+     * Get CIDs in the memory tier (allKeys() includes evicted content)
      * @returns {string[]}
      */
     keys() {
       return Array.from(this._storage.keys());
     }
 
+    /**
+     * Get all CIDs, including those only the adapter holds
+     * @returns {Promise<string[]>}
+     */
+    async allKeys() {
+      const keys = new Set(this._storage.keys());
+      if (this._adapter && this._adapter.keys) {
+        for (const cid of await this._adapter.keys()) {
+          keys.add(cid);
+        }
+      }
+      return Array.from(keys);
+    }
+
     /**
      * Get store size
      * @returns {number}
@@ -183,6 +411,19 @@
       return this._storage.size;
     }
 
+    /**
+     * Cache and tier statistics
+     * @returns {Object} { cache: { policy, entries, bytes, hits, misses, evictions, ... },
+     *   adapter: { hits, misses }, peers: { hits, misses, rejected } }
+     */
+    getStats() {
+      return {
+        cache: this._storage.stats(),
+        adapter: { ...this._tierStats.adapter },
+        peers: { ...this._tierStats.peers }
+      };
+    }
+
     /**
      * Clear all stored data
      */
@@ -190,36 +431,300 @@
       this._storage.clear();
     }
 
+    /**
+     * Delete content (memory and adapter) in every CID form
+     * Used by garbage collection; pins are left alone.
+     * @param {string} cid - Content identifier
+     * @returns {Promise<boolean>} Whether anything was deleted
+     */
+    async delete(cid) {
+      let deleted = false;
+      for (const key of [cid, ...getCIDModule().equivalents(cid)]) {
+        deleted = this._storage.delete(key) || deleted;
+      }
+      if (this._adapter && this._adapter.delete) {
+        deleted = (await this._adapter.delete(cid)) || deleted;
+      }
+      return deleted;
+    }
+
+    /**
+     * Pin content as a garbage collection root
+     * @param {string} cid - Content identifier
+     */
+    async pin(cid) {
+      this._pins.add(cid);
+      if (this._adapter && this._adapter.pin) {
+        await this._adapter.pin(cid);
+      }
+    }
+
+    /**
+     * Remove a pin (the content stays until collected)
+     * @param {string} cid - Content identifier
+     */
+    async unpin(cid) {
+      this._pins.delete(cid);
+      if (this._adapter && this._adapter.unpin) {
+        await this._adapter.unpin(cid);
+      }
+    }
+
+    /**
+     * List pinned CIDs, including those persisted by the adapter
+     * @returns {Promise<string[]>}
+     */
+    async listPins() {
+      const pins = new Set(this._pins);
+      if (this._adapter && this._adapter.listPins) {
+        for (const cid of await this._adapter.listPins()) {
+          pins.add(cid);
+        }
+      }
+      return Array.from(pins);
+    }
+
+    /**
+     * Rehash every entry and report mismatches
+     * Memory and adapter copies are checked separately. With quarantine,
+     * corrupted copies are moved out of the store (see listQuarantined);
+     * adapters without quarantine() keep theirs.
+     * @param {Object} options - Scrub options
+     * @param {boolean} options.quarantine - Remove corrupted entries (default false, report only)
+     * @returns {Promise<Object>} { scanned, corrupted: [{ cid, actualCid, source }], unverifiable: string[], quarantined: string[] }
+     */
+    async scrub(options = {}) {
+      const report = { scanned: 0, corrupted: [], unverifiable: [], quarantined: [] };
+      const scan = async (cid, data, source) => {
+        report.scanned++;
+        const actualCid = await recomputeCID(cid, data);
+        if (actualCid === null) {
+          report.unverifiable.push(cid);
+          return;
+        }
+        if (actualCid === cid) {
+          return;
+        }
+        report.corrupted.push({ cid: cid, actualCid: actualCid, source: source });
+        if (options.quarantine) {
+          // Only this key: equivalent CID forms may hold intact copies
+          if (source === 'memory') {
+            this._storage.delete(cid);
+          } else if (this._adapter.quarantine) {
+            await this._adapter.quarantine(cid);
+          } else {
+            return;
+          }
+          this._quarantine.set(cid, data);
+          report.quarantined.push(cid);
+        }
+      };
+
+      for (const cid of this.keys()) {
+        await scan(cid, this._storage.peek(cid), 'memory');
+      }
+      if (this._adapter && this._adapter.keys) {
+        for (const cid of await this._adapter.keys()) {
+          const data = await this._adapter.fetch(cid);
+          if (data !== null && data !== undefined) {
+            await scan(cid, data, 'adapter');
+          }
+        }
+      }
+      return report;
+    }
+
+    /**
+     * List CIDs quarantined by scrub
+     * @returns {string[]}
+     */
+    listQuarantined() {
+      return Array.from(this._quarantine.keys());
+    }
+
+    /**
+     * Get the CIDv1 of stored content
+     * Legacy CIDs record no codec, so it is inferred from the stored bytes.
+     * @param {string} cid - Content identifier
+     * @returns {string} CIDv1 (CIDs without a v1 form, like djb2, are returned unchanged)
+     */
+    toCIDv1(cid) {
+      const cids = getCIDModule();
+      const parsed = cids.parse(cid);
+      if (parsed.format === 'v1' || cids.equivalents(cid).length === 0) {
+        return cid;
+      }
+      const data = this._storage.peek(cid);
+      if (data instanceof Uint8Array) {
+        return cids.toV1(cid, cids.Codec.DAG_CBOR);
+      }
+      return cids.toV1(cid, data !== undefined && !this._isJSON(data) ? cids.Codec.RAW : cids.Codec.DAG_JSON);
+    }
+
     /**
      * Export store contents (for persistence)
-     * @returns {Object} Serializable store contents
+     * CBOR entries are exported as { "/": { "bytes": <base64> } } so the
+     * result stays JSON-serializable. Content evicted to the adapter is
+     * read back through fetchRaw().
+     * @param {Object} options - Export options
+     * @param {string} options.cidFormat - Re-key entries as 'v1' (pinnable by IPFS nodes) or 'legacy'
+     * @returns {Promise<Object>} Serializable store contents
      */
-    export() {
+    async export(options = {}) {
       const entries = {};
-      for (const [cid, data] of this._storage) {
-        entries[cid] = data;
+      for (const cid of await this.allKeys()) {
+        const data = this._storage.has(cid) ? this._storage.peek(cid) : await this.fetchRaw(cid);
+        if (data === null) {
+          continue;
+        }
+        let key = cid;
+        if (options.cidFormat === 'v1') {
+          key = this.toCIDv1(cid);
+        } else if (options.cidFormat === 'legacy') {
+          key = getCIDModule().toLegacy(cid);
+        }
+        entries[key] = data instanceof Uint8Array ? bytesToEntry(data) : data;
       }
       return entries;
     }
 
     /**
      * Import store contents
+     * Pulse and trace records are checked against their schemas first
+     * (older pulse shapes as their migrated form); if any is invalid
+     * nothing is imported. Entries are persisted through the adapter
+     * like store(); without one they stay in memory and are never evicted.
      * @param {Object} entries - Previously exported contents
+     * @param {Object} options - Import options
+     * @param {string[]} options.pins - CIDs to pin once imported
+     * @returns {Promise<void>}
+     * @throws {Error} With invalidRecords [{ cid, kind, errors }] if a record fails its schema
      */
-    import(entries) {
-      for (const [cid, data] of Object.entries(entries)) {
-        this._storage.set(cid, data);
+    async import(entries, options = {}) {
+      const PulseMigration = root.PulseMigration ||
+        (typeof require === 'function' ? require('./pulse-migration.js') : null);
+      const decoded = Object.entries(entries).map(([cid, data]) => [cid, entryToBytes(data)]);
+      const invalidRecords = [];
+      for (const [cid, data] of decoded) {
+        const validation = PulseMigration.validateRecord(this._parse(data));
+        if (validation && !validation.valid) {
+          invalidRecords.push({ cid: cid, kind: validation.kind, errors: validation.errors });
+        }
+      }
+      if (invalidRecords.length > 0) {
+        const first = invalidRecords[0];
+        const error = new Error(
+          `Import rejected: ${invalidRecords.length} invalid record(s), first ${first.kind} ${first.cid}: ${first.errors.join(', ')}`
+        );
+        error.invalidRecords = invalidRecords;
+        throw error;
+      }
+      
+      const persist = !!(this._adapter && this._adapter.store);
+      for (const [cid, data] of decoded) {
+        this._storage.set(cid, data, { pinned: !persist });
+        if (persist) {
+          await this._adapter.store(cid, data);
+        }
+      }
+      for (const cid of options.pins || []) {
+        await this.pin(cid);
       }
     }
 
     /**
-     * Canonicalize data to JSON string
+     * Find the key content is stored under, in either CID format
+     * @private
+     */
+    _resolve(cid) {
+      if (this._storage.has(cid)) {
+        return cid;
+      }
+      if (typeof cid !== 'string') {
+        return null;
+      }
+      for (const equivalent of getCIDModule().equivalents(cid)) {
+        if (this._storage.has(equivalent)) {
+          return equivalent;
+        }
+      }
+      return null;
+    }
+
+    /**
+     * Fetch from peers, keeping only content that hashes to its CID
+     * Legacy CIDs record no codec: valid UTF-8 is taken as text, anything
+     * else as CBOR.
+     * @private
+     */
+    async _fetchFromPeers(cid) {
+      const stats = this._tierStats.peers;
+      const bytes = await getTieredCache().fetchFromPeers(this._peers, cid);
+      if (bytes === null) {
+        stats.misses++;
+        return null;
+      }
+      if (await recomputeCID(cid, bytes) !== cid) {
+        stats.rejected++;
+        return null;
+      }
+      
+      const cids = getCIDModule();
+      const parsed = cids.isCID(cid) ? cids.parse(cid) : null;
+      let data = bytes;
+      if (!parsed || parsed.codec !== cids.Codec.DAG_CBOR) {
+        try {
+          data = new TextDecoder('utf-8', { fatal: true, ignoreBOM: true }).decode(bytes);
+        } catch (e) {
+          if (parsed && parsed.format === 'v1') {
+            stats.rejected++;  // Text codec, but not text
+            return null;
+          }
+        }
+      }
+      
+      stats.hits++;
+      this._storage.set(cid, data);
+      if (this._adapter && this._adapter.store) {
+        await this._adapter.store(cid, data);
+      }
+      return data;
+    }
+
+    /**
+     * Throw if content does not hash to the CID it is stored under
+     * @private
+     */
+    async _check(cid, data) {
+      const actualCid = await recomputeCID(cid, data);
+      if (actualCid !== null && actualCid !== cid) {
+        throw new IntegrityError(cid, actualCid);
+      }
+    }
+
+    /**
+     * @private
+     */
+    _isJSON(data) {
+      try {
+        JSON.parse(data);
+        return true;
+      } catch (e) {
+        return false;
+      }
+    }
+
+    /**
+     * Canonicalize data to a JSON string or CBOR bytes
      * @private
      */
     _canonicalize(data) {
       if (typeof data === 'string') {
         return data;
       }
+      if (data instanceof Uint8Array || this._codec === 'dag-cbor') {
+        return getDagCBOR().encode(data);
+      }
       // Stable JSON serialization (sorted keys)
       return JSON.stringify(data, this._sortedReplacer);
     }
@@ -229,6 +734,9 @@
      * @private
      */
     _parse(data) {
+      if (data instanceof Uint8Array) {
+        return getDagCBOR().decode(data);
+      }
       if (typeof data !== 'string') {
         return data;
       }
@@ -259,6 +767,7 @@
   // ============================================
   const ContentStoreModule = Object.freeze({
     ContentStore: ContentStore,
+    IntegrityError: IntegrityError,
     sha256: sha256,
     djb2: djb2
   });
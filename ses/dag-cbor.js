@@ -0,0 +1,551 @@
+/**
+ * DAG-CBOR.JS - Deterministic Binary Encoding
+ * Sovereign Execution Substrate - Layer 3
+ *
+ * Canonical CBOR (RFC 8949) following the DAG-CBOR rules:
+ *   - definite lengths, shortest integer and length heads
+ *   - map keys are strings, sorted by UTF-8 length then bytewise
+ *   - non-integer numbers always as 64-bit floats
+ *
+ * Beyond plain DAG-CBOR, values JSON cannot hold get exact encodings:
+ *   Uint8Array            byte string
+ *   BigInt                tag 2 / 3 (bignum)
+ *   -0, NaN, +/-Infinity  64-bit float
+ *   other typed arrays    RFC 8746 little-endian typed array tags
+ *   SymbolicNumber        tag SYMBOLIC_NUMBER [type, value, metadata]
+ *
+ * CIDLink wraps a CIDv1 string as a DAG-CBOR link (tag 42). Plain CID
+ * strings stay strings.
+ *
+ * Data using only JSON values, Uint8Array and CIDLink is strict DAG-CBOR and
+ * reads on IPFS nodes; the extensions are for this substrate.
+ *
+ * decode rejects any bytes encode would not have produced, so every
+ * value has exactly one encoding and therefore one CID.
+ *
+ * @version 1.0.0
+ * @license Apache-2.0 / MIT
+ */
+
+(function(root) {
+  'use strict';
+
+  const DAG_CBOR_VERSION = '1.0.0';
+
+  const Major = Object.freeze({
+    UINT: 0,
+    NEGINT: 1,
+    BYTES: 2,
+    TEXT: 3,
+    ARRAY: 4,
+    MAP: 5,
+    TAG: 6,
+    SIMPLE: 7
+  });
+
+  const Tag = Object.freeze({
+    POSITIVE_BIGNUM: 2,
+    NEGATIVE_BIGNUM: 3,
+    CID: 42,
+    // Unregistered; only meaningful inside the substrate
+    SYMBOLIC_NUMBER: 0x5345
+  });
+
+  // RFC 8746 little-endian tags (Uint8Array is a plain byte string)
+  const TYPED_ARRAYS = [
+    { tag: 68, type: typeof Uint8ClampedArray !== 'undefined' ? Uint8ClampedArray : null, get: 'getUint8', set: 'setUint8' },
+    { tag: 69, type: Uint16Array, get: 'getUint16', set: 'setUint16' },
+    { tag: 70, type: Uint32Array, get: 'getUint32', set: 'setUint32' },
+    { tag: 71, type: typeof BigUint64Array !== 'undefined' ? BigUint64Array : null, get: 'getBigUint64', set: 'setBigUint64' },
+    { tag: 72, type: Int8Array, get: 'getInt8', set: 'setInt8' },
+    { tag: 77, type: Int16Array, get: 'getInt16', set: 'setInt16' },
+    { tag: 78, type: Int32Array, get: 'getInt32', set: 'setInt32' },
+    { tag: 79, type: typeof BigInt64Array !== 'undefined' ? BigInt64Array : null, get: 'getBigInt64', set: 'setBigInt64' },
+    { tag: 85, type: Float32Array, get: 'getFloat32', set: 'setFloat32' },
+    { tag: 86, type: Float64Array, get: 'getFloat64', set: 'setFloat64' }
+  ].filter(entry => entry.type !== null);
+
+  const SIMPLE_FALSE = 0xf4;
+  const SIMPLE_TRUE = 0xf5;
+  const SIMPLE_NULL = 0xf6;
+  const FLOAT64 = 0xfb;
+
+  const LONE_SURROGATE = /\p{Surrogate}/u;
+
+  const textEncoder = new TextEncoder();
+  const textDecoder = new TextDecoder('utf-8', { fatal: true });
+
+  let symbolicNumberClass;
+
+  function getSymbolicNumber() {
+    if (symbolicNumberClass === undefined) {
+      const codec = root.SymbolicCodecModule ||
+        (typeof require === 'function' ? require('./ses-symbolic-codec.js') : null);
+      symbolicNumberClass = codec ? codec.SymbolicNumber : null;
+    }
+    return symbolicNumberClass;
+  }
+
+  function getCIDModule() {
+    const cids = root.CIDModule ||
+      (typeof require === 'function' ? require('./cid.js') : null);
+    if (!cids) {
+      throw new Error('CIDModule not available - load cid.js');
+    }
+    return cids;
+  }
+
+  /**
+   * A DAG-CBOR link to another block
+   */
+  class CIDLink {
+    /**
+     * @param {string} cid - CIDv1
+     */
+    constructor(cid) {
+      if (getCIDModule().parse(cid).format !== 'v1') {
+        throw new Error('CIDLink requires a CIDv1: ' + cid);
+      }
+      this.cid = cid;
+      Object.freeze(this);
+    }
+
+    toString() {
+      return this.cid;
+    }
+  }
+
+  function compareBytes(a, b) {
+    if (a.length !== b.length) {
+      return a.length - b.length;
+    }
+    for (let i = 0; i < a.length; i++) {
+      if (a[i] !== b[i]) {
+        return a[i] - b[i];
+      }
+    }
+    return 0;
+  }
+
+  // ============================================
+  // ENCODER
+  // ============================================
+
+  class Encoder {
+    constructor() {
+      this._bytes = [];
+    }
+
+    head(major, value) {
+      const type = major << 5;
+      if (value < 24) {
+        this._bytes.push(type | value);
+      } else if (value < 0x100) {
+        this._bytes.push(type | 24, value);
+      } else if (value < 0x10000) {
+        this._bytes.push(type | 25, value >>> 8, value & 0xff);
+      } else if (value < 0x100000000) {
+        this._bytes.push(type | 26, value >>> 24, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff);
+      } else {
+        const high = Math.floor(value / 0x100000000);
+        const low = value >>> 0;
+        this._bytes.push(type | 27,
+          high >>> 24, (high >>> 16) & 0xff, (high >>> 8) & 0xff, high & 0xff,
+          low >>> 24, (low >>> 16) & 0xff, (low >>> 8) & 0xff, low & 0xff);
+      }
+    }
+
+    raw(bytes) {
+      for (let i = 0; i < bytes.length; i++) {
+        this._bytes.push(bytes[i]);
+      }
+    }
+
+    value(value, path) {
+      if (value === null) {
+        this._bytes.push(SIMPLE_NULL);
+      } else if (value === true || value === false) {
+        this._bytes.push(value ? SIMPLE_TRUE : SIMPLE_FALSE);
+      } else if (typeof value === 'number') {
+        this.number(value);
+      } else if (typeof value === 'bigint') {
+        this.bigint(value);
+      } else if (typeof value === 'string') {
+        this.text(value, path);
+      } else if (value instanceof Uint8Array) {
+        this.head(Major.BYTES, value.length);
+        this.raw(value);
+      } else if (ArrayBuffer.isView(value)) {
+        this.typedArray(value, path);
+      } else if (Array.isArray(value)) {
+        this.head(Major.ARRAY, value.length);
+        value.forEach((item, i) => {
+          // JSON parity: unrepresentable array items become null
+          this.value(isSkipped(item) ? null : item, path + '/' + i);
+        });
+      } else if (typeof value === 'object') {
+        this.object(value, path);
+      } else {
+        throw new Error(`Cannot encode ${typeof value} at ${path || '/'}`);
+      }
+    }
+
+    number(value) {
+      if (Number.isSafeInteger(value) && !Object.is(value, -0)) {
+        if (value >= 0) {
+          this.head(Major.UINT, value);
+        } else {
+          this.head(Major.NEGINT, -1 - value);
+        }
+        return;
+      }
+      const view = new DataView(new ArrayBuffer(8));
+      view.setFloat64(0, value);
+      this._bytes.push(FLOAT64);
+      this.raw(new Uint8Array(view.buffer));
+    }
+
+    bigint(value) {
+      const negative = value < 0n;
+      let magnitude = negative ? -1n - value : value;
+      const bytes = [];
+      while (magnitude > 0n) {
+        bytes.unshift(Number(magnitude & 0xffn));
+        magnitude >>= 8n;
+      }
+      this.head(Major.TAG, negative ? Tag.NEGATIVE_BIGNUM : Tag.POSITIVE_BIGNUM);
+      this.head(Major.BYTES, bytes.length);
+      this.raw(bytes);
+    }
+
+    text(value, path) {
+      if (LONE_SURROGATE.test(value)) {
+        throw new Error(`Cannot encode string with lone surrogates at ${path || '/'}`);
+      }
+      const bytes = textEncoder.encode(value);
+      this.head(Major.TEXT, bytes.length);
+      this.raw(bytes);
+    }
+
+    typedArray(value, path) {
+      const entry = TYPED_ARRAYS.find(candidate => value.constructor === candidate.type);
+      if (!entry) {
+        throw new Error(`Cannot encode ${value.constructor.name} at ${path || '/'}`);
+      }
+      const view = new DataView(new ArrayBuffer(value.byteLength));
+      for (let i = 0; i < value.length; i++) {
+        view[entry.set](i * value.BYTES_PER_ELEMENT, value[i], true);
+      }
+      this.head(Major.TAG, entry.tag);
+      this.head(Major.BYTES, value.byteLength);
+      this.raw(new Uint8Array(view.buffer));
+    }
+
+    object(value, path) {
+      if (value instanceof CIDLink) {
+        // Multibase identity prefix, then the binary CID
+        const cidBytes = getCIDModule().base32Decode(value.cid.slice(1));
+        this.head(Major.TAG, Tag.CID);
+        this.head(Major.BYTES, cidBytes.length + 1);
+        this._bytes.push(0);
+        this.raw(cidBytes);
+        return;
+      }
+      const SymbolicNumber = getSymbolicNumber();
+      if (SymbolicNumber && value instanceof SymbolicNumber) {
+        this.head(Major.TAG, Tag.SYMBOLIC_NUMBER);
+        this.value([value.type, value.value, value.metadata], path);
+        return;
+      }
+      if (typeof value.toJSON === 'function') {
+        this.value(value.toJSON(), path);
+        return;
+      }
+      if (value instanceof Map || value instanceof Set || value instanceof ArrayBuffer) {
+        throw new Error(`Cannot encode ${value.constructor.name} at ${path || '/'}`);
+      }
+
+      const entries = Object.keys(value)
+        .filter(key => !isSkipped(value[key]))
+        .map(key => ({ key: key, bytes: textEncoder.encode(key) }))
+        .sort((a, b) => compareBytes(a.bytes, b.bytes));
+      this.head(Major.MAP, entries.length);
+      for (const entry of entries) {
+        this.text(entry.key, path);
+        this.value(value[entry.key], path + '/' + entry.key);
+      }
+    }
+
+    result() {
+      return new Uint8Array(this._bytes);
+    }
+  }
+
+  // JSON parity: undefined, functions and symbols are dropped from objects
+  function isSkipped(value) {
+    return value === undefined || typeof value === 'function' || typeof value === 'symbol';
+  }
+
+  /**
+   * Encode a value as canonical CBOR
+   * @param {any} value - Value to encode
+   * @returns {Uint8Array} Encoded bytes
+   * @throws {Error} If the value has no encoding (top-level undefined, Map, Set, ...)
+   */
+  function encode(value) {
+    if (isSkipped(value)) {
+      throw new Error(`Cannot encode ${typeof value}`);
+    }
+    const encoder = new Encoder();
+    encoder.value(value, '');
+    return encoder.result();
+  }
+
+  // ============================================
+  // DECODER
+  // ============================================
+
+  class Decoder {
+    constructor(bytes) {
+      this._bytes = bytes;
+      this._offset = 0;
+    }
+
+    fail(message) {
+      throw new Error(`Invalid canonical CBOR at byte ${this._offset}: ${message}`);
+    }
+
+    uint(length) {
+      const bytes = this.take(length);
+      let value = 0;
+      for (const byte of bytes) {
+        value = value * 256 + byte;
+      }
+      return value;
+    }
+
+    take(length) {
+      if (this._offset + length > this._bytes.length) {
+        this.fail('unexpected end of input');
+      }
+      const slice = this._bytes.subarray(this._offset, this._offset + length);
+      this._offset += length;
+      return slice;
+    }
+
+    /**
+     * @returns {Object} { major, info, value }
+     */
+    head() {
+      const initial = this.take(1)[0];
+      const major = initial >> 5;
+      const info = initial & 0x1f;
+      if (major === Major.SIMPLE) {
+        return { major: major, info: info, value: null };
+      }
+      let value;
+      if (info < 24) {
+        value = info;
+      } else if (info === 24) {
+        value = this.uint(1);
+        if (value < 24) this.fail('non-minimal head');
+      } else if (info === 25) {
+        value = this.uint(2);
+        if (value < 0x100) this.fail('non-minimal head');
+      } else if (info === 26) {
+        value = this.uint(4);
+        if (value < 0x10000) this.fail('non-minimal head');
+      } else if (info === 27) {
+        value = this.uint(8);
+        if (value < 0x100000000) this.fail('non-minimal head');
+        if (!Number.isSafeInteger(value)) this.fail('integer outside the safe range (BigInt uses tags 2/3)');
+      } else {
+        this.fail('indefinite lengths are not canonical');
+      }
+      return { major: major, info: info, value: value };
+    }
+
+    value() {
+      const { major, info, value } = this.head();
+      switch (major) {
+        case Major.UINT:
+          return value;
+        case Major.NEGINT:
+          return -1 - value;
+        case Major.BYTES:
+          return this.take(value).slice();
+        case Major.TEXT:
+          return this.text(value);
+        case Major.ARRAY: {
+          const items = [];
+          for (let i = 0; i < value; i++) {
+            items.push(this.value());
+          }
+          return items;
+        }
+        case Major.MAP:
+          return this.map(value);
+        case Major.TAG:
+          return this.tagged(value);
+        default:
+          return this.simple(info);
+      }
+    }
+
+    text(length) {
+      return this.utf8(this.take(length));
+    }
+
+    utf8(bytes) {
+      try {
+        return textDecoder.decode(bytes);
+      } catch (e) {
+        this.fail('invalid UTF-8');
+      }
+    }
+
+    map(length) {
+      const result = {};
+      let previous = null;
+      for (let i = 0; i < length; i++) {
+        const keyHead = this.head();
+        if (keyHead.major !== Major.TEXT) {
+          this.fail('map keys must be strings');
+        }
+        const keyBytes = this.take(keyHead.value);
+        if (previous !== null && compareBytes(previous, keyBytes) >= 0) {
+          this.fail('map keys unsorted or duplicated');
+        }
+        previous = keyBytes;
+        const key = this.utf8(keyBytes);
+        // defineProperty so a "__proto__" key stays data
+        Object.defineProperty(result, key, {
+          value: this.value(),
+          enumerable: true,
+          writable: true,
+          configurable: true
+        });
+      }
+      return result;
+    }
+
+    tagged(tag) {
+      if (tag === Tag.POSITIVE_BIGNUM || tag === Tag.NEGATIVE_BIGNUM) {
+        const bytes = this.tagBytes();
+        if (bytes.length > 0 && bytes[0] === 0) {
+          this.fail('bignum has leading zero bytes');
+        }
+        let magnitude = 0n;
+        for (const byte of bytes) {
+          magnitude = (magnitude << 8n) | BigInt(byte);
+        }
+        return tag === Tag.NEGATIVE_BIGNUM ? -1n - magnitude : magnitude;
+      }
+
+      if (tag === Tag.CID) {
+        const bytes = this.tagBytes();
+        if (bytes.length < 2 || bytes[0] !== 0) {
+          this.fail('CID link must be a 0x00-prefixed binary CID');
+        }
+        const cid = 'b' + getCIDModule().base32Encode(bytes.subarray(1));
+        try {
+          return new CIDLink(cid);
+        } catch (e) {
+          this.fail(e.message);
+        }
+      }
+
+      if (tag === Tag.SYMBOLIC_NUMBER) {
+        const content = this.value();
+        if (!Array.isArray(content) || content.length !== 3 || typeof content[0] !== 'string') {
+          this.fail('symbolic number must be [type, value, metadata]');
+        }
+        const SymbolicNumber = getSymbolicNumber();
+        if (!SymbolicNumber) {
+          throw new Error('SymbolicCodecModule not available - load ses-symbolic-codec.js');
+        }
+        return new SymbolicNumber(content[0], content[1], content[2]);
+      }
+
+      const entry = TYPED_ARRAYS.find(candidate => candidate.tag === tag);
+      if (!entry) {
+        this.fail('unsupported tag ' + tag);
+      }
+      const bytes = this.tagBytes();
+      const size = entry.type.BYTES_PER_ELEMENT;
+      if (bytes.length % size !== 0) {
+        this.fail('typed array length is not a multiple of ' + size);
+      }
+      const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+      const array = new entry.type(bytes.length / size);
+      for (let i = 0; i < array.length; i++) {
+        array[i] = view[entry.get](i * size, true);
+      }
+      return array;
+    }
+
+    tagBytes() {
+      const { major, value } = this.head();
+      if (major !== Major.BYTES) {
+        this.fail('tag content must be a byte string');
+      }
+      return this.take(value);
+    }
+
+    simple(info) {
+      if (info === (SIMPLE_FALSE & 0x1f)) return false;
+      if (info === (SIMPLE_TRUE & 0x1f)) return true;
+      if (info === (SIMPLE_NULL & 0x1f)) return null;
+      if (info !== (FLOAT64 & 0x1f)) {
+        this.fail('unsupported simple value or float width');
+      }
+      const bytes = this.take(8);
+      const value = new DataView(bytes.buffer, bytes.byteOffset, 8).getFloat64(0);
+      if (Number.isSafeInteger(value) && !Object.is(value, -0)) {
+        this.fail('integral float must be encoded as an integer');
+      }
+      return value;
+    }
+
+    done() {
+      if (this._offset !== this._bytes.length) {
+        this.fail('trailing bytes');
+      }
+    }
+  }
+
+  /**
+   * Decode canonical CBOR
+   * @param {Uint8Array} bytes - Bytes produced by encode
+   * @returns {any} Decoded value
+   * @throws {Error} If the bytes are malformed or not canonical
+   */
+  function decode(bytes) {
+    if (!(bytes instanceof Uint8Array)) {
+      throw new Error('decode expects a Uint8Array');
+    }
+    const decoder = new Decoder(bytes);
+    const value = decoder.value();
+    decoder.done();
+    return value;
+  }
+
+  // ============================================
+  // EXPORT
+  // ============================================
+  const DagCBOR = Object.freeze({
+    VERSION: DAG_CBOR_VERSION,
+    Tag: Tag,
+    CIDLink: CIDLink,
+    encode: encode,
+    decode: decode
+  });
+
+  // Universal module export
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DagCBOR;
+  } else if (typeof root !== 'undefined') {
+    root.DagCBOR = DagCBOR;
+  }
+
+})(typeof globalThis !== 'undefined' ? globalThis : (typeof window !== 'undefined' ? window : global));
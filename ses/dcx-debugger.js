@@ -0,0 +1,374 @@
+/**
+ * DCX-DEBUGGER.JS - Time-Travel Trace Debugger
+ * Sovereign Execution Substrate - Layer 3
+ *
+ * Steps forward and back through a stored execution trace:
+ * - Breakpoints on operation names and memory thresholds
+ * - Memory and branch depth at every tick
+ * - Live values by re-executing the pulse up to a tick
+ *
+ * Stored traces carry memory per step; branch depth needs one
+ * profiling replay (loadProfile), so it is null until then.
+ *
+ * @version 1.0.0
+ * @license Apache-2.0 / MIT
+ */
+
+(function(root) {
+  'use strict';
+
+  const DEBUGGER_VERSION = '1.0.0';
+
+  function getDCX() {
+    return root.DCXModule ||
+      (typeof require === 'function' ? require('./dcx-runtime.js') : null);
+  }
+
+  // ============================================
+  // TRACE DEBUGGER
+  // ============================================
+  class TraceDebugger {
+    /**
+     * @param {Object} trace - Trace with steps (chunked traces joined)
+     * @param {Object} options - Debugger options
+     * @param {Object} options.pulse - Pulse that produced the trace (needed to re-execute)
+     * @param {DCXRuntime} options.runtime - Runtime to re-execute with
+     */
+    constructor(trace, options = {}) {
+      if (!trace || !Array.isArray(trace.steps)) {
+        throw new Error('TraceDebugger requires a trace with steps');
+      }
+
+      this._trace = trace;
+      this._steps = trace.steps;
+      this._pulse = options.pulse || null;
+      this._runtime = options.runtime || null;
+      this._position = -1;  // Before the first step
+      this._breakpoints = new Map();
+      this._nextBreakpointId = 1;
+      this._profile = null;  // tick -> { memory, branchDepth }
+    }
+
+    /**
+     * Open a stored trace by trace CID or pulse ID
+     * @param {DCXRuntime|ContentStore} source - Runtime (enables re-execution) or store
+     * @param {string} cid - Trace CID, or pulse ID to debug that pulse's trace
+     * @returns {Promise<TraceDebugger>}
+     */
+    static async open(source, cid) {
+      const runtime = typeof source.getStore === 'function' ? source : null;
+      const store = runtime ? runtime.getStore() : source;
+
+      const record = await store.fetch(cid);
+      if (!record || typeof record !== 'object') {
+        throw new Error('Nothing stored under ' + cid);
+      }
+
+      let pulse = null;
+      let traceCid = cid;
+      if (typeof record.functionCid === 'string' && 'traceCid' in record) {
+        pulse = { ...record, pulseId: cid };
+        traceCid = record.traceCid;
+        if (!traceCid) {
+          throw new Error('Pulse has no trace: ' + cid);
+        }
+      }
+
+      const trace = await getDCX().ExecutionTrace.load(store, traceCid);
+      if (!trace) {
+        throw new Error('Trace not found: ' + traceCid);
+      }
+      return new TraceDebugger(trace, {
+        pulse: pulse,
+        runtime: runtime
+      });
+    }
+
+    // ==========================================
+    // NAVIGATION
+    // ==========================================
+
+    /**
+     * Number of recorded steps (sampled traces record every Nth)
+     * @returns {number}
+     */
+    get length() {
+      return this._steps.length;
+    }
+
+    /**
+     * Index of the current step (-1 before the first)
+     * @returns {number}
+     */
+    get position() {
+      return this._position;
+    }
+
+    /**
+     * Get the frame at the current position
+     * @returns {Object|null} Frame or null before the first step
+     */
+    current() {
+      return this.frame(this._position);
+    }
+
+    /**
+     * Get the frame at a step index
+     * @param {number} index - Step index
+     * @returns {Object|null} { index, tick, operation, args, result, memory, branchDepth, usage, breakpoints }
+     */
+    frame(index) {
+      const step = this._steps[index];
+      if (!step) {
+        return null;
+      }
+      const profiled = this._profile ? this._profile.get(step.tick) : null;
+      const branchDepth = profiled ? profiled.branchDepth : null;
+      const bounds = this._pulse ? this._pulse.bounds : null;
+      return {
+        index: index,
+        tick: step.tick,
+        operation: step.operation,
+        args: step.args,
+        result: step.result,
+        memory: step.memory || 0,
+        branchDepth: branchDepth,
+        usage: {
+          steps: step.tick,
+          memory: step.memory || 0,
+          branchDepth: branchDepth,
+          bounds: bounds
+        },
+        breakpoints: this._matchBreakpoints(step, index)
+      };
+    }
+
+    /**
+     * Move forward
+     * @param {number} count - Steps to move (default 1)
+     * @returns {Object|null} New current frame
+     */
+    stepForward(count = 1) {
+      return this._moveTo(Math.min(this._steps.length - 1, this._position + count));
+    }
+
+    /**
+     * Move back
+     * @param {number} count - Steps to move (default 1)
+     * @returns {Object|null} New current frame
+     */
+    stepBack(count = 1) {
+      return this._moveTo(Math.max(-1, this._position - count));
+    }
+
+    /**
+     * Move to the last recorded step at or before a tick
+     * @param {number} tick - Tick to seek
+     * @returns {Object|null} New current frame
+     */
+    seek(tick) {
+      let index = -1;
+      for (let i = 0; i < this._steps.length && this._steps[i].tick <= tick; i++) {
+        index = i;
+      }
+      return this._moveTo(index);
+    }
+
+    /**
+     * Move back before the first step
+     */
+    reset() {
+      this._position = -1;
+    }
+
+    /**
+     * Run forward to the next step that hits a breakpoint
+     * Stops at the last step if none does.
+     * @returns {Object} { frame, hit }
+     */
+    continue() {
+      for (let i = this._position + 1; i < this._steps.length; i++) {
+        if (this._matchBreakpoints(this._steps[i], i).length > 0) {
+          return { frame: this._moveTo(i), hit: true };
+        }
+      }
+      return { frame: this._moveTo(this._steps.length - 1), hit: false };
+    }
+
+    /**
+     * Run backward to the previous step that hits a breakpoint
+     * Stops before the first step if none does.
+     * @returns {Object} { frame, hit }
+     */
+    reverseContinue() {
+      for (let i = this._position - 1; i >= 0; i--) {
+        if (this._matchBreakpoints(this._steps[i], i).length > 0) {
+          return { frame: this._moveTo(i), hit: true };
+        }
+      }
+      return { frame: this._moveTo(-1), hit: false };
+    }
+
+    /**
+     * @private
+     */
+    _moveTo(index) {
+      this._position = index;
+      return this.current();
+    }
+
+    // ==========================================
+    // BREAKPOINTS
+    // ==========================================
+
+    /**
+     * Add a breakpoint
+     * @param {Object} spec - { operation } to break on an operation name,
+     *   { memoryAbove } to break where memory exceeds a byte count
+     * @returns {number} Breakpoint ID
+     */
+    addBreakpoint(spec = {}) {
+      const hasOperation = typeof spec.operation === 'string' && spec.operation.length > 0;
+      const hasMemory = typeof spec.memoryAbove === 'number' && spec.memoryAbove >= 0;
+      if (!hasOperation && !hasMemory) {
+        throw new Error('Breakpoint needs an operation name or a memoryAbove threshold');
+      }
+      const id = this._nextBreakpointId++;
+      this._breakpoints.set(id, {
+        id: id,
+        operation: hasOperation ? spec.operation : null,
+        memoryAbove: hasMemory ? spec.memoryAbove : null
+      });
+      return id;
+    }
+
+    /**
+     * Remove a breakpoint
+     * @param {number} id - Breakpoint ID
+     * @returns {boolean} Whether it existed
+     */
+    removeBreakpoint(id) {
+      return this._breakpoints.delete(id);
+    }
+
+    /**
+     * Get all breakpoints
+     * @returns {Object[]}
+     */
+    getBreakpoints() {
+      return Array.from(this._breakpoints.values()).map(bp => ({ ...bp }));
+    }
+
+    /**
+     * Remove all breakpoints
+     */
+    clearBreakpoints() {
+      this._breakpoints.clear();
+    }
+
+    /**
+     * IDs of breakpoints a step hits
+     * A memory breakpoint hits where memory first rises above its threshold.
+     * @private
+     */
+    _matchBreakpoints(step, index) {
+      const hits = [];
+      for (const bp of this._breakpoints.values()) {
+        if (bp.operation !== null && step.operation !== bp.operation) continue;
+        if (bp.memoryAbove !== null) {
+          const previous = index > 0 ? (this._steps[index - 1].memory || 0) : 0;
+          if (!((step.memory || 0) > bp.memoryAbove && previous <= bp.memoryAbove)) continue;
+        }
+        hits.push(bp.id);
+      }
+      return hits;
+    }
+
+    // ==========================================
+    // RE-EXECUTION
+    // ==========================================
+
+    /**
+     * Check if the pulse can be re-executed (runtime and pulse known)
+     * @returns {boolean}
+     */
+    canReexecute() {
+      return !!(this._runtime && this._pulse);
+    }
+
+    /**
+     * Replay the pulse once to learn memory and branch depth at every tick
+     * @returns {Promise<boolean>} Whether the profile was loaded
+     */
+    async loadProfile() {
+      this._requireReexecution();
+      const inspection = await this._runtime.inspect(this._pulse, { profile: true });
+      this._profile = new Map();
+      for (const entry of inspection.profile || []) {
+        this._profile.set(entry.tick, entry);
+      }
+      return this._profile.size > 0;
+    }
+
+    /**
+     * Re-execute up to a tick and return the live values there
+     * @param {number} tick - Tick to stop at (default: current frame's tick)
+     * @returns {Promise<Object>} { reached, snapshot, status, error }
+     */
+    async inspect(tick) {
+      this._requireReexecution();
+      const current = this.current();
+      const target = tick === undefined ? (current ? current.tick : null) : tick;
+      if (!Number.isInteger(target)) {
+        throw new Error('No tick to inspect');
+      }
+      return this._runtime.inspect(this._pulse, { tick: target });
+    }
+
+    /**
+     * @private
+     */
+    _requireReexecution() {
+      if (!this.canReexecute()) {
+        throw new Error('Re-execution needs the pulse and a runtime (open the debugger by pulse ID with a runtime)');
+      }
+    }
+
+    // ==========================================
+    // SUMMARY
+    // ==========================================
+
+    /**
+     * Get trace-level information
+     * @returns {Object} { mode, recordedSteps, totalSteps, peakMemory, maxBranchDepth, pulseId, bounds, profiled }
+     */
+    getSummary() {
+      return {
+        mode: this._trace.mode || 'full',
+        recordedSteps: this._steps.length,
+        totalSteps: this._trace.totalSteps,
+        peakMemory: this._trace.peakMemory,
+        maxBranchDepth: this._trace.maxBranchDepth,
+        pulseId: this._pulse ? this._pulse.pulseId : null,
+        bounds: this._pulse ? this._pulse.bounds : null,
+        profiled: this._profile !== null
+      };
+    }
+  }
+
+  // ============================================
+  // EXPORT
+  // ============================================
+  const DCXDebugger = Object.freeze({
+    VERSION: DEBUGGER_VERSION,
+    TraceDebugger: TraceDebugger
+  });
+
+  // Universal module export
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DCXDebugger;
+  } else if (typeof root !== 'undefined') {
+    root.DCXDebugger = DCXDebugger;
+  }
+
+})(typeof globalThis !== 'undefined' ? globalThis : (typeof window !== 'undefined' ? window : global));
@@ -0,0 +1,492 @@
+/**
+ * DCX-INSTRUMENT.JS - Automatic Step Metering
+ * Sovereign Execution Substrate - Layer 3
+ *
+ * Rewrites registered function source so bounds hold for
+ * uncooperative code (no ctx.step calls):
+ * - Loop back-edges     -> ctx.step('meter:loop')
+ * - Function entries    -> ctx.step('meter:call') + enterBranch/exitBranch
+ * - Allocations (new)   -> ctx.allocate(estimated bytes)
+ *
+ * Works on a token stream, no parser dependency. The instrumented
+ * source is a self-contained function expression, so it runs in
+ * both host and sandbox execution modes.
+ *
+ * @version 1.0.0
+ * @license Apache-2.0 / MIT
+ */
+
+(function(root) {
+  'use strict';
+
+  // ============================================
+  // VERSION
+  // Bump when the rewrite changes: instrumented CIDs depend on it
+  // ============================================
+  const INSTRUMENT_VERSION = '1.1.0';
+
+  const METER = '__dcxMeter';
+
+  // ============================================
+  // TOKENIZER
+  // Just enough lexing to find code (not strings,
+  // comments, regexes or template text)
+  // ============================================
+  const PUNCTUATORS = [
+    '>>>=', '...', '===', '!==', '**=', '<<=', '>>=', '>>>', '&&=', '||=', '??=',
+    '=>', '==', '!=', '<=', '>=', '&&', '||', '??', '?.', '++', '--', '+=', '-=', '*=',
+    '/=', '%=', '&=', '|=', '^=', '<<', '>>', '**',
+    '{', '}', '(', ')', '[', ']', ';', ',', '<', '>', '+', '-', '*', '/', '%', '&',
+    '|', '^', '!', '~', '?', ':', '=', '.', '@'
+  ];
+
+  const REGEX_AFTER_KEYWORDS = new Set([
+    'return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void',
+    'throw', 'case', 'do', 'else', 'yield', 'await'
+  ]);
+
+  function isIdentifierStart(ch) {
+    return /[A-Za-z_$#\\]/.test(ch) || ch.charCodeAt(0) > 0x7f;
+  }
+
+  function isIdentifierPart(ch) {
+    return /[A-Za-z0-9_$\\]/.test(ch) || ch.charCodeAt(0) > 0x7f;
+  }
+
+  function regexAllowed(prev) {
+    if (!prev) return true;
+    if (prev.type === 'name') return REGEX_AFTER_KEYWORDS.has(prev.value);
+    if (prev.type === 'template') return prev.value.endsWith('${');
+    if (prev.type === 'punct') return !(prev.value === ')' || prev.value === ']' || prev.value === '}');
+    return false;
+  }
+
+  /**
+   * Split source into tokens
+   * @param {string} source - JavaScript source
+   * @returns {Object[]} Tokens { type, value, start, end, nl }
+   */
+  function tokenize(source) {
+    const tokens = [];
+    const braces = [];  // 'brace' | 'template'
+    const length = source.length;
+    let i = 0;
+    let nl = false;
+
+    const push = (type, start, end) => {
+      tokens.push({ type: type, value: source.slice(start, end), start: start, end: end, nl: nl });
+      nl = false;
+    };
+
+    // Scan template text from i (just after ` or }) up to ` or ${
+    const readTemplate = (start) => {
+      while (i < length) {
+        const ch = source[i];
+        if (ch === '\\') {
+          i += 2;
+        } else if (ch === '`') {
+          i++;
+          push('template', start, i);
+          return;
+        } else if (ch === '$' && source[i + 1] === '{') {
+          i += 2;
+          braces.push('template');
+          push('template', start, i);
+          return;
+        } else {
+          i++;
+        }
+      }
+      throw new SyntaxError('Unterminated template literal');
+    };
+
+    while (i < length) {
+      const ch = source[i];
+      const start = i;
+
+      if (ch === '\n' || ch === '\r' || ch === '\u2028' || ch === '\u2029') {
+        nl = true;
+        i++;
+      } else if (/\s/.test(ch)) {
+        i++;
+      } else if (ch === '/' && source[i + 1] === '/') {
+        while (i < length && source[i] !== '\n' && source[i] !== '\r') i++;
+      } else if (ch === '/' && source[i + 1] === '*') {
+        const close = source.indexOf('*/', i + 2);
+        if (close === -1) throw new SyntaxError('Unterminated comment');
+        if (/[\n\r\u2028\u2029]/.test(source.slice(i, close))) nl = true;
+        i = close + 2;
+      } else if (ch === '`') {
+        i++;
+        readTemplate(start);
+      } else if (ch === '"' || ch === '\'') {
+        i++;
+        while (i < length && source[i] !== ch) {
+          if (source[i] === '\\') i++;
+          i++;
+        }
+        if (i >= length) throw new SyntaxError('Unterminated string');
+        i++;
+        push('string', start, i);
+      } else if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(source[i + 1] || ''))) {
+        while (i < length) {
+          if (/[eE]/.test(source[i]) && /[+-]/.test(source[i + 1] || '') && !/^0[xX]/.test(source.slice(start, i))) {
+            i += 2;
+          } else if (/[0-9A-Za-z_.]/.test(source[i])) {
+            i++;
+          } else {
+            break;
+          }
+        }
+        push('number', start, i);
+      } else if (isIdentifierStart(ch)) {
+        i++;
+        while (i < length && isIdentifierPart(source[i])) i++;
+        push('name', start, i);
+      } else if (ch === '/' && regexAllowed(tokens[tokens.length - 1])) {
+        let inClass = false;
+        i++;
+        while (i < length) {
+          const c = source[i];
+          if (c === '\\') {
+            i += 2;
+            continue;
+          }
+          if (c === '\n') throw new SyntaxError('Unterminated regular expression');
+          i++;
+          if (c === '[') inClass = true;
+          else if (c === ']') inClass = false;
+          else if (c === '/' && !inClass) break;
+        }
+        while (i < length && isIdentifierPart(source[i])) i++;
+        push('regex', start, i);
+      } else if (ch === '}' && braces[braces.length - 1] === 'template') {
+        braces.pop();
+        i++;
+        readTemplate(start);
+      } else {
+        const punct = PUNCTUATORS.find(p => source.startsWith(p, i));
+        if (!punct) throw new SyntaxError(`Unexpected character '${ch}' at ${i}`);
+        if (punct === '{') braces.push('brace');
+        if (punct === '}') braces.pop();
+        i += punct.length;
+        push('punct', start, i);
+      }
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Map each bracket token index to its partner
+   * @private
+   */
+  function matchBrackets(tokens) {
+    const match = new Array(tokens.length).fill(-1);
+    const stack = [];
+    tokens.forEach((token, index) => {
+      const opensTemplate = token.type === 'template' && token.value.endsWith('${');
+      const closesTemplate = token.type === 'template' && token.value[0] === '}';
+      if (closesTemplate) {
+        stack.pop();
+      }
+      if (opensTemplate) {
+        stack.push(index);
+        return;
+      }
+      if (token.type !== 'punct') return;
+      if (token.value === '(' || token.value === '[' || token.value === '{') {
+        stack.push(index);
+      } else if (token.value === ')' || token.value === ']' || token.value === '}') {
+        const open = stack.pop();
+        if (open === undefined) throw new SyntaxError('Unbalanced ' + token.value);
+        match[open] = index;
+        match[index] = open;
+      }
+    });
+    if (stack.length > 0) {
+      throw new SyntaxError('Unbalanced brackets');
+    }
+    return match;
+  }
+
+  // ============================================
+  // METER
+  // Serialized into the instrumented source.
+  // Must not reference anything from this module.
+  // ============================================
+  function createMeter(ctx) {
+    const ALLOCATION_BYTES = 64;
+    const constructors = new WeakMap();
+
+    function estimateBytes(target, args) {
+      const first = args[0];
+      const count = typeof first === 'number'
+        ? first
+        : (first && typeof first.length === 'number' ? first.length : 0);
+      if (target === ArrayBuffer) return Math.max(ALLOCATION_BYTES, count);
+      if (typeof target.BYTES_PER_ELEMENT === 'number') {
+        return Math.max(ALLOCATION_BYTES, count * target.BYTES_PER_ELEMENT);
+      }
+      if (target === Array) return Math.max(ALLOCATION_BYTES, (args.length === 1 ? count : args.length) * 8);
+      return ALLOCATION_BYTES;
+    }
+
+    function loop() {
+      ctx.step('meter:loop', null, null);
+      return true;
+    }
+
+    return Object.freeze({
+      loop: loop,
+      tick: function() {
+        ctx.step('meter:call', null, null);
+      },
+      enter: function() {
+        ctx.step('meter:call', null, null);
+        ctx.enterBranch();
+      },
+      exit: function() {
+        ctx.exitBranch();
+      },
+      iterate: function* (iterable) {
+        for (const value of iterable) {
+          loop();
+          yield value;
+        }
+      },
+      iterateAsync: async function* (iterable) {
+        for await (const value of iterable) {
+          loop();
+          yield value;
+        }
+      },
+      keys: function* (object) {
+        for (const key in object) {
+          loop();
+          yield key;
+        }
+      },
+      alloc: function(Constructor) {
+        if (typeof Constructor !== 'function') {
+          return Constructor;
+        }
+        if (!constructors.has(Constructor)) {
+          const metered = new Proxy(Constructor, {
+            construct: function(target, args, newTarget) {
+              ctx.allocate(estimateBytes(target, args));
+              return Reflect.construct(target, args, newTarget === metered ? target : newTarget);
+            }
+          });
+          constructors.set(Constructor, metered);
+        }
+        return constructors.get(Constructor);
+      }
+    });
+  }
+
+  // ============================================
+  // REWRITER
+  // ============================================
+  const CONTROL_KEYWORDS = new Set(['if', 'for', 'while', 'switch', 'catch', 'with', 'function']);
+  const EXPRESSION_END = new Set([',', ';', ')', ']', '}']);
+  const CONTINUATION = new Set([
+    '.', '?.', '(', '[', '?', ':', '=>', '==', '===', '!=', '!==', '<', '>', '<=', '>=',
+    '+', '-', '*', '/', '%', '**', '&', '|', '^', '&&', '||', '??', '<<', '>>', '>>>'
+  ]);
+
+  /**
+   * Instrument function source with metering calls
+   * @param {string} source - Function expression source
+   * @returns {string} Instrumented function expression source
+   */
+  function instrument(source) {
+    const tokens = tokenize(source);
+    const match = matchBrackets(tokens);
+    const edits = [];
+    let sequence = 0;
+
+    const isWord = (index, word) => {
+      const token = tokens[index];
+      if (!token || token.type !== 'name' || token.value !== word) return false;
+      const prev = tokens[index - 1];
+      return !(prev && (prev.value === '.' || prev.value === '?.'));
+    };
+    const isPunct = (index, value) => tokens[index] && tokens[index].type === 'punct' && tokens[index].value === value;
+
+    // Openers at one position apply outermost first, closers innermost first
+    const open = (pos, text) => {
+      const edit = { start: pos, end: pos, text: text, closer: false, seq: sequence++ };
+      edits.push(edit);
+      return edit;
+    };
+    const close = (pos, text, opener) => edits.push({ start: pos, end: pos, text: text, closer: true, opener: opener || null, seq: sequence++ });
+    const replace = (start, end, text) => edits.push({ start: start, end: end, text: text, closer: false, seq: sequence++ });
+
+    // Index of the top-level token after a bracketed region
+    const skip = (index) => (match[index] > index ? match[index] : index) + 1;
+
+    const meterBlock = (bodyOpen, generator) => {
+      let first = bodyOpen + 1;
+      while (tokens[first] && tokens[first].type === 'string' && isPunct(first + 1, ';')) {
+        first += 2;  // Keep directive prologue ("use strict") in place
+      }
+      const pos = first === bodyOpen + 1 ? tokens[bodyOpen].end : tokens[first - 1].end;
+      if (generator) {
+        open(pos, ` ${METER}.tick();`);
+        return;
+      }
+      const opener = open(pos, ` ${METER}.enter(); try {`);
+      close(tokens[match[bodyOpen]].start, `} finally { ${METER}.exit(); } `, opener);
+    };
+
+    const meterExpression = (first) => {
+      let index = first;
+      let ternary = 0;
+      let last = first;
+      while (index < tokens.length) {
+        const token = tokens[index];
+        if (token.type === 'punct' && EXPRESSION_END.has(token.value)) break;
+        if (token.type === 'punct' && token.value === ':' && ternary === 0) break;
+        if (index > first && token.nl && !(token.type === 'punct' && CONTINUATION.has(token.value)) &&
+            !(tokens[last].type === 'punct' && CONTINUATION.has(tokens[last].value))) {
+          break;
+        }
+        if (token.type === 'punct' && token.value === '?') ternary++;
+        if (token.type === 'punct' && token.value === ':') ternary--;
+        last = match[index] > index ? match[index] : index;
+        index = skip(index);
+      }
+      open(tokens[first].start, `{ ${METER}.enter(); try { return (`);
+      close(tokens[last].end, `); } finally { ${METER}.exit(); } }`);
+    };
+
+    for (let k = 0; k < tokens.length; k++) {
+
+      // while (cond) and do ... while (cond): meter the condition
+      if (isWord(k, 'while') && isPunct(k + 1, '(')) {
+        open(tokens[k + 1].end, `${METER}.loop() && (`);
+        close(tokens[match[k + 1]].start, ')');
+        continue;
+      }
+
+      if (isWord(k, 'for')) {
+        const isAwait = isWord(k + 1, 'await');
+        const headOpen = isAwait ? k + 2 : k + 1;
+        if (!isPunct(headOpen, '(')) continue;
+        const headClose = match[headOpen];
+        const semicolons = [];
+        let ofIndex = -1;
+        let inIndex = -1;
+        for (let j = headOpen + 1; j < headClose; j = skip(j)) {
+          if (isPunct(j, ';')) semicolons.push(j);
+          else if (ofIndex === -1 && isWord(j, 'of')) ofIndex = j;
+          else if (inIndex === -1 && isWord(j, 'in')) inIndex = j;
+        }
+        if (semicolons.length === 2) {
+          const [first, second] = semicolons;
+          if (second === first + 1) {
+            open(tokens[first].end, ` ${METER}.loop()`);
+          } else {
+            open(tokens[first].end, ` ${METER}.loop() && (`);
+            close(tokens[second].start, ')');
+          }
+        } else if (ofIndex !== -1) {
+          open(tokens[ofIndex].end, ` ${METER}.${isAwait ? 'iterateAsync' : 'iterate'}(`);
+          close(tokens[headClose].start, ')');
+        } else if (inIndex !== -1) {
+          // for (k in o) -> for (k of meter.keys(o)), keys() runs the same for-in lazily
+          replace(tokens[inIndex].start, tokens[inIndex].end, 'of');
+          open(tokens[inIndex].end, ` ${METER}.keys(`);
+          close(tokens[headClose].start, ')');
+        }
+        continue;
+      }
+
+      if (isWord(k, 'function')) {
+        let j = k + 1;
+        const generator = isPunct(j, '*');
+        if (generator) j++;
+        if (tokens[j] && tokens[j].type === 'name') j++;
+        if (!isPunct(j, '(') || !isPunct(match[j] + 1, '{')) continue;
+        meterBlock(match[j] + 1, generator);
+        continue;
+      }
+
+      if (isPunct(k, '=>')) {
+        if (isPunct(k + 1, '{')) {
+          meterBlock(k + 1, false);
+        } else if (k + 1 < tokens.length) {
+          meterExpression(k + 1);
+        }
+        continue;
+      }
+
+      // Method shorthand: name(...) { ... } in classes and object literals
+      if (isPunct(k, ')') && isPunct(k + 1, '{')) {
+        const paramsOpen = match[k];
+        const before = tokens[paramsOpen - 1];
+        if (!before) continue;
+        const isName = before.type === 'name' && !CONTROL_KEYWORDS.has(before.value);
+        const isComputed = before.type === 'punct' && before.value === ']';
+        if (!isName && !isComputed) continue;
+        const nameStart = isComputed ? match[paramsOpen - 1] : paramsOpen - 1;
+        if (isWord(nameStart - 1, 'function') || isPunct(nameStart - 1, '*') && isWord(nameStart - 2, 'function')) continue;
+        if (before.value === 'await' && isWord(paramsOpen - 2, 'for')) continue;
+        meterBlock(k + 1, isPunct(nameStart - 1, '*'));
+        continue;
+      }
+
+      // new Name.Chain(...) -> new (meter.alloc(Name.Chain))(...)
+      if (isWord(k, 'new') && tokens[k + 1] && tokens[k + 1].type === 'name') {
+        let j = k + 1;
+        while (isPunct(j + 1, '.') && tokens[j + 2] && tokens[j + 2].type === 'name') j += 2;
+        const start = tokens[k + 1].start;
+        const end = tokens[j].end;
+        replace(start, end, `(${METER}.alloc(${source.slice(start, end)}))`);
+        k = j;
+        continue;
+      }
+    }
+
+    edits.sort((a, b) => {
+      if (a.start !== b.start) return a.start - b.start;
+      if (a.closer !== b.closer) {
+        // An empty body's closer lands on its own opener
+        if (a.opener === b || b.opener === a) return a.closer ? 1 : -1;
+        return a.closer ? -1 : 1;
+      }
+      return a.closer ? b.seq - a.seq : a.seq - b.seq;
+    });
+
+    let output = '';
+    let cursor = 0;
+    for (const edit of edits) {
+      output += source.slice(cursor, edit.start) + edit.text;
+      cursor = edit.end;
+    }
+    output += source.slice(cursor);
+
+    return 'function __dcxInstrumented(input, ctx) {\n' +
+      `  const ${METER} = (${createMeter.toString()})(ctx);\n` +
+      `  return (${output}\n).call(this, input, ctx);\n` +
+      '}';
+  }
+
+  // ============================================
+  // EXPORT
+  // ============================================
+  const DCXInstrument = Object.freeze({
+    VERSION: INSTRUMENT_VERSION,
+    instrument: instrument,
+    tokenize: tokenize
+  });
+
+  // Universal module export
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DCXInstrument;
+  } else if (typeof root !== 'undefined') {
+    root.DCXInstrument = DCXInstrument;
+  }
+
+})(typeof globalThis !== 'undefined' ? globalThis : (typeof window !== 'undefined' ? window : global));
@@ -22,6 +22,131 @@
   // ============================================
   const DCX_VERSION = '1.0.0';
 
+  // ============================================
+  // PARALLELISM BOUNDS (executeMany)
+  // ============================================
+  const DEFAULT_CONCURRENCY = 4;
+  const MAX_CONCURRENCY = 64;
+
+  // ============================================
+  // EXECUTION RECEIPTS
+  // Wall-clock metadata, kept out of content-addressed data
+  // ============================================
+  const MAX_RECEIPTS = 10000;  // Oldest receipts are dropped first
+
+  // ============================================
+  // RESULT MEMOIZATION
+  // Completed pulses indexed by everything the function can observe
+  // ============================================
+  const MEMO_INDEX_TYPE = 'dcx-memo-index';
+  const MEMO_INDEX_VERSION = 1;
+
+  // ============================================
+  // EXECUTION MODES
+  // host: call the registered JS function directly
+  // sandbox: run the stored source in an isolated realm (dcx-sandbox.js)
+  // ============================================
+  const ExecutionMode = Object.freeze({
+    HOST: 'host',
+    SANDBOX: 'sandbox'
+  });
+
+  /**
+   * Evaluate trusted function source in the host realm
+   * @private
+   */
+  function compileInHost(cid, source) {
+    let fn;
+    try {
+      fn = new Function('return (' + source + '\n);')();
+    } catch (e) {
+      throw new Error('Function source does not compile: ' + cid + ' (' + e.message + ')');
+    }
+    if (typeof fn !== 'function') {
+      throw new Error('Function source does not evaluate to a function: ' + cid);
+    }
+    return fn;
+  }
+
+  /**
+   * Check if a function record's dcxVersion can run on this runtime
+   * Same major version, minor not newer than ours.
+   * @param {string} version - Version recorded at registration
+   * @returns {boolean}
+   */
+  function isCompatibleVersion(version) {
+    if (typeof version !== 'string') {
+      return false;
+    }
+    const [major, minor] = version.split('.').map(Number);
+    const [ownMajor, ownMinor] = DCX_VERSION.split('.').map(Number);
+    return major === ownMajor && minor <= ownMinor;
+  }
+
+  function getSandbox() {
+    return root.DCXSandbox ||
+      (typeof require === 'function' ? require('./dcx-sandbox.js') : null);
+  }
+
+  function getInstrument() {
+    return root.DCXInstrument ||
+      (typeof require === 'function' ? require('./dcx-instrument.js') : null);
+  }
+
+  function getWasm() {
+    return root.DCXWasm ||
+      (typeof require === 'function' ? require('./dcx-wasm.js') : null);
+  }
+
+  function getMerkleDAG() {
+    return root.MerkleDAG ||
+      (typeof require === 'function' ? require('./merkle-dag.js') : null);
+  }
+
+  // ============================================
+  // DETERMINISTIC RANDOMNESS
+  // sfc32 generator seeded with a cyrb128 hash of the pulse's
+  // input and function CIDs (and checkpoint CID when resuming):
+  // same pulse, same sequence
+  // ============================================
+  function hashSeed(str) {
+    let h1 = 1779033703, h2 = 3144134277, h3 = 1013904242, h4 = 2773480762;
+    for (let i = 0; i < str.length; i++) {
+      const k = str.charCodeAt(i);
+      h1 = h2 ^ Math.imul(h1 ^ k, 597399067);
+      h2 = h3 ^ Math.imul(h2 ^ k, 2869860233);
+      h3 = h4 ^ Math.imul(h3 ^ k, 951274213);
+      h4 = h1 ^ Math.imul(h4 ^ k, 2716044179);
+    }
+    h1 = Math.imul(h3 ^ (h1 >>> 18), 597399067);
+    h2 = Math.imul(h4 ^ (h2 >>> 22), 2869860233);
+    h3 = Math.imul(h1 ^ (h3 >>> 17), 951274213);
+    h4 = Math.imul(h2 ^ (h4 >>> 19), 2716044179);
+    h1 ^= h2 ^ h3 ^ h4;
+    h2 ^= h1;
+    h3 ^= h1;
+    h4 ^= h1;
+    return [h1 >>> 0, h2 >>> 0, h3 >>> 0, h4 >>> 0];
+  }
+
+  /**
+   * Create a seeded PRNG
+   * @param {string} seed - Seed string
+   * @returns {Function} Returns floats in [0, 1)
+   */
+  function createRandom(seed) {
+    let [a, b, c, d] = hashSeed(seed);
+    return function() {
+      const t = (((a + b) | 0) + d) | 0;
+      d = (d + 1) | 0;
+      a = b ^ (b >>> 9);
+      b = (c + (c << 3)) | 0;
+      c = (c << 21) | (c >>> 11);
+      c = (c + t) | 0;
+      return (t >>> 0) / 4294967296;
+    };
+  }
+
   // ============================================
   // BOUND VIOLATION ERROR
   // ============================================
@@ -35,58 +160,224 @@
     }
   }
 
+  // ============================================
+  // CANCELLATION ERROR
+  // ============================================
+  class CancellationError extends Error {
+    constructor(reason) {
+      const detail = reason === undefined ? '' : ': ' + (reason instanceof Error ? reason.message : String(reason));
+      super('Pulse cancelled' + detail);
+      this.name = 'CancellationError';
+    }
+  }
+
+  // ============================================
+  // TRACE MODES
+  // full: every step, stored as one record
+  // chunked: every step, flushed in fixed-size segments, linked by a manifest
+  // sampled: counters plus every Nth step
+  // ============================================
+  const TraceMode = Object.freeze({
+    FULL: 'full',
+    CHUNKED: 'chunked',
+    SAMPLED: 'sampled'
+  });
+
+  const DEFAULT_TRACE_CHUNK_SIZE = 1000;
+  const DEFAULT_TRACE_SAMPLE_INTERVAL = 100;
+
   // ============================================
   // EXECUTION TRACE
-  // Complete record for deterministic replay
+  // Complete record for deterministic replay.
+  // Holds no wall-clock data, so replays hash to the same
+  // traceCid; timing goes in the execution receipt.
   // ============================================
   class ExecutionTrace {
-    constructor() {
+    /**
+     * @param {Object} options - Trace options
+     * @param {string} options.mode - TraceMode value (default full)
+     * @param {number} options.chunkSize - Steps per segment (chunked)
+     * @param {number} options.sampleInterval - Keep every Nth step (sampled)
+     * @param {ContentStore} options.store - Segment store (chunked)
+     */
+    constructor(options = {}) {
+      this.mode = options.mode || TraceMode.FULL;
+      this.chunkSize = options.chunkSize || DEFAULT_TRACE_CHUNK_SIZE;
+      this.sampleInterval = options.sampleInterval || DEFAULT_TRACE_SAMPLE_INTERVAL;
       this.steps = [];
+      this.segments = [];          // chunked: segment CIDs, in order
+      this.operationCounts = {};   // sampled: operation -> count
       this.totalSteps = 0;
       this.peakMemory = 0;
       this.maxBranchDepth = 0;
       this.deterministicSeed = null;
-      this.startTime = null;
-      this.endTime = null;
+      this.checkpointCid = null;
+      
+      this._store = options.store || null;
+      this._pendingSegments = [];
+      
+      if (this.mode === TraceMode.CHUNKED && !this._store) {
+        throw new Error('Chunked trace mode requires a store');
+      }
     }
 
     addStep(tick, operation, args, result, memory) {
-      this.steps.push({
+      const step = {
         tick: tick,
         operation: operation,
         args: args,
         result: result,
         memory: memory || 0
-      });
-      this.totalSteps = this.steps.length;
+      };
+      this.totalSteps++;
       if (memory > this.peakMemory) {
         this.peakMemory = memory;
       }
+      
+      if (this.mode === TraceMode.SAMPLED) {
+        this.operationCounts[operation] = (this.operationCounts[operation] || 0) + 1;
+        if ((this.totalSteps - 1) % this.sampleInterval === 0) {
+          this.steps.push(step);
+        }
+        return;
+      }
+      
+      this.steps.push(step);
+      if (this.mode === TraceMode.CHUNKED && this.steps.length >= this.chunkSize) {
+        this._flushSegment();
+      }
+    }
+
+    /**
+     * Hand buffered steps to the store as the next segment
+     * @private
+     */
+    _flushSegment() {
+      if (this.steps.length === 0) {
+        return;
+      }
+      const pending = this._store.store({
+        index: this._pendingSegments.length,
+        firstTick: this.steps[0].tick,
+        steps: this.steps
+      });
+      pending.catch(() => {});  // Surfaced by persist()
+      this._pendingSegments.push(pending);
+      this.steps = [];
+    }
+
+    /**
+     * Store the trace (and any remaining segment)
+     * @param {ContentStore} store - Content store
+     * @returns {Promise<string>} Trace CID (manifest CID in chunked mode)
+     */
+    async persist(store) {
+      if (this.mode === TraceMode.CHUNKED) {
+        this._flushSegment();
+        this.segments = await Promise.all(this._pendingSegments);
+      }
+      return store.store(this.toJSON());
     }
 
     toJSON() {
-      return {
+      const json = {
+        mode: this.mode,
         steps: this.steps,
         totalSteps: this.totalSteps,
         peakMemory: this.peakMemory,
         maxBranchDepth: this.maxBranchDepth,
         deterministicSeed: this.deterministicSeed,
-        startTime: this.startTime,
-        endTime: this.endTime
+        checkpointCid: this.checkpointCid
       };
+      if (this.mode === TraceMode.CHUNKED) {
+        delete json.steps;
+        json.chunkSize = this.chunkSize;
+        json.segments = this.segments;
+      } else if (this.mode === TraceMode.SAMPLED) {
+        json.sampleInterval = this.sampleInterval;
+        json.operationCounts = this.operationCounts;
+      }
+      return json;
     }
 
     static fromJSON(json) {
-      const trace = new ExecutionTrace();
+      const trace = new ExecutionTrace({
+        mode: TraceMode.FULL,
+        chunkSize: json.chunkSize,
+        sampleInterval: json.sampleInterval
+      });
+      trace.mode = json.mode || TraceMode.FULL;
       trace.steps = json.steps || [];
+      trace.segments = json.segments || [];
+      trace.operationCounts = json.operationCounts || {};
       trace.totalSteps = json.totalSteps || 0;
       trace.peakMemory = json.peakMemory || 0;
       trace.maxBranchDepth = json.maxBranchDepth || 0;
       trace.deterministicSeed = json.deterministicSeed;
-      trace.startTime = json.startTime;
-      trace.endTime = json.endTime;
+      trace.checkpointCid = json.checkpointCid || null;
       return trace;
     }
+
+    /**
+     * Fetch a stored trace, joining chunked segments back into steps
+     * @param {ContentStore} store - Content store
+     * @param {string} traceCid - Trace (or manifest) CID
+     * @returns {Promise<Object|null>} Trace JSON with steps
+     */
+    static async load(store, traceCid) {
+      const json = await store.fetch(traceCid);
+      if (!json || json.mode !== TraceMode.CHUNKED) {
+        return json;
+      }
+      const steps = [];
+      for (const segmentCid of json.segments) {
+        const segment = await store.fetch(segmentCid);
+        if (!segment || !Array.isArray(segment.steps)) {
+          throw new Error('Trace segment not found: ' + segmentCid);
+        }
+        steps.push(...segment.steps);
+      }
+      return { ...json, steps: steps };
+    }
+  }
+
+  // ============================================
+  // EXECUTION STATE
+  // Per-execution counters, one per execute() call,
+  // so overlapping pulses never share state
+  // ============================================
+  class ExecutionState {
+    constructor(id, pulse, traceOptions) {
+      this.id = id;
+      this.pulse = pulse;
+      this.trace = new ExecutionTrace(traceOptions);
+      this.stepCount = 0;
+      this.memoryUsed = 0;
+      this.branchDepth = 0;
+      this.startTime = Date.now();
+      this.aborted = false;
+      this.signal = null;        // AbortSignal passed to execute()
+      this.cancelled = false;
+      this.cancellation = null;  // Rejects with a CancellationError once the signal aborts
+      this.inspection = null;    // Debugger re-execution: { tick, snapshot, profile, halted }
+      // A resume pulse continues with a fresh sequence, not the first segment's
+      this.random = createRandom(pulse.checkpointCid
+        ? `${pulse.inputCid}|${pulse.functionCid}|${pulse.checkpointCid}`
+        : `${pulse.inputCid}|${pulse.functionCid}`);
+      this.checkpoint = null;  // State restored from pulse.checkpointCid
+      this.receipt = null;     // Timing, set when the execution finishes
+      this.parent = null;    // ExecutionState of the invoking pulse (ctx.invoke)
+      this.children = [];    // Child ExecutionStates, in invocation order
+    }
+
+    getUsage() {
+      return {
+        steps: this.stepCount,
+        memory: this.memoryUsed,
+        branchDepth: this.branchDepth,
+        elapsed: Date.now() - this.startTime
+      };
+    }
   }
 
   // ============================================
@@ -94,22 +385,75 @@
   // The execution engine core
   // ============================================
   class DCXRuntime {
-    constructor(store) {
+    /**
+     * @param {ContentStore} store - Content-addressed store
+     * @param {Object} options - Runtime options
+     * @param {string} options.executionMode - ExecutionMode.HOST (default) or ExecutionMode.SANDBOX
+     * @param {boolean} options.allowHostRehydration - Let host mode compile stored function source
+     *   it did not register itself, e.g. from imported records (default false)
+     * @param {boolean} options.instrument - Meter registered functions automatically (default false)
+     * @param {string} options.traceMode - TraceMode.FULL (default), CHUNKED or SAMPLED
+     * @param {number} options.traceChunkSize - Steps per trace segment (chunked, default 1000)
+     * @param {number} options.traceSampleInterval - Keep every Nth step (sampled, default 100)
+     * @param {boolean} options.memoize - Return completed pulses for repeated executions (default false)
+     * @param {number} options.memoSpotCheckRate - Fraction of memo hits verified by replay (0-1, default 0)
+     * @param {string} options.memoIndexCid - Memo index to start from (see persistMemoIndex)
+     * @param {Object} options.chunking - Chunking options for Uint8Array inputs (see MerkleDAG.DEFAULTS)
+     */
+    constructor(store, options = {}) {
       if (!store || typeof store.store !== 'function' || typeof store.fetch !== 'function') {
         throw new Error('DCXRuntime requires a ContentStore with store() and fetch() methods');
       }
       
+      const executionMode = options.executionMode || ExecutionMode.HOST;
+      if (!Object.values(ExecutionMode).includes(executionMode)) {
+        throw new Error('Unknown execution mode: ' + executionMode);
+      }
+      
       this._store = store;
       this._functions = new Map();  // CID -> { fn, source }
+      this._executionMode = executionMode;
+      this._allowHostRehydration = options.allowHostRehydration === true;
+      this._instrument = options.instrument === true;
+      
+      const traceMode = options.traceMode || TraceMode.FULL;
+      if (!Object.values(TraceMode).includes(traceMode)) {
+        throw new Error('Unknown trace mode: ' + traceMode);
+      }
+      for (const key of ['traceChunkSize', 'traceSampleInterval']) {
+        if (options[key] !== undefined && !(Number.isInteger(options[key]) && options[key] >= 1)) {
+          throw new Error(key + ' must be a positive integer');
+        }
+      }
+      this._traceOptions = {
+        mode: traceMode,
+        chunkSize: options.traceChunkSize,
+        sampleInterval: options.traceSampleInterval,
+        store: store
+      };
+      this._instrumented = new Map();  // original CID -> instrumented CID
+      
+      const spotCheckRate = options.memoSpotCheckRate === undefined ? 0 : options.memoSpotCheckRate;
+      if (typeof spotCheckRate !== 'number' || !(spotCheckRate >= 0 && spotCheckRate <= 1)) {
+        throw new Error('memoSpotCheckRate must be a number between 0 and 1');
+      }
+      this._memoize = options.memoize === true;
+      this._memoSpotCheckRate = spotCheckRate;
+      this._memo = new Map();  // memo key -> pulse ID
+      this._memoIndexCid = options.memoIndexCid || null;
+      this._memoLoaded = !this._memoIndexCid;
+      this._memoDirty = false;
+      this._memoStats = { hits: 0, misses: 0, spotChecks: 0, evictions: 0 };
       
-      // Current execution state (reset per pulse)
-      this._currentPulse = null;
-      this._trace = null;
-      this._stepCount = 0;
-      this._memoryUsed = 0;
-      this._branchDepth = 0;
-      this._startTime = null;
-      this._aborted = false;
+      // Uint8Array inputs are stored as chunked Merkle-DAGs
+      this._chunking = options.chunking || {};
+      
+      // In-flight executions (execution id -> ExecutionState)
+      this._executions = new Map();
+      this._nextExecutionId = 1;
+      
+      // Execution receipts (pulse ID -> receipt), insertion ordered
+      this._receipts = new Map();
       
       // Event listeners
       this._listeners = {
@@ -126,11 +470,15 @@
 
     /**
      * Register a function and return its CID
+     * With instrumentation on, the source is stored as-is and the
+     * returned CID is that of its metered version.
      * @param {Function} fn - Function to register
      * @param {Object} metadata - Optional metadata
+     * @param {Object} options - Registration options
+     * @param {boolean} options.instrument - Override the runtime's instrument option
      * @returns {Promise<string>} Function CID
      */
-    async registerFunction(fn, metadata = {}) {
+    async registerFunction(fn, metadata = {}, options = {}) {
       if (typeof fn !== 'function') {
         throw new Error('registerFunction requires a function');
       }
@@ -145,9 +493,112 @@
       const cid = await this._store.store(functionData);
       this._functions.set(cid, { fn: fn, source: source, metadata: metadata });
       
+      const instrument = options.instrument !== undefined ? options.instrument : this._instrument;
+      if (instrument) {
+        return this.instrumentFunction(cid);
+      }
+      
+      return cid;
+    }
+
+    /**
+     * Register a WebAssembly module as a function and return its CID
+     * The module bytes are stored under their own CID. Execution meters
+     * every instruction against maxSteps and memory growth against
+     * maxMemoryBytes, in both execution modes.
+     * @param {Uint8Array|ArrayBuffer|string} bytes - Module bytes (string: base64)
+     * @param {Object} metadata - Optional metadata
+     * @param {Object} options - Registration options
+     * @param {string} options.entry - Exported function to call (default 'main')
+     * @returns {Promise<string>} Function CID
+     */
+    async registerWasm(bytes, metadata = {}, options = {}) {
+      const Wasm = getWasm();
+      if (!Wasm || !Wasm.isAvailable()) {
+        throw new Error('WebAssembly is not available in this environment');
+      }
+      
+      const moduleBytes = Wasm.toBytes(bytes);
+      const entry = options.entry || 'main';
+      const compiled = Wasm.compile(moduleBytes, entry);
+      
+      const wasmCid = await this._store.store(Wasm.encodeBase64(moduleBytes));
+      const cid = await this._store.store({
+        wasmCid: wasmCid,
+        entry: entry,
+        metadata: metadata,
+        dcxVersion: DCX_VERSION,
+        metering: { version: Wasm.VERSION }
+      });
+      this._functions.set(cid, { wasm: compiled, wasmCid: wasmCid, metadata: metadata });
+      
       return cid;
     }
 
+    /**
+     * Store a metered version of a function and return its CID
+     * The instrumented record keeps the original CID, so both stay
+     * addressable and the original can always be recovered.
+     * @param {string} cid - Function CID
+     * @returns {Promise<string>} Instrumented function CID
+     */
+    async instrumentFunction(cid) {
+      if (this._instrumented.has(cid)) {
+        return this._instrumented.get(cid);
+      }
+      
+      const Instrument = getInstrument();
+      if (!Instrument) {
+        throw new Error('DCXInstrument not available');
+      }
+      
+      const functionData = await this._fetchFunctionData(cid);
+      if (functionData.instrumentation || functionData.wasmCid) {
+        return cid;  // Already metered
+      }
+      
+      let source;
+      try {
+        source = Instrument.instrument(functionData.source);
+        // Parse without running, so a bad rewrite fails here rather than at execute time
+        new Function('return (' + source + '\n);');
+      } catch (e) {
+        throw new Error('Cannot instrument function ' + cid + ' (' + e.message + ')');
+      }
+      
+      const instrumentedCid = await this._store.store({
+        source: source,
+        metadata: functionData.metadata || {},
+        dcxVersion: DCX_VERSION,
+        instrumentation: {
+          originalCid: cid,
+          version: Instrument.VERSION
+        }
+      });
+      this._instrumented.set(cid, instrumentedCid);
+      
+      // Derived from a function registered here, so as trusted as the original
+      const original = this._functions.get(cid);
+      if (original && original.fn && this._executionMode === ExecutionMode.HOST) {
+        this._functions.set(instrumentedCid, {
+          fn: compileInHost(instrumentedCid, source),
+          source: source,
+          metadata: functionData.metadata || {}
+        });
+      }
+      
+      return instrumentedCid;
+    }
+
+    /**
+     * Get the instrumented CID recorded for a function
+     * @param {string} cid - Original function CID
+     * @returns {string|null} Instrumented CID or null
+     */
+    getInstrumentedCid(cid) {
+      return this._instrumented.get(cid) || null;
+    }
+
     /**
      * Get a registered function by CID
      * @param {string} cid - Function CID
@@ -166,6 +617,130 @@
       return this._functions.has(cid);
     }
 
+    /**
+     * Get a function by CID, rehydrating it from the store if needed
+     * Allows replay of pulses produced in another session. Stored source
+     * may come from anyone: sandbox mode only evaluates it inside the
+     * sandbox realm (the entry has no host fn), host mode only with
+     * allowHostRehydration.
+     * @param {string} cid - Function CID
+     * @returns {Promise<Object>} Function entry
+     */
+    async loadFunction(cid) {
+      const registered = this._functions.get(cid);
+      if (registered) {
+        return registered;
+      }
+      
+      const functionData = await this._fetchFunctionData(cid);
+      if (functionData.wasmCid) {
+        return this._loadWasm(cid, functionData);
+      }
+      
+      if (this._executionMode === ExecutionMode.SANDBOX) {
+        return this._loadSandboxed(cid, functionData);
+      }
+      if (!this._allowHostRehydration) {
+        throw new Error(
+          'Function ' + cid + ' is not registered; compiling stored source in the host realm ' +
+          'requires allowHostRehydration (or sandbox execution mode)'
+        );
+      }
+      
+      const entry = {
+        fn: compileInHost(cid, functionData.source),
+        source: functionData.source,
+        metadata: functionData.metadata || {}
+      };
+      this._functions.set(cid, entry);
+      
+      return entry;
+    }
+
+    /**
+     * Check stored source inside the sandbox realm
+     * @private
+     */
+    _loadSandboxed(cid, functionData) {
+      const Sandbox = getSandbox();
+      if (!Sandbox || !Sandbox.isAvailable()) {
+        throw new Error('Sandbox execution mode is not available in this environment');
+      }
+      
+      let isFunction;
+      try {
+        isFunction = Sandbox.compile({ source: functionData.source, filename: cid });
+      } catch (e) {
+        throw new Error('Function source does not compile: ' + cid + ' (' + e.message + ')');
+      }
+      if (!isFunction) {
+        throw new Error('Function source does not evaluate to a function: ' + cid);
+      }
+      
+      const entry = { source: functionData.source, metadata: functionData.metadata || {} };
+      this._functions.set(cid, entry);
+      
+      return entry;
+    }
+
+    /**
+     * Compile a stored WebAssembly function record
+     * @private
+     */
+    async _loadWasm(cid, functionData) {
+      const Wasm = getWasm();
+      if (!Wasm || !Wasm.isAvailable()) {
+        throw new Error('WebAssembly is not available in this environment');
+      }
+      const encoded = await this._store.fetch(functionData.wasmCid);
+      if (typeof encoded !== 'string') {
+        throw new Error('WASM module not found: ' + functionData.wasmCid);
+      }
+      
+      const entry = {
+        wasm: Wasm.compile(Wasm.decodeBase64(encoded), functionData.entry),
+        wasmCid: functionData.wasmCid,
+        metadata: functionData.metadata || {}
+      };
+      this._functions.set(cid, entry);
+      
+      return entry;
+    }
+
+    /**
+     * Get the loaded entry of a WebAssembly function, null for JS functions
+     * @private
+     */
+    async _getWasmFunction(cid) {
+      const registered = this._functions.get(cid);
+      if (registered) {
+        return registered.wasm ? registered : null;
+      }
+      const functionData = await this._fetchFunctionData(cid);
+      return functionData.wasmCid ? this._loadWasm(cid, functionData) : null;
+    }
+
+    /**
+     * Fetch and check a stored { source | wasmCid, metadata, dcxVersion } record
+     * @private
+     */
+    async _fetchFunctionData(cid) {
+      const functionData = await this._store.fetch(cid);
+      if (!functionData) {
+        throw new Error('Function not found: ' + cid);
+      }
+      if (typeof functionData !== 'object' ||
+          (typeof functionData.source !== 'string' && typeof functionData.wasmCid !== 'string')) {
+        throw new Error('Not a function record: ' + cid);
+      }
+      if (!isCompatibleVersion(functionData.dcxVersion)) {
+        throw new Error(
+          `Incompatible DCX version for ${cid}: ${functionData.dcxVersion} (runtime ${DCX_VERSION})`
+        );
+      }
+      return functionData;
+    }
+
     // ==========================================
     // EVENT SYSTEM
     // ==========================================
@@ -216,30 +791,26 @@
     // ==========================================
 
     /**
-     * Check all resource bounds
+     * Check all resource bounds of one execution
+     * @param {ExecutionState} state - Execution to check
      * @returns {Object} { valid, reason?, current?, limit? }
      */
-    _checkBounds() {
-      const pulse = this._currentPulse;
-      if (!pulse) {
-        return { valid: true };
-      }
-
-      const bounds = pulse.bounds;
+    _checkBounds(state) {
+      const bounds = state.pulse.bounds;
 
-      if (this._stepCount >= bounds.maxSteps) {
-        return { valid: false, reason: 'maxSteps', current: this._stepCount, limit: bounds.maxSteps };
+      if (state.stepCount >= bounds.maxSteps) {
+        return { valid: false, reason: 'maxSteps', current: state.stepCount, limit: bounds.maxSteps };
       }
 
-      if (this._memoryUsed >= bounds.maxMemoryBytes) {
-        return { valid: false, reason: 'maxMemoryBytes', current: this._memoryUsed, limit: bounds.maxMemoryBytes };
+      if (state.memoryUsed >= bounds.maxMemoryBytes) {
+        return { valid: false, reason: 'maxMemoryBytes', current: state.memoryUsed, limit: bounds.maxMemoryBytes };
       }
 
-      if (this._branchDepth >= bounds.maxBranchDepth) {
-        return { valid: false, reason: 'maxBranchDepth', current: this._branchDepth, limit: bounds.maxBranchDepth };
+      if (state.branchDepth >= bounds.maxBranchDepth) {
+        return { valid: false, reason: 'maxBranchDepth', current: state.branchDepth, limit: bounds.maxBranchDepth };
       }
 
-      const elapsed = Date.now() - this._startTime;
+      const elapsed = Date.now() - state.startTime;
       if (elapsed >= bounds.maxExecutionMs) {
         return { valid: false, reason: 'maxExecutionMs', current: elapsed, limit: bounds.maxExecutionMs };
       }
@@ -251,11 +822,12 @@
      * Enforce bounds, throw if violated
      * @private
      */
-    _enforceBounds() {
-      const check = this._checkBounds();
+    _enforceBounds(state) {
+      this._checkCancelled(state);
+      const check = this._checkBounds(state);
       if (!check.valid) {
-        this._aborted = true;
-        this._emit('boundViolation', check);
+        state.aborted = true;
+        this._emit('boundViolation', { executionId: state.id, ...check });
         throw new BoundViolationError(check.reason, check.current, check.limit);
       }
     }
@@ -267,12 +839,13 @@
 
     /**
      * Create execution context for a function
+     * @param {ExecutionState} state - Execution the context is bound to
      * @returns {Object} Execution context
      */
-    _createContext() {
+    _createContext(state) {
       const runtime = this;
       
-      return Object.freeze({
+      const ctx = Object.freeze({
         /**
          * Record an execution step
          * @param {string} operation - Operation name
@@ -281,29 +854,36 @@
          * @returns {any} The result (pass-through)
          */
         step: function(operation, args, result) {
-          runtime._stepCount++;
+          runtime._checkCancelled(state);
+          if (state.inspection) {
+            runtime._checkInspectionHalt(state);
+          }
+          state.stepCount++;
           
           // Serialize args/result safely
           const safeArgs = runtime._safeSerialize(args);
           const safeResult = runtime._safeSerialize(result);
           
-          if (runtime._trace) {
-            runtime._trace.addStep(
-              runtime._stepCount,
-              operation,
-              safeArgs,
-              safeResult,
-              runtime._memoryUsed
-            );
+          state.trace.addStep(
+            state.stepCount,
+            operation,
+            safeArgs,
+            safeResult,
+            state.memoryUsed
+          );
+          
+          if (state.inspection) {
+            runtime._inspectStep(state, operation, args, result);
           }
           
           runtime._emit('step', {
-            stepCount: runtime._stepCount,
+            executionId: state.id,
+            stepCount: state.stepCount,
             operation: operation,
-            usage: runtime._getUsage()
+            usage: state.getUsage()
           });
           
-          runtime._enforceBounds();
+          runtime._enforceBounds(state);
           
           return result;
         },
@@ -314,8 +894,8 @@
          * @returns {number} Bytes allocated
          */
         allocate: function(bytes) {
-          runtime._memoryUsed += bytes;
-          runtime._enforceBounds();
+          state.memoryUsed += bytes;
+          runtime._enforceBounds(state);
           return bytes;
         },
 
@@ -323,21 +903,19 @@
          * Enter a branch (for depth tracking)
          */
         enterBranch: function() {
-          runtime._branchDepth++;
-          if (runtime._trace) {
-            runtime._trace.maxBranchDepth = Math.max(
-              runtime._trace.maxBranchDepth,
-              runtime._branchDepth
-            );
-          }
-          runtime._enforceBounds();
+          state.branchDepth++;
+          state.trace.maxBranchDepth = Math.max(
+            state.trace.maxBranchDepth,
+            state.branchDepth
+          );
+          runtime._enforceBounds(state);
         },
 
         /**
          * Exit a branch
          */
         exitBranch: function() {
-          runtime._branchDepth = Math.max(0, runtime._branchDepth - 1);
+          state.branchDepth = Math.max(0, state.branchDepth - 1);
         },
 
         /**
@@ -345,7 +923,7 @@
          * @returns {boolean}
          */
         isAborted: function() {
-          return runtime._aborted;
+          return state.aborted;
         },
 
         /**
@@ -353,7 +931,7 @@
          * @returns {Object}
          */
         getUsage: function() {
-          return runtime._getUsage();
+          return state.getUsage();
         },
 
         /**
@@ -361,22 +939,65 @@
          * @returns {Object}
          */
         getBounds: function() {
-          return runtime._currentPulse ? { ...runtime._currentPulse.bounds } : null;
+          return { ...state.pulse.bounds };
+        },
+
+        /**
+         * Deterministic random number, seeded from the pulse's CIDs
+         * Each draw is recorded as a step so replay reproduces it.
+         * @returns {number} Float in [0, 1)
+         */
+        random: function() {
+          return ctx.step('ctx.random', null, state.random());
+        },
+
+        /**
+         * Logical clock: the pulse's logicalTick, never wall time
+         * @returns {number}
+         */
+        now: function() {
+          return ctx.step('ctx.now', null, state.pulse.logicalTick);
+        },
+
+        /**
+         * Run another function as a child pulse
+         * Bounds default to (and are capped by) the remaining budget;
+         * the child's usage is charged to this pulse.
+         * @param {string} functionCid - Function CID
+         * @param {any} input - Child input
+         * @param {Object} bounds - Optional child bounds
+         * @returns {Promise<any>} Child output
+         */
+        invoke: function(functionCid, input, bounds) {
+          return runtime._invoke(state, ctx, functionCid, input, bounds || {});
+        },
+
+        /**
+         * Save resumable state; a resume pulse continues from the latest one
+         * @param {any} value - JSON-serializable state
+         * @returns {Promise<string>} Checkpoint CID
+         */
+        checkpoint: async function(value) {
+          const checkpointCid = await runtime._store.store({
+            functionCid: state.pulse.functionCid,
+            inputCid: state.pulse.inputCid,
+            step: state.stepCount,
+            state: runtime._safeSerialize(value)
+          });
+          state.trace.checkpointCid = checkpointCid;
+          return ctx.step('ctx.checkpoint', null, checkpointCid);
+        },
+
+        /**
+         * Get the state this pulse resumes from
+         * @returns {any} Checkpoint state, or null for fresh pulses
+         */
+        getCheckpoint: function() {
+          return runtime._safeSerialize(state.checkpoint);
         }
       });
-    }
-
-    /**
-     * Get current resource usage
-     * @private
-     */
-    _getUsage() {
-      return {
-        steps: this._stepCount,
-        memory: this._memoryUsed,
-        branchDepth: this._branchDepth,
-        elapsed: this._startTime ? Date.now() - this._startTime : 0
-      };
+      
+      return ctx;
     }
 
     /**
@@ -410,19 +1031,29 @@
       
       // Store input and get CID
       let inputCid = options.inputCid;
-      if (options.input !== undefined && !inputCid) {
+      if (options.input instanceof Uint8Array && !inputCid) {
+        const MerkleDAG = getMerkleDAG();
+        if (!MerkleDAG) {
+          throw new Error('MerkleDAG not available');
+        }
+        inputCid = await MerkleDAG.storeBytes(this._store, options.input, this._chunking);
+      } else if (options.input !== undefined && !inputCid) {
         inputCid = await this._store.store(options.input);
       }
       
       // Register or use existing function CID
       let functionCid = options.functionCid;
       if (options.fn && !functionCid) {
-        functionCid = await this.registerFunction(options.fn, options.fnMetadata || {});
+        functionCid = await this.registerFunction(options.fn, options.fnMetadata || {}, {
+          instrument: options.instrument
+        });
       }
       
       // Create pulse template
       const pulse = PulseSchema.createPulseTemplate({
         parentPulseId: options.parentPulseId,
+        parentPulseIds: options.parentPulseIds,
+        checkpointCid: options.checkpointCid,
         logicalTick: options.logicalTick || 0,
         maxSteps: options.maxSteps,
         maxMemoryBytes: options.maxMemoryBytes,
@@ -437,73 +1068,185 @@
     }
 
     /**
-     * Execute a Pulse
-     * @param {Object} pulse - Pulse to execute
-     * @returns {Promise<Object>} Execution result
+     * Create a pulse that resumes a finished pulse from its latest checkpoint
+     * Bounds are fresh: pass them in options, or get the defaults.
+     * @param {Object} pulse - Checkpointed pulse (usually violated)
+     * @param {Object} options - Bounds and logicalTick for the resume pulse
+     * @returns {Promise<Object>} Resume pulse
      */
-    async execute(pulse) {
-      const PulseSchema = root.PulseSchema || 
-        (typeof require === 'function' ? require('./pulse-schema.js') : null);
-      
-      // Validate pulse
-      const validation = PulseSchema.validatePulse(pulse);
-      if (!validation.valid) {
-        return {
-          success: false,
-          pulse: pulse,
-          error: { type: 'ValidationError', message: validation.errors.join(', ') }
-        };
+    async createResumePulse(pulse, options = {}) {
+      const trace = pulse.traceCid ? await this._store.fetch(pulse.traceCid) : null;
+      if (!pulse.pulseId || !trace || !trace.checkpointCid) {
+        throw new Error('Pulse has no checkpoint to resume from: ' + pulse.pulseId);
       }
       
-      // Reset runtime state
-      this._currentPulse = pulse;
-      this._trace = new ExecutionTrace();
-      this._stepCount = 0;
-      this._memoryUsed = 0;
-      this._branchDepth = 0;
-      this._startTime = Date.now();
-      this._aborted = false;
-      
-      // Set trace metadata
-      this._trace.deterministicSeed = pulse.inputCid;
-      this._trace.startTime = new Date().toISOString();
-      
-      pulse.status = PulseSchema.PulseStatus.EXECUTING;
+      return this.createPulse({
+        inputCid: pulse.inputCid,
+        functionCid: pulse.functionCid,
+        parentPulseId: pulse.pulseId,
+        checkpointCid: trace.checkpointCid,
+        logicalTick: options.logicalTick !== undefined ? options.logicalTick : pulse.logicalTick + 1,
+        maxSteps: options.maxSteps,
+        maxMemoryBytes: options.maxMemoryBytes,
+        maxBranchDepth: options.maxBranchDepth,
+        maxExecutionMs: options.maxExecutionMs,
+        author: options.author || pulse.author
+      });
+    }
 
-      try {
+    /**
+     * Fetch a resume pulse's checkpoint and check it belongs to the pulse
+     * @private
+     */
+    async _fetchCheckpoint(pulse) {
+      const checkpoint = await this._store.fetch(pulse.checkpointCid);
+      if (!checkpoint || typeof checkpoint !== 'object' || !('state' in checkpoint)) {
+        throw new Error('Checkpoint not found: ' + pulse.checkpointCid);
+      }
+      if (checkpoint.functionCid !== pulse.functionCid || checkpoint.inputCid !== pulse.inputCid) {
+        throw new Error('Checkpoint does not belong to this function and input: ' + pulse.checkpointCid);
+      }
+      return checkpoint.state;
+    }
+
+    /**
+     * Fetch a pulse input, reassembling chunked byte inputs
+     * @private
+     */
+    async _fetchInput(inputCid) {
+      const input = await this._store.fetch(inputCid);
+      const MerkleDAG = getMerkleDAG();
+      if (MerkleDAG && MerkleDAG.isManifest(input)) {
+        return MerkleDAG.fetchBytes(this._store, inputCid);
+      }
+      return input;
+    }
+
+    /**
+     * Execute a Pulse
+     * @param {Object} pulse - Pulse to execute
+     * @param {Object} options - Execution options
+     * @param {AbortSignal} options.signal - Cancels the pulse (and its children) when aborted
+     * @returns {Promise<Object>} Execution result
+     */
+    async execute(pulse, options = {}) {
+      if (!this._memoize) {
+        return this._execute(pulse, options);
+      }
+      
+      const PulseSchema = root.PulseSchema || 
+        (typeof require === 'function' ? require('./pulse-schema.js') : null);
+      if (!PulseSchema.validatePulse(pulse).valid) {
+        return this._execute(pulse, options);
+      }
+      
+      const key = this._memoKey(pulse);
+      const hit = await this._memoLookup(key, pulse);
+      if (hit) {
+        return hit;
+      }
+      
+      const result = await this._execute(pulse, options);
+      result.memoHit = false;
+      if (result.success) {
+        this._memo.set(key, result.pulse.pulseId);
+        this._memoDirty = true;
+      }
+      return result;
+    }
+
+    /**
+     * Validate and run a pulse, bypassing the memo index
+     * @private
+     */
+    async _execute(pulse, options = {}) {
+      const PulseSchema = root.PulseSchema || 
+        (typeof require === 'function' ? require('./pulse-schema.js') : null);
+      
+      // Validate pulse
+      const validation = PulseSchema.validatePulse(pulse);
+      if (!validation.valid) {
+        return {
+          success: false,
+          pulse: pulse,
+          error: { type: 'ValidationError', message: validation.errors.join(', ') }
+        };
+      }
+      
+      // Fresh state for this execution only
+      const state = new ExecutionState(this._nextExecutionId++, pulse, this._traceOptions);
+      state.signal = options.signal || null;
+      return this._run(state);
+    }
+
+    /**
+     * Run a validated pulse on its execution state
+     * @private
+     */
+    async _run(state) {
+      const PulseSchema = root.PulseSchema || 
+        (typeof require === 'function' ? require('./pulse-schema.js') : null);
+      
+      const pulse = state.pulse;
+      this._executions.set(state.id, state);
+      const trace = state.trace;
+      
+      // Set trace metadata (a resume pulse keeps its checkpoint until it emits a new one)
+      trace.deterministicSeed = pulse.inputCid;
+      trace.checkpointCid = pulse.checkpointCid || null;
+      
+      pulse.status = PulseSchema.PulseStatus.EXECUTING;
+      const stopWatching = this._watchSignal(state);
+
+      try {
+        this._checkCancelled(state);
+        
         // Fetch input
-        const input = pulse.inputCid ? await this._store.fetch(pulse.inputCid) : null;
+        const input = pulse.inputCid ? await this._fetchInput(pulse.inputCid) : null;
         
-        // Get function
-        const fnEntry = this.getFunction(pulse.functionCid);
-        if (!fnEntry) {
-          throw new Error('Function not found: ' + pulse.functionCid);
+        if (pulse.checkpointCid) {
+          state.checkpoint = await this._fetchCheckpoint(pulse);
         }
         
         // Create execution context
-        const ctx = this._createContext();
+        const ctx = this._createContext(state);
         
         // Execute function with bounds
-        const output = await fnEntry.fn(input, ctx);
+        let output;
+        const wasmEntry = await this._getWasmFunction(pulse.functionCid);
+        if (wasmEntry) {
+          output = this._executeWasm(state, wasmEntry, input, ctx);
+        } else if (this._executionMode === ExecutionMode.SANDBOX) {
+          output = await this._untilCancelled(state, this._executeSandboxed(state, input, ctx));
+        } else {
+          const fnEntry = await this.loadFunction(pulse.functionCid);
+          output = await this._untilCancelled(state, fnEntry.fn(input, ctx));
+        }
+        this._checkCancelled(state);
         
         // Store output
         pulse.outputCid = await this._store.store(output);
         
         // Finalize trace
-        this._trace.endTime = new Date().toISOString();
-        pulse.traceCid = await this._store.store(this._trace.toJSON());
+        pulse.traceCid = await trace.persist(this._store);
+        state.receipt = this._createReceipt(state);
         
         // Set final status
         pulse.status = PulseSchema.PulseStatus.COMPLETED;
         
-        // Generate pulse ID
-        pulse.pulseId = await this._store.store(pulse);
+        // Generate pulse ID (debugger re-executions are not stored)
+        if (!state.inspection) {
+          await this._seal(state);
+        }
         
         const result = {
           success: true,
           pulse: pulse,
           output: output,
-          trace: this._trace.toJSON()
+          trace: trace.toJSON(),
+          receipt: state.receipt,
+          usage: state.getUsage(),
+          children: state.children.map(child => child.pulse)
         };
         
         this._emit('complete', result);
@@ -512,13 +1255,20 @@
 
       } catch (error) {
         // Finalize trace
-        this._trace.endTime = new Date().toISOString();
-        pulse.traceCid = await this._store.store(this._trace.toJSON());
+        pulse.traceCid = await trace.persist(this._store);
+        state.receipt = this._createReceipt(state);
         
-        // Set error status
-        pulse.status = error instanceof BoundViolationError 
-          ? PulseSchema.PulseStatus.VIOLATED 
-          : PulseSchema.PulseStatus.FAILED;
+        // Set error status (cancellation wins over whatever the function threw next)
+        if (state.cancelled && !(error instanceof CancellationError)) {
+          error = new CancellationError(state.signal.reason);
+        }
+        if (error instanceof CancellationError) {
+          pulse.status = PulseSchema.PulseStatus.CANCELLED;
+        } else {
+          pulse.status = error instanceof BoundViolationError 
+            ? PulseSchema.PulseStatus.VIOLATED 
+            : PulseSchema.PulseStatus.FAILED;
+        }
         
         pulse.error = {
           type: error.name || 'Error',
@@ -529,16 +1279,23 @@
           pulse.error.reason = error.reason;
           pulse.error.current = error.current;
           pulse.error.limit = error.limit;
+        } else if (error.name === 'DeterminismViolationError') {
+          pulse.error.reason = error.operation;
         }
         
-        // Generate pulse ID
-        pulse.pulseId = await this._store.store(pulse);
+        // Generate pulse ID (debugger re-executions are not stored)
+        if (!state.inspection) {
+          await this._seal(state);
+        }
         
         const result = {
           success: false,
           pulse: pulse,
           error: pulse.error,
-          trace: this._trace.toJSON()
+          trace: trace.toJSON(),
+          receipt: state.receipt,
+          usage: state.getUsage(),
+          children: state.children.map(child => child.pulse)
         };
         
         this._emit('error', result);
@@ -546,8 +1303,463 @@
         return result;
 
       } finally {
-        this._currentPulse = null;
+        stopWatching();
+        this._executions.delete(state.id);
+      }
+    }
+
+    /**
+     * Follow an execution's abort signal
+     * Once it aborts, the next ctx call throws and the pending
+     * function result is abandoned.
+     * @returns {Function} Detaches the listener
+     * @private
+     */
+    _watchSignal(state) {
+      const signal = state.signal;
+      if (!signal) {
+        return () => {};
+      }
+      
+      let onAbort = null;
+      state.cancellation = new Promise((resolve, reject) => {
+        onAbort = () => {
+          state.aborted = true;
+          state.cancelled = true;
+          reject(new CancellationError(signal.reason));
+        };
+      });
+      state.cancellation.catch(() => {});
+      
+      if (signal.aborted) {
+        onAbort();
+        return () => {};
+      }
+      signal.addEventListener('abort', onAbort, { once: true });
+      return () => signal.removeEventListener('abort', onAbort);
+    }
+
+    /**
+     * Wait for function work unless the execution is cancelled first
+     * @private
+     */
+    _untilCancelled(state, work) {
+      return state.cancellation ? Promise.race([work, state.cancellation]) : work;
+    }
+
+    /**
+     * Throw if the execution has been cancelled
+     * @private
+     */
+    _checkCancelled(state) {
+      if (state.cancelled) {
+        throw new CancellationError(state.signal.reason);
+      }
+    }
+
+    /**
+     * Store a finished pulse and set its ID
+     * Child pulses are sealed once their parent has an ID, since that
+     * ID only exists after the parent (and its children) finished.
+     * @private
+     */
+    async _seal(state) {
+      if (state.parent && !state.parent.pulse.pulseId) {
+        return;
+      }
+      if (state.parent) {
+        state.pulse.parentPulseId = state.parent.pulse.pulseId;
+      }
+      state.pulse.pulseId = await this._store.store(state.pulse);
+      this._recordReceipt(state);
+      for (const child of state.children) {
+        await this._seal(child);
+      }
+    }
+
+    /**
+     * Create the timing receipt of a finished execution
+     * @private
+     */
+    _createReceipt(state) {
+      const endTime = Date.now();
+      return {
+        pulseId: null,
+        traceCid: state.pulse.traceCid,
+        executionId: state.id,
+        executionMode: this._executionMode,
+        startTime: new Date(state.startTime).toISOString(),
+        endTime: new Date(endTime).toISOString(),
+        durationMs: endTime - state.startTime
+      };
+    }
+
+    /**
+     * Keep a sealed execution's receipt, dropping the oldest past the cap
+     * @private
+     */
+    _recordReceipt(state) {
+      if (!state.receipt) {
+        return;
+      }
+      state.receipt.pulseId = state.pulse.pulseId;
+      this._receipts.delete(state.pulse.pulseId);
+      this._receipts.set(state.pulse.pulseId, state.receipt);
+      if (this._receipts.size > MAX_RECEIPTS) {
+        this._receipts.delete(this._receipts.keys().next().value);
+      }
+    }
+
+    /**
+     * Get the latest execution receipt (wall-clock timing) of a pulse
+     * Receipts are not content-addressed and only kept in memory.
+     * Replays of a pulse share its ID, so the newest one wins.
+     * @param {string} pulseId - Pulse ID
+     * @returns {Object|null} { pulseId, traceCid, executionId, executionMode, startTime, endTime, durationMs }
+     */
+    getReceipt(pulseId) {
+      return this._receipts.get(pulseId) || null;
+    }
+
+    /**
+     * Run a function as a child pulse of a running execution
+     * @param {ExecutionState} state - Invoking execution
+     * @param {Object} ctx - Invoking execution's context
+     * @param {string} functionCid - Child function CID
+     * @param {any} input - Child input
+     * @param {Object} requested - Requested child bounds
+     * @returns {Promise<any>} Child output
+     * @private
+     */
+    async _invoke(state, ctx, functionCid, input, requested = {}) {
+      const parentBounds = state.pulse.bounds;
+      const remaining = {
+        maxSteps: parentBounds.maxSteps - state.stepCount - 1,  // keep one for the invoke step
+        maxMemoryBytes: parentBounds.maxMemoryBytes - state.memoryUsed,
+        maxBranchDepth: parentBounds.maxBranchDepth - state.branchDepth,
+        maxExecutionMs: parentBounds.maxExecutionMs - (Date.now() - state.startTime)
+      };
+      
+      const bounds = {};
+      for (const key of Object.keys(remaining)) {
+        const limit = requested[key] === undefined
+          ? remaining[key]
+          : Math.min(Math.floor(requested[key]), remaining[key]);
+        if (!(limit >= 1)) {
+          const check = { valid: false, reason: key, current: parentBounds[key] - remaining[key], limit: parentBounds[key] };
+          state.aborted = true;
+          this._emit('boundViolation', { executionId: state.id, ...check });
+          throw new BoundViolationError(check.reason, check.current, check.limit);
+        }
+        bounds[key] = limit;
+      }
+      
+      const childPulse = await this.createPulse({
+        input: input,
+        functionCid: functionCid,
+        logicalTick: state.pulse.logicalTick,
+        author: state.pulse.author,
+        ...bounds
+      });
+      const child = new ExecutionState(this._nextExecutionId++, childPulse, this._traceOptions);
+      child.parent = state;
+      child.signal = state.signal;
+      state.children.push(child);
+      
+      const result = await this._run(child);
+      
+      // The child's usage is spent from the parent's budget
+      state.stepCount += result.trace.totalSteps;
+      state.memoryUsed += result.trace.peakMemory;
+      
+      const record = {
+        status: result.pulse.status,
+        outputCid: result.pulse.outputCid,
+        traceCid: result.pulse.traceCid
+      };
+      ctx.step(
+        'ctx.invoke',
+        { functionCid: functionCid, inputCid: child.pulse.inputCid },
+        record
+      );
+      
+      if (!result.success) {
+        if (result.pulse.status === 'violated') {
+          throw new BoundViolationError(result.error.reason, result.error.current, result.error.limit);
+        }
+        if (result.pulse.status === 'cancelled') {
+          throw new CancellationError(state.signal && state.signal.reason);
+        }
+        throw new Error('Child pulse failed: ' + result.error.message);
+      }
+      
+      return result.output;
+    }
+
+    /**
+     * Execute several pulses with bounded parallelism
+     * Each execution gets its own state and context.
+     * @param {Object[]} pulses - Pulses to execute
+     * @param {Object} options - Pool options
+     * @param {number} options.concurrency - Max in-flight executions (default 4)
+     * @param {AbortSignal} options.signal - Cancels every pulse of the batch
+     * @returns {Promise<Object[]>} Execution results, in input order
+     */
+    async executeMany(pulses, options = {}) {
+      const concurrency = options.concurrency === undefined
+        ? DEFAULT_CONCURRENCY
+        : options.concurrency;
+      if (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > MAX_CONCURRENCY) {
+        throw new Error(`executeMany concurrency must be an integer between 1 and ${MAX_CONCURRENCY}`);
+      }
+      
+      const results = new Array(pulses.length);
+      let next = 0;
+      
+      const worker = async () => {
+        while (next < pulses.length) {
+          const index = next++;
+          results[index] = await this.execute(pulses[index], { signal: options.signal });
+        }
+      };
+      
+      const workers = [];
+      for (let i = 0; i < Math.min(concurrency, pulses.length); i++) {
+        workers.push(worker());
+      }
+      await Promise.all(workers);
+      
+      return results;
+    }
+
+    /**
+     * Get the number of in-flight executions
+     * @returns {number}
+     */
+    getActiveExecutionCount() {
+      return this._executions.size;
+    }
+
+    /**
+     * Run the stored function source in an isolated realm
+     * @private
+     */
+    async _executeSandboxed(state, input, ctx) {
+      const pulse = state.pulse;
+      const Sandbox = getSandbox();
+      if (!Sandbox || !Sandbox.isAvailable()) {
+        throw new Error('Sandbox execution mode is not available in this environment');
+      }
+      
+      const registered = this._functions.get(pulse.functionCid);
+      const functionData = registered || await this._fetchFunctionData(pulse.functionCid);
+      
+      const limit = pulse.bounds.maxExecutionMs;
+      try {
+        return await Sandbox.run({
+          source: functionData.source,
+          input: input,
+          ctx: ctx,
+          timeoutMs: limit - (Date.now() - state.startTime),
+          filename: pulse.functionCid
+        });
+      } catch (error) {
+        // Errors crossing the realm boundary lose their host class
+        if (error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+          state.aborted = true;
+          throw new BoundViolationError('maxExecutionMs', Date.now() - state.startTime, limit);
+        }
+        if (error.name === 'BoundViolationError' && !(error instanceof BoundViolationError)) {
+          throw new BoundViolationError(error.reason, error.current, error.limit);
+        }
+        throw error;
+      }
+    }
+
+    /**
+     * Run a metered WebAssembly function
+     * Fuel and memory come out of the pulse's remaining bounds; the
+     * call is recorded as one 'wasm:call' step charged with its fuel.
+     * @private
+     */
+    _executeWasm(state, entry, input, ctx) {
+      const bounds = state.pulse.bounds;
+      const result = getWasm().run(entry.wasm, input, {
+        fuel: Math.max(0, bounds.maxSteps - state.stepCount),
+        memoryBytes: Math.max(0, bounds.maxMemoryBytes - state.memoryUsed)
+      });
+      
+      ctx.allocate(result.memoryBytes);
+      state.stepCount += Math.max(0, result.fuelUsed - 1);  // the step below is the last unit
+      ctx.step(
+        'wasm:call',
+        { entry: entry.wasm.entry, wasmCid: entry.wasmCid },
+        { fuel: result.fuelUsed, memoryBytes: result.memoryBytes }
+      );
+      
+      return result.output;
+    }
+
+    // ==========================================
+    // RESULT MEMOIZATION
+    // ==========================================
+
+    /**
+     * Memo key of a pulse
+     * Besides function, input and bounds, the logical tick (ctx.now)
+     * and resume checkpoint (ctx.getCheckpoint) are observable. Author
+     * and parent links are part of the stored pulse, so a hit never
+     * hands out another caller's provenance.
+     * @private
+     */
+    _memoKey(pulse) {
+      const bounds = pulse.bounds;
+      return JSON.stringify([
+        pulse.author,
+        pulse.parentPulseId || null,
+        pulse.parentPulseIds || null,
+        pulse.functionCid,
+        pulse.inputCid,
+        bounds.maxSteps,
+        bounds.maxMemoryBytes,
+        bounds.maxBranchDepth,
+        bounds.maxExecutionMs,
+        pulse.logicalTick || 0,
+        pulse.checkpointCid || null
+      ]);
+    }
+
+    /**
+     * Load the memo index given at construction, once
+     * Entries recorded since take precedence.
+     * @private
+     */
+    async _loadMemoIndex() {
+      if (this._memoLoaded) {
+        return;
+      }
+      this._memoLoaded = true;
+      
+      const index = await this._store.fetch(this._memoIndexCid);
+      if (!index || index.type !== MEMO_INDEX_TYPE || index.version !== MEMO_INDEX_VERSION) {
+        throw new Error('Not a memo index: ' + this._memoIndexCid);
+      }
+      for (const [key, pulseId] of index.entries) {
+        if (!this._memo.has(key)) {
+          this._memo.set(key, pulseId);
+        }
+      }
+    }
+
+    /**
+     * Build the execution result of a memoized pulse
+     * The caller's pulse takes the cached output, trace and status, as
+     * if it had run. Returns null (and drops the entry) when the cached
+     * pulse is gone from the store or fails its spot check.
+     * @private
+     */
+    async _memoLookup(key, pulse) {
+      await this._loadMemoIndex();
+      
+      const pulseId = this._memo.get(key);
+      const cached = pulseId ? await this._store.fetch(pulseId) : null;
+      if (!cached || cached.status !== 'completed') {
+        if (pulseId) {
+          this._evictMemo(key);
+        }
+        this._memoStats.misses++;
+        return null;
       }
+      
+      let spotChecked = false;
+      if (this._memoSpotCheckRate > 0 && Math.random() < this._memoSpotCheckRate) {
+        spotChecked = true;
+        this._memoStats.spotChecks++;
+        const check = await this.verify(cached);
+        if (!check.valid) {
+          this._evictMemo(key);
+          this._memoStats.misses++;
+          return null;
+        }
+      }
+      
+      // Sealed like an executed pulse (same content, same CID)
+      pulse.outputCid = cached.outputCid;
+      pulse.traceCid = cached.traceCid;
+      pulse.status = cached.status;
+      pulse.pulseId = await this._store.store(pulse);
+      this._memoStats.hits++;
+      return {
+        success: true,
+        memoHit: true,
+        spotChecked: spotChecked,
+        pulse: pulse,
+        output: await this._store.fetch(pulse.outputCid),
+        trace: await this._store.fetch(pulse.traceCid),
+        receipt: this.getReceipt(pulse.pulseId),
+        children: []
+      };
+    }
+
+    /**
+     * Forget a memo entry
+     * @private
+     */
+    _evictMemo(key) {
+      this._memo.delete(key);
+      this._memoDirty = true;
+      this._memoStats.evictions++;
+    }
+
+    /**
+     * Store the memo index and return its CID
+     * Pass the CID as options.memoIndexCid to reuse the index later.
+     * @returns {Promise<string>} Memo index CID
+     */
+    async persistMemoIndex() {
+      await this._loadMemoIndex();
+      if (!this._memoDirty && this._memoIndexCid) {
+        return this._memoIndexCid;
+      }
+      
+      const entries = Array.from(this._memo.entries())
+        .sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0));
+      this._memoIndexCid = await this._store.store({
+        type: MEMO_INDEX_TYPE,
+        version: MEMO_INDEX_VERSION,
+        entries: entries
+      });
+      this._memoDirty = false;
+      return this._memoIndexCid;
+    }
+
+    /**
+     * Get the CID of the last persisted (or loaded) memo index
+     * @returns {string|null}
+     */
+    getMemoIndexCid() {
+      return this._memoIndexCid;
+    }
+
+    /**
+     * Drop all memo entries (stored pulses are kept)
+     */
+    clearMemo() {
+      this._memo.clear();
+      this._memoLoaded = true;
+      this._memoDirty = true;
+    }
+
+    /**
+     * Get memo statistics
+     * @returns {Object} { enabled, entries, hits, misses, spotChecks, evictions }
+     */
+    getMemoStats() {
+      return {
+        enabled: this._memoize,
+        entries: this._memo.size,
+        ...this._memoStats
+      };
     }
 
     // ==========================================
@@ -568,30 +1780,15 @@
         ? await this._store.fetch(pulse.traceCid) 
         : null;
       
-      // Get function
-      const fnEntry = this.getFunction(pulse.functionCid);
-      if (!fnEntry) {
-        return { valid: false, reason: 'Function not found: ' + pulse.functionCid };
+      // Get function (sandbox mode replays from the stored source)
+      try {
+        await this.loadFunction(pulse.functionCid);
+      } catch (error) {
+        return { valid: false, reason: error.message };
       }
       
-      // Create replay pulse (fresh execution)
-      const replayPulse = {
-        pulseId: null,
-        parentPulseId: pulse.parentPulseId,
-        logicalTick: pulse.logicalTick,
-        bounds: { ...pulse.bounds },
-        inputCid: pulse.inputCid,
-        functionCid: pulse.functionCid,
-        outputCid: null,
-        traceCid: null,
-        author: pulse.author,
-        signature: null,
-        status: 'pending',
-        error: null
-      };
-      
-      // Execute replay
-      const result = await this.execute(replayPulse);
+      // Execute replay (fresh execution)
+      const result = await this._execute(this._createReplayPulse(pulse));
       
       if (!result.success) {
         return {
@@ -605,10 +1802,17 @@
       const outputMatch = JSON.stringify(result.output) === JSON.stringify(expectedOutput);
       const stepsMatch = result.trace.totalSteps === (expectedTrace?.totalSteps || 0);
       
+      // Traces are deterministic, so their CIDs must match exactly.
+      // Traces stored with timestamps (before receipts) can only match on steps.
+      const legacyTrace = !!expectedTrace && 'startTime' in expectedTrace;
+      const traceMatch = legacyTrace ? stepsMatch : result.pulse.traceCid === pulse.traceCid;
+      
       return {
-        valid: outputMatch && stepsMatch,
+        valid: outputMatch && traceMatch,
         outputMatch: outputMatch,
         stepsMatch: stepsMatch,
+        traceMatch: traceMatch,
+        pulseIdMatch: result.pulse.pulseId === pulse.pulseId,
         replayOutput: result.output,
         expectedOutput: expectedOutput,
         replaySteps: result.trace.totalSteps,
@@ -636,6 +1840,156 @@
       return this.verify(pulse);
     }
 
+    /**
+     * Verify a chain of checkpointed pulses as one computation
+     * Walks back from the last resume pulse, replays every segment and
+     * checks each one reaches the checkpoint the next one resumed from.
+     * @param {Object} pulse - Last pulse of the chain
+     * @returns {Promise<Object>} Verification result
+     */
+    async verifyCheckpointChain(pulse) {
+      const chain = [pulse];
+      let current = pulse;
+      while (current.checkpointCid) {
+        const previous = await this._store.fetch(current.parentPulseId);
+        if (!previous) {
+          return { valid: false, reason: 'Chain broken: pulse not found ' + current.parentPulseId, segments: chain.length };
+        }
+        chain.unshift(previous);
+        current = previous;
+      }
+      
+      // Every segment but the last must end at the checkpoint the next resumes from
+      for (let i = 0; i < chain.length - 1; i++) {
+        const segment = chain[i];
+        const expectedTrace = segment.traceCid ? await this._store.fetch(segment.traceCid) : null;
+        if (!expectedTrace || expectedTrace.checkpointCid !== chain[i + 1].checkpointCid) {
+          return { valid: false, reason: 'Segment does not end at the resumed checkpoint', segment: i, segments: chain.length };
+        }
+        
+        // A segment cut off by a bound stops at the same step on replay
+        const replayPulse = this._createReplayPulse(segment);
+        if (segment.status === 'violated') {
+          replayPulse.bounds.maxSteps = Math.min(replayPulse.bounds.maxSteps, Math.max(1, expectedTrace.totalSteps));
+        }
+        const result = await this._execute(replayPulse);
+        
+        if (result.trace.checkpointCid !== expectedTrace.checkpointCid ||
+            result.trace.totalSteps !== expectedTrace.totalSteps) {
+          return { valid: false, reason: 'Segment replay diverged', segment: i, segments: chain.length };
+        }
+      }
+      
+      const last = await this.verify(pulse);
+      if (!last.valid) {
+        return { ...last, segment: chain.length - 1, segments: chain.length };
+      }
+      return { ...last, segments: chain.length };
+    }
+
+    // ==========================================
+    // INSPECTION (time-travel debugging)
+    // ==========================================
+
+    /**
+     * Re-execute a pulse to look at live values
+     * Stops right after step `tick` and returns the values passed to
+     * ctx.step there, uncopied. With `profile`, also returns the usage
+     * (memory, branch depth) at every tick. Nothing is sealed.
+     * @param {Object} pulse - Executed pulse
+     * @param {Object} options - Inspection options
+     * @param {number} options.tick - Tick to stop at (default: run to the end)
+     * @param {boolean} options.profile - Record usage at every tick
+     * @returns {Promise<Object>} { reached, snapshot, profile, status, output, error }
+     */
+    async inspect(pulse, options = {}) {
+      const state = new ExecutionState(this._nextExecutionId++, this._createReplayPulse(pulse), this._traceOptions);
+      state.inspection = {
+        tick: Number.isInteger(options.tick) ? options.tick : null,
+        snapshot: null,
+        profile: options.profile ? [] : null,
+        halted: false
+      };
+      
+      const result = await this._run(state);
+      const inspection = state.inspection;
+      
+      return {
+        reached: inspection.snapshot !== null,
+        snapshot: inspection.snapshot,
+        profile: inspection.profile,
+        status: inspection.halted ? 'halted' : result.pulse.status,
+        output: inspection.halted ? undefined : result.output,
+        error: inspection.halted ? null : (result.error || null)
+      };
+    }
+
+    /**
+     * Record usage at a step and halt at the inspected tick
+     * @private
+     */
+    _inspectStep(state, operation, args, result) {
+      const inspection = state.inspection;
+      if (inspection.profile) {
+        inspection.profile.push({
+          tick: state.stepCount,
+          memory: state.memoryUsed,
+          branchDepth: state.branchDepth
+        });
+      }
+      if (inspection.tick === state.stepCount) {
+        inspection.snapshot = {
+          tick: state.stepCount,
+          operation: operation,
+          args: args,
+          result: result,
+          usage: state.getUsage()
+        };
+        inspection.halted = true;
+        state.aborted = true;
+        this._checkInspectionHalt(state);
+      }
+    }
+
+    /**
+     * Stop a halted inspection at the next ctx call
+     * @private
+     */
+    _checkInspectionHalt(state) {
+      if (state.inspection.halted) {
+        throw new Error('Inspection halted at tick ' + state.inspection.tick);
+      }
+    }
+
+    /**
+     * Copy a pulse into a fresh, unexecuted pulse for replay
+     * @private
+     */
+    _createReplayPulse(pulse) {
+      const replay = {
+        pulseId: null,
+        parentPulseId: pulse.parentPulseId,
+        checkpointCid: pulse.checkpointCid || null,
+        logicalTick: pulse.logicalTick,
+        bounds: { ...pulse.bounds },
+        inputCid: pulse.inputCid,
+        functionCid: pulse.functionCid,
+        outputCid: null,
+        traceCid: null,
+        author: pulse.author,
+        signature: null,
+        status: 'pending',
+        error: null
+      };
+      if (pulse.schemaVersion) {
+        replay.schemaVersion = pulse.schemaVersion;
+      }
+      if (pulse.parentPulseIds) {
+        replay.parentPulseIds = pulse.parentPulseIds.slice();
+      }
+      return replay;
+    }
+
     // ==========================================
     // UTILITY
     // ==========================================
@@ -655,6 +2009,22 @@
     getFunctionCIDs() {
       return Array.from(this._functions.keys());
     }
+
+    /**
+     * Get the execution mode
+     * @returns {string} ExecutionMode value
+     */
+    getExecutionMode() {
+      return this._executionMode;
+    }
+
+    /**
+     * Get the trace mode
+     * @returns {string} TraceMode value
+     */
+    getTraceMode() {
+      return this._traceOptions.mode;
+    }
   }
 
   // ============================================
@@ -662,9 +2032,14 @@
   // ============================================
   const DCXModule = Object.freeze({
     VERSION: DCX_VERSION,
+    ExecutionMode: ExecutionMode,
+    TraceMode: TraceMode,
     DCXRuntime: DCXRuntime,
     ExecutionTrace: ExecutionTrace,
-    BoundViolationError: BoundViolationError
+    isCompatibleVersion: isCompatibleVersion,
+    BoundViolationError: BoundViolationError,
+    CancellationError: CancellationError,
+    DeterminismViolationError: (getSandbox() || {}).DeterminismViolationError
   });
 
   // Universal module export
@@ -0,0 +1,415 @@
+/**
+ * DCX-SANDBOX.JS - Isolated Deterministic Execution Realm
+ * Sovereign Execution Substrate - Layer 3
+ *
+ * Runs a registered function's stored source in a fresh realm:
+ * - Frozen intrinsics (no prototype pollution between pulses)
+ * - No wall clock, no entropy, no ambient I/O
+ * - Input and context values are copied into the realm
+ *
+ * The realm has its own microtask queue, drained under the execution
+ * timeout, so code after an await is bounded like synchronous code.
+ *
+ * The realm is a determinism boundary, not a security boundary.
+ * Requires the Node `vm` module (Node, Electron main process).
+ *
+ * @version 1.0.0
+ * @license Apache-2.0 / MIT
+ */
+
+(function(root) {
+  'use strict';
+
+  // ============================================
+  // DETERMINISM VIOLATION ERROR
+  // ============================================
+  class DeterminismViolationError extends Error {
+    constructor(operation) {
+      super(`Determinism violation: ${operation} is not available in the DCX sandbox`);
+      this.name = 'DeterminismViolationError';
+      this.operation = operation;
+    }
+  }
+
+  // ============================================
+  // REALM BOOTSTRAP
+  // Serialized and evaluated INSIDE the realm.
+  // Must not reference anything from this module.
+  // ============================================
+  function realmBootstrap(global) {
+    'use strict';
+
+    class DeterminismViolationError extends Error {
+      constructor(operation) {
+        super(`Determinism violation: ${operation} is not available in the DCX sandbox`);
+        this.name = 'DeterminismViolationError';
+        this.operation = operation;
+      }
+    }
+
+    function forbidden(operation) {
+      throw new DeterminismViolationError(operation);
+    }
+
+    // Intrinsics that expose GC timing, shared memory or dynamic code
+    const REMOVED = ['FinalizationRegistry', 'WeakRef', 'SharedArrayBuffer', 'Atomics', 'WebAssembly', 'Intl'];
+
+    // Ambient I/O: any access fails the pulse
+    const AMBIENT = [
+      'console', 'fetch', 'XMLHttpRequest', 'WebSocket', 'require', 'process', 'performance',
+      'crypto', 'setTimeout', 'setInterval', 'setImmediate', 'queueMicrotask',
+      'indexedDB', 'localStorage', 'sessionStorage', 'navigator', 'window', 'document'
+    ];
+
+    // Wall clock: Date only works with explicit arguments
+    const NativeDate = global.Date;
+    const DeterministicDate = function Date(...args) {
+      if (!new.target) forbidden('Date()');
+      if (args.length === 0) forbidden('new Date()');
+      return Reflect.construct(NativeDate, args, new.target);
+    };
+    DeterministicDate.prototype = NativeDate.prototype;
+    DeterministicDate.now = function now() { forbidden('Date.now'); };
+    DeterministicDate.parse = NativeDate.parse;
+    DeterministicDate.UTC = NativeDate.UTC;
+    Object.defineProperty(NativeDate.prototype, 'constructor', { value: DeterministicDate });
+    global.Date = DeterministicDate;
+
+    // Entropy
+    Math.random = function random() { forbidden('Math.random'); };
+
+    for (const name of REMOVED) {
+      delete global[name];
+    }
+    for (const name of AMBIENT) {
+      Object.defineProperty(global, name, {
+        get: function() { forbidden(name); },
+        configurable: false
+      });
+    }
+
+    // Frozen prototypes make inherited data properties read-only for
+    // instances too (`err.name = ...` would throw). Turn the commonly
+    // overridden ones into accessors that define an own property instead.
+    function enableOverride(proto, key) {
+      const desc = Object.getOwnPropertyDescriptor(proto, key);
+      if (!desc || !('value' in desc)) return;
+      const value = desc.value;
+      Object.defineProperty(proto, key, {
+        get: function() { return value; },
+        set: function(newValue) {
+          if (this === proto) {
+            throw new TypeError(`Cannot assign to read only property '${String(key)}'`);
+          }
+          Object.defineProperty(this, key, { value: newValue, writable: true, enumerable: true, configurable: true });
+        },
+        enumerable: desc.enumerable,
+        configurable: false
+      });
+    }
+
+    for (const key of ['constructor', 'toString', 'valueOf', 'hasOwnProperty', 'toLocaleString']) {
+      enableOverride(Object.prototype, key);
+    }
+    for (const ErrorType of [Error, EvalError, RangeError, ReferenceError, SyntaxError, TypeError, URIError, AggregateError]) {
+      for (const key of ['constructor', 'name', 'message', 'toString']) {
+        enableOverride(ErrorType.prototype, key);
+      }
+    }
+    enableOverride(Function.prototype, 'toString');
+
+    // Freeze every intrinsic reachable from the global object
+    const seen = new Set();
+    const pending = Object.getOwnPropertyNames(global)
+      .filter(name => !AMBIENT.includes(name) && name !== 'globalThis')
+      .map(name => global[name]);
+
+    while (pending.length > 0) {
+      const value = pending.pop();
+      if (value === null || (typeof value !== 'object' && typeof value !== 'function')) continue;
+      if (value === global || seen.has(value)) continue;
+      seen.add(value);
+      Object.freeze(value);
+      pending.push(Object.getPrototypeOf(value));
+      for (const key of Reflect.ownKeys(value)) {
+        const desc = Object.getOwnPropertyDescriptor(value, key);
+        pending.push(desc.value, desc.get, desc.set);
+      }
+    }
+
+    // Copy host values into the realm (host objects carry host prototypes)
+    function importValue(value) {
+      if (value === null || (typeof value !== 'object' && typeof value !== 'function')) {
+        return value;
+      }
+      if (typeof value.then === 'function') {
+        return new Promise((resolve, reject) => {
+          value.then(v => resolve(importValue(v)), e => reject(importError(e)));
+        });
+      }
+      return JSON.parse(JSON.stringify(value));
+    }
+
+    function importError(error) {
+      const copy = new Error(String(error && error.message));
+      copy.name = String((error && error.name) || 'Error');
+      for (const key of Object.keys(error || {})) {
+        const value = error[key];
+        if (value === null || typeof value !== 'object') {
+          copy[key] = value;
+        }
+      }
+      return copy;
+    }
+
+    // Realm-native view of the host execution context
+    function wrapContext(hostCtx) {
+      const ctx = {};
+      for (const name of Object.keys(hostCtx)) {
+        const hostFn = hostCtx[name];
+        if (typeof hostFn !== 'function') continue;
+        ctx[name] = function(...args) {
+          let value;
+          try {
+            value = hostFn(...args);
+          } catch (e) {
+            throw importError(e);
+          }
+          // Pass-through values (ctx.step result) keep their realm identity
+          return args.includes(value) ? value : importValue(value);
+        };
+      }
+      return Object.freeze(ctx);
+    }
+
+    return function invoke(entry, inputJson, hostCtx) {
+      if (typeof entry !== 'function') {
+        throw new TypeError('Function source did not evaluate to a function');
+      }
+      const input = inputJson === undefined ? undefined : JSON.parse(inputJson);
+      return entry(input, wrapContext(hostCtx));
+    };
+  }
+
+  // ============================================
+  // HOST SIDE
+  // ============================================
+  let vmModule = null;
+  let bootstrapScript = null;
+  let drainScript = null;
+
+  function getVM() {
+    if (vmModule === null && typeof require === 'function') {
+      try {
+        vmModule = require('vm');
+      } catch (e) {
+        vmModule = false;
+      }
+    }
+    return vmModule || null;
+  }
+
+  /**
+   * Check if an isolated realm can be created here
+   * @returns {boolean}
+   */
+  function isAvailable() {
+    return getVM() !== null;
+  }
+
+  /**
+   * Convert an error raised inside the realm to a host error
+   * @private
+   */
+  function exportError(error) {
+    if (error && error.name === 'DeterminismViolationError') {
+      return new DeterminismViolationError(error.operation);
+    }
+    // eval and new Function, refused by the realm's codeGeneration option
+    if (error && error.name === 'EvalError' && /code generation from strings/i.test(String(error.message))) {
+      return new DeterminismViolationError('eval/Function');
+    }
+    // import(), refused by vm for scripts without an import callback
+    if (error && error.code === 'ERR_VM_DYNAMIC_IMPORT_CALLBACK_MISSING') {
+      return new DeterminismViolationError('import()');
+    }
+    if (!error || typeof error !== 'object') {
+      return new Error(String(error));
+    }
+    // Host errors (vm timeout) pass through untouched
+    if (error instanceof Error) {
+      return error;
+    }
+    const copy = new Error(String(error.message));
+    copy.name = String(error.name || 'Error');
+    for (const key of Object.keys(error)) {
+      const value = error[key];
+      if (value === null || typeof value !== 'object') {
+        copy[key] = value;
+      }
+    }
+    return copy;
+  }
+
+  /**
+   * Same shape as the vm timeout error, for time spent waiting on the host
+   * @private
+   */
+  function timeoutError(timeoutMs) {
+    const error = new Error(`Script execution timed out after ${timeoutMs}ms`);
+    error.code = 'ERR_SCRIPT_EXECUTION_TIMEOUT';
+    return error;
+  }
+
+  /**
+   * Host context whose promises call onSettle once they settle
+   * @private
+   */
+  function notifyingContext(hostCtx, onSettle) {
+    const ctx = {};
+    for (const name of Object.keys(hostCtx)) {
+      const hostFn = hostCtx[name];
+      if (typeof hostFn !== 'function') continue;
+      ctx[name] = function(...args) {
+        const value = hostFn(...args);
+        if (value && typeof value.then === 'function') {
+          value.then(onSettle, onSettle);
+        }
+        return value;
+      };
+    }
+    return ctx;
+  }
+
+  /**
+   * Create a hardened realm
+   * Its microtasks only run after each evaluation in it, under that
+   * evaluation's timeout.
+   * @private
+   */
+  function createRealm(vm) {
+    if (!bootstrapScript) {
+      bootstrapScript = new vm.Script('(' + realmBootstrap.toString() + ')(globalThis)', {
+        filename: 'dcx-sandbox-bootstrap.js'
+      });
+    }
+    const context = vm.createContext({}, {
+      name: 'dcx-sandbox',
+      codeGeneration: { strings: false, wasm: false },
+      microtaskMode: 'afterEvaluate'
+    });
+    return { context: context, invoke: bootstrapScript.runInContext(context) };
+  }
+
+  /**
+   * Evaluate function source in a fresh isolated realm without calling it
+   * Lets untrusted stored source be checked without evaluating it in the host.
+   * @param {Object} options
+   * @param {string} options.source - Function source (as stored under its CID)
+   * @param {number} options.timeoutMs - Evaluation timeout (default 1000)
+   * @param {string} options.filename - Name shown in stack traces
+   * @returns {boolean} Whether the source evaluates to a function
+   * @throws {Error} If the source does not parse or throws while evaluated
+   */
+  function compile(options) {
+    const vm = getVM();
+    if (!vm) {
+      throw new Error('DCX sandbox requires the Node vm module');
+    }
+
+    try {
+      const { context } = createRealm(vm);
+      const entry = new vm.Script('(' + options.source + '\n)', {
+        filename: options.filename || 'dcx-function.js'
+      }).runInContext(context, { timeout: Math.max(1, Math.floor(options.timeoutMs || 1000)) });
+      return typeof entry === 'function';
+    } catch (error) {
+      throw exportError(error);
+    }
+  }
+
+  /**
+   * Run function source in a fresh isolated realm
+   * @param {Object} options
+   * @param {string} options.source - Function source (as stored under its CID)
+   * @param {any} options.input - Input value (copied into the realm)
+   * @param {Object} options.ctx - Host execution context
+   * @param {number} options.timeoutMs - Execution timeout, including time spent awaiting
+   * @param {string} options.filename - Name shown in stack traces
+   * @returns {Promise<any>} Output, copied back into the host realm
+   */
+  async function run(options) {
+    const vm = getVM();
+    if (!vm) {
+      throw new Error('DCX sandbox requires the Node vm module');
+    }
+    if (!drainScript) {
+      drainScript = new vm.Script('undefined', { filename: 'dcx-sandbox-drain.js' });
+    }
+
+    const timeoutMs = Math.max(1, Math.floor(options.timeoutMs || 1));
+    const deadline = Date.now() + timeoutMs;
+    const remaining = () => Math.max(1, deadline - Date.now());
+    const inputJson = options.input === undefined ? undefined : JSON.stringify(options.input);
+
+    let timer = null;
+    try {
+      const { context, invoke } = createRealm(vm);
+
+      // Evaluate source only after the realm is hardened
+      const entry = new vm.Script('(' + options.source + '\n)', {
+        filename: options.filename || 'dcx-function.js'
+      }).runInContext(context, { timeout: remaining() });
+
+      const output = await new Promise((resolve, reject) => {
+        // Continuations of host promises (ctx.invoke, ...) wait in the
+        // realm's queue: drain it once they have been handed over
+        const drain = () => setImmediate(() => {
+          try {
+            drainScript.runInContext(context, { timeout: remaining() });
+          } catch (error) {
+            reject(error);
+          }
+        });
+        timer = setTimeout(() => reject(timeoutError(timeoutMs)), remaining());
+
+        const hostCtx = notifyingContext(options.ctx, drain);
+        context.__dcxJob = () => invoke(entry, inputJson, hostCtx);
+        const pending = vm.runInContext(
+          '(function(job) { delete globalThis.__dcxJob; return job(); })(globalThis.__dcxJob)',
+          context,
+          { timeout: remaining() }
+        );
+        if (pending && typeof pending.then === 'function') {
+          pending.then(resolve, reject);
+          drain();
+        } else {
+          resolve(pending);
+        }
+      });
+      return output === undefined ? undefined : JSON.parse(JSON.stringify(output));
+    } catch (error) {
+      throw exportError(error);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // ============================================
+  // EXPORT
+  // ============================================
+  const DCXSandbox = Object.freeze({
+    DeterminismViolationError: DeterminismViolationError,
+    isAvailable: isAvailable,
+    compile: compile,
+    run: run
+  });
+
+  // Universal module export
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DCXSandbox;
+  } else if (typeof root !== 'undefined') {
+    root.DCXSandbox = DCXSandbox;
+  }
+
+})(typeof globalThis !== 'undefined' ? globalThis : (typeof window !== 'undefined' ? window : global));
@@ -0,0 +1,633 @@
+/**
+ * DCX-SCHEDULER.JS - Pulse Scheduler
+ * Sovereign Execution Substrate - Layer 3
+ *
+ * Queues pulses in front of a DCXRuntime:
+ * - Priority order (higher first, FIFO within a priority)
+ * - Bounded global concurrency
+ * - Per-author (DID) quotas: steps per hour, memory per hour,
+ *   concurrent executions
+ *
+ * A pulse reserves its declared bounds while it runs; afterwards only
+ * the steps and memory it actually used count against the hourly window.
+ *
+ * @version 1.0.0
+ * @license Apache-2.0 / MIT
+ */
+
+(function(root) {
+  'use strict';
+
+  const DEFAULT_CONCURRENCY = 4;
+  const HOUR_MS = 3600000;
+
+  // ============================================
+  // DEFAULT QUOTA
+  // Unlimited unless configured
+  // ============================================
+  const DEFAULT_QUOTA = Object.freeze({
+    stepsPerHour: Infinity,
+    memoryBytesPerHour: Infinity,
+    maxConcurrent: Infinity
+  });
+
+  function getDCX() {
+    return root.DCXModule ||
+      (typeof require === 'function' ? require('./dcx-runtime.js') : null);
+  }
+
+  // ============================================
+  // QUOTA EXCEEDED ERROR
+  // ============================================
+  class QuotaExceededError extends Error {
+    constructor(author, quota, requested, limit) {
+      super(`Quota exceeded for ${author}: ${quota} (${requested} > ${limit})`);
+      this.name = 'QuotaExceededError';
+      this.author = author;
+      this.quota = quota;
+      this.requested = requested;
+      this.limit = limit;
+    }
+  }
+
+  // ============================================
+  // PRIORITY QUEUE
+  // Binary max-heap on (priority, -sequence)
+  // ============================================
+  class PriorityQueue {
+    constructor() {
+      this._heap = [];
+    }
+
+    get size() {
+      return this._heap.length;
+    }
+
+    push(item) {
+      const heap = this._heap;
+      heap.push(item);
+      let i = heap.length - 1;
+      while (i > 0) {
+        const parent = (i - 1) >> 1;
+        if (!this._before(heap[i], heap[parent])) break;
+        [heap[i], heap[parent]] = [heap[parent], heap[i]];
+        i = parent;
+      }
+    }
+
+    pop() {
+      const heap = this._heap;
+      if (heap.length === 0) return null;
+      const top = heap[0];
+      const last = heap.pop();
+      if (heap.length > 0) {
+        heap[0] = last;
+        let i = 0;
+        for (;;) {
+          const left = 2 * i + 1;
+          const right = left + 1;
+          let first = i;
+          if (left < heap.length && this._before(heap[left], heap[first])) first = left;
+          if (right < heap.length && this._before(heap[right], heap[first])) first = right;
+          if (first === i) break;
+          [heap[i], heap[first]] = [heap[first], heap[i]];
+          i = first;
+        }
+      }
+      return top;
+    }
+
+    remove(item) {
+      const index = this._heap.indexOf(item);
+      if (index === -1) return false;
+      const rest = this._heap.filter((_, i) => i !== index);
+      this._heap = [];
+      for (const entry of rest) this.push(entry);
+      return true;
+    }
+
+    toArray() {
+      return this._heap.slice();
+    }
+
+    _before(a, b) {
+      return a.priority !== b.priority ? a.priority > b.priority : a.sequence < b.sequence;
+    }
+  }
+
+  // ============================================
+  // PULSE SCHEDULER
+  // ============================================
+  class PulseScheduler {
+    /**
+     * @param {DCXRuntime} runtime - Runtime that executes the pulses
+     * @param {Object} options - Scheduler options
+     * @param {number} options.concurrency - Max pulses running at once (default 4)
+     * @param {number} options.maxQueueDepth - Reject submissions beyond this many queued (default unlimited)
+     * @param {Object} options.defaultQuota - Quota for authors without their own
+     * @param {Object} options.quotas - Per-author quotas (DID -> { stepsPerHour, memoryBytesPerHour, maxConcurrent })
+     * @param {Function} options.clock - Millisecond clock (default Date.now)
+     */
+    constructor(runtime, options = {}) {
+      if (!runtime || typeof runtime.execute !== 'function') {
+        throw new Error('PulseScheduler requires a DCXRuntime');
+      }
+
+      const concurrency = options.concurrency === undefined ? DEFAULT_CONCURRENCY : options.concurrency;
+      if (!Number.isInteger(concurrency) || concurrency < 1) {
+        throw new Error('Scheduler concurrency must be a positive integer');
+      }
+
+      this._runtime = runtime;
+      this._concurrency = concurrency;
+      this._maxQueueDepth = options.maxQueueDepth === undefined ? Infinity : options.maxQueueDepth;
+      this._clock = options.clock || Date.now;
+      this._defaultQuota = { ...DEFAULT_QUOTA, ...(options.defaultQuota || {}) };
+      this._quotas = new Map();
+      for (const [author, quota] of Object.entries(options.quotas || {})) {
+        this._quotas.set(author, { ...quota });
+      }
+
+      this._queue = new PriorityQueue();
+      this._nextSequence = 1;
+      this._running = new Map();  // ticket id -> ticket
+      this._authors = new Map();  // DID -> { running, stepsReserved, memoryReserved, usage: [{ time, steps, memory }] }
+      this._wakeTimer = null;
+
+      this._metrics = {
+        submitted: 0,
+        completed: 0,
+        rejected: 0,
+        cancelled: 0,
+        waitCount: 0,
+        waitTotalMs: 0,
+        waitMaxMs: 0
+      };
+
+      // Event listeners
+      this._listeners = {
+        queued: [],
+        started: [],
+        completed: [],
+        rejected: [],
+        cancelled: []
+      };
+    }
+
+    // ==========================================
+    // QUOTAS
+    // ==========================================
+
+    /**
+     * Set an author's quota (unset fields fall back to the default quota)
+     * @param {string} author - Author DID
+     * @param {Object} quota - { stepsPerHour, memoryBytesPerHour, maxConcurrent }
+     */
+    setQuota(author, quota) {
+      this._quotas.set(author, { ...quota });
+      this._dispatch();
+    }
+
+    /**
+     * Get the effective quota of an author
+     * @param {string} author - Author DID
+     * @returns {Object} { stepsPerHour, memoryBytesPerHour, maxConcurrent }
+     */
+    getQuota(author) {
+      return { ...this._defaultQuota, ...(this._quotas.get(author) || {}) };
+    }
+
+    /**
+     * Get an author's current usage against their quota
+     * @param {string} author - Author DID
+     * @returns {Object} { running, queued, stepsLastHour, memoryLastHour }
+     */
+    getUsage(author) {
+      const usage = this._authorState(author);
+      return {
+        running: usage.running,
+        queued: this._queue.toArray().filter(ticket => ticket.author === author).length,
+        stepsLastHour: this._usedInWindow(usage, 'steps') + usage.stepsReserved,
+        memoryLastHour: this._usedInWindow(usage, 'memory') + usage.memoryReserved
+      };
+    }
+
+    // ==========================================
+    // SUBMISSION
+    // ==========================================
+
+    /**
+     * Queue a pulse for execution
+     * Rejects with QuotaExceededError if the pulse can never fit its
+     * author's quota, or with CancellationError if the signal aborts
+     * while it is still queued.
+     * @param {Object} pulse - Pulse to execute
+     * @param {Object} options - Submission options
+     * @param {number} options.priority - Higher runs first (default 0)
+     * @param {AbortSignal} options.signal - Cancels the pulse, queued or running
+     * @returns {Promise<Object>} Runtime execution result, plus scheduling { id, priority, waitMs }
+     */
+    submit(pulse, options = {}) {
+      const author = pulse.author || 'did:anonymous';
+      const bounds = pulse.bounds || {};
+      const ticket = {
+        id: this._nextSequence,
+        sequence: this._nextSequence++,
+        priority: typeof options.priority === 'number' ? options.priority : 0,
+        pulse: pulse,
+        author: author,
+        steps: bounds.maxSteps || 0,
+        memory: bounds.maxMemoryBytes || 0,
+        signal: options.signal || null,
+        queuedAt: this._clock(),
+        resolve: null,
+        reject: null
+      };
+      this._metrics.submitted++;
+
+      const promise = new Promise((resolve, reject) => {
+        ticket.resolve = resolve;
+        ticket.reject = reject;
+      });
+
+      const admission = this._checkAdmission(ticket);
+      if (admission) {
+        this._reject(ticket, admission);
+        return promise;
+      }
+      if (ticket.signal && ticket.signal.aborted) {
+        this._cancelQueued(ticket);
+        return promise;
+      }
+
+      if (ticket.signal) {
+        ticket.onAbort = () => this._cancelQueued(ticket);
+        ticket.signal.addEventListener('abort', ticket.onAbort, { once: true });
+      }
+      this._queue.push(ticket);
+      this._emit('queued', this._describe(ticket));
+      this._dispatch();
+
+      return promise;
+    }
+
+    /**
+     * Errors for pulses that could never be scheduled
+     * @private
+     */
+    _checkAdmission(ticket) {
+      if (this._queue.size >= this._maxQueueDepth) {
+        return new Error(`Scheduler queue is full (${this._maxQueueDepth})`);
+      }
+      const quota = this.getQuota(ticket.author);
+      if (ticket.steps > quota.stepsPerHour) {
+        return new QuotaExceededError(ticket.author, 'stepsPerHour', ticket.steps, quota.stepsPerHour);
+      }
+      if (ticket.memory > quota.memoryBytesPerHour) {
+        return new QuotaExceededError(ticket.author, 'memoryBytesPerHour', ticket.memory, quota.memoryBytesPerHour);
+      }
+      if (quota.maxConcurrent < 1) {
+        return new QuotaExceededError(ticket.author, 'maxConcurrent', 1, quota.maxConcurrent);
+      }
+      return null;
+    }
+
+    /**
+     * Reject a submission
+     * @private
+     */
+    _reject(ticket, error) {
+      this._metrics.rejected++;
+      this._emit('rejected', { ...this._describe(ticket), reason: error.message });
+      ticket.reject(error);
+    }
+
+    /**
+     * Drop a queued pulse whose signal aborted (running pulses are
+     * cancelled by the runtime through the same signal)
+     * @private
+     */
+    _cancelQueued(ticket) {
+      if (this._running.has(ticket.id)) {
+        return;
+      }
+      this._queue.remove(ticket);
+      this._metrics.cancelled++;
+      this._emit('cancelled', this._describe(ticket));
+      const DCX = getDCX();
+      const CancellationErrorClass = (DCX && DCX.CancellationError) || Error;
+      ticket.reject(new CancellationErrorClass(ticket.signal.reason));
+      this._dispatch();
+    }
+
+    // ==========================================
+    // DISPATCH
+    // ==========================================
+
+    /**
+     * Start queued pulses while capacity and quotas allow
+     * @private
+     */
+    _dispatch() {
+      if (this._wakeTimer) {
+        clearTimeout(this._wakeTimer);
+        this._wakeTimer = null;
+      }
+
+      const blocked = [];
+      let wakeAt = Infinity;
+      while (this._running.size < this._concurrency && this._queue.size > 0) {
+        const ticket = this._queue.pop();
+        const wait = this._quotaWait(ticket);
+        if (wait === 0) {
+          this._start(ticket);
+        } else {
+          blocked.push(ticket);
+          wakeAt = Math.min(wakeAt, wait);
+        }
+      }
+      for (const ticket of blocked) {
+        this._queue.push(ticket);
+      }
+
+      // Only the hourly window frees up by itself; completions redispatch
+      if (wakeAt !== Infinity && this._queue.size > 0) {
+        this._wakeTimer = setTimeout(() => {
+          this._wakeTimer = null;
+          this._dispatch();
+        }, wakeAt);
+        if (this._wakeTimer && typeof this._wakeTimer.unref === 'function') {
+          this._wakeTimer.unref();
+        }
+      }
+    }
+
+    /**
+     * 0 if the ticket's author has room for it now; otherwise the
+     * milliseconds until the hourly window frees enough room, or
+     * Infinity if only a running pulse finishing can make room
+     * @private
+     */
+    _quotaWait(ticket) {
+      const quota = this.getQuota(ticket.author);
+      const usage = this._authorState(ticket.author);
+
+      if (usage.running >= quota.maxConcurrent) {
+        return Infinity;
+      }
+
+      const now = this._clock();
+      this._pruneWindow(usage, now);
+      return Math.max(
+        this._windowWait(usage, 'steps', usage.stepsReserved + ticket.steps, quota.stepsPerHour, now),
+        this._windowWait(usage, 'memory', usage.memoryReserved + ticket.memory, quota.memoryBytesPerHour, now)
+      );
+    }
+
+    /**
+     * Milliseconds until the window's usage of a resource leaves room
+     * for `needed` more within `limit` (0 if it already does)
+     * @private
+     */
+    _windowWait(state, resource, needed, limit, now) {
+      let used = needed;
+      for (const entry of state.usage) used += entry[resource];
+      if (used <= limit) {
+        return 0;
+      }
+
+      // Oldest usage expires first: find when enough of it has aged out
+      for (const entry of state.usage) {
+        used -= entry[resource];
+        if (used <= limit) {
+          return Math.max(1, entry.time + HOUR_MS - now);
+        }
+      }
+      return Infinity;
+    }
+
+    /**
+     * Run a ticket and settle its promise
+     * @private
+     */
+    async _start(ticket) {
+      const usage = this._authorState(ticket.author);
+      usage.running++;
+      usage.stepsReserved += ticket.steps;
+      usage.memoryReserved += ticket.memory;
+      this._running.set(ticket.id, ticket);
+
+      const waitMs = this._clock() - ticket.queuedAt;
+      this._metrics.waitCount++;
+      this._metrics.waitTotalMs += waitMs;
+      this._metrics.waitMaxMs = Math.max(this._metrics.waitMaxMs, waitMs);
+      this._emit('started', { ...this._describe(ticket), waitMs: waitMs });
+
+      if (ticket.signal) {
+        ticket.signal.removeEventListener('abort', ticket.onAbort);
+      }
+
+      let result = null;
+      let failure = null;
+      try {
+        result = await this._runtime.execute(ticket.pulse, ticket.signal ? { signal: ticket.signal } : {});
+      } catch (error) {
+        failure = error;
+      }
+
+      this._running.delete(ticket.id);
+      usage.running--;
+      usage.stepsReserved -= ticket.steps;
+      usage.memoryReserved -= ticket.memory;
+      const steps = result && result.usage ? result.usage.steps : 0;
+      const memory = result && result.usage ? result.usage.memory : 0;
+      if (steps > 0 || memory > 0) {
+        usage.usage.push({ time: this._clock(), steps: steps, memory: memory });
+      }
+      this._metrics.completed++;
+
+      this._emit('completed', {
+        ...this._describe(ticket),
+        waitMs: waitMs,
+        status: result ? result.pulse.status : 'failed',
+        steps: steps
+      });
+
+      if (failure) {
+        ticket.reject(failure);
+      } else {
+        result.scheduling = { id: ticket.id, priority: ticket.priority, waitMs: waitMs };
+        ticket.resolve(result);
+      }
+
+      this._dispatch();
+    }
+
+    // ==========================================
+    // METRICS
+    // ==========================================
+
+    /**
+     * Get the number of queued pulses
+     * @returns {number}
+     */
+    getQueueDepth() {
+      return this._queue.size;
+    }
+
+    /**
+     * Get the number of running pulses
+     * @returns {number}
+     */
+    getRunningCount() {
+      return this._running.size;
+    }
+
+    /**
+     * Get scheduler metrics
+     * @returns {Object} { queueDepth, running, submitted, completed, rejected, cancelled, wait, authors }
+     */
+    getMetrics() {
+      const metrics = this._metrics;
+      const now = this._clock();
+      const queued = this._queue.toArray();
+      let oldestQueuedAt = now;
+      for (const ticket of queued) {
+        oldestQueuedAt = Math.min(oldestQueuedAt, ticket.queuedAt);
+      }
+
+      const authors = {};
+      for (const author of new Set([...this._authors.keys(), ...queued.map(ticket => ticket.author)])) {
+        authors[author] = this.getUsage(author);
+      }
+
+      return {
+        queueDepth: queued.length,
+        running: this._running.size,
+        submitted: metrics.submitted,
+        completed: metrics.completed,
+        rejected: metrics.rejected,
+        cancelled: metrics.cancelled,
+        wait: {
+          count: metrics.waitCount,
+          averageMs: metrics.waitCount > 0 ? metrics.waitTotalMs / metrics.waitCount : 0,
+          maxMs: metrics.waitMaxMs,
+          oldestQueuedMs: now - oldestQueuedAt
+        },
+        authors: authors
+      };
+    }
+
+    // ==========================================
+    // EVENT SYSTEM
+    // ==========================================
+
+    /**
+     * Subscribe to an event (queued, started, completed, rejected, cancelled)
+     * @param {string} event - Event name
+     * @param {Function} callback - Event handler
+     */
+    on(event, callback) {
+      if (this._listeners[event]) {
+        this._listeners[event].push(callback);
+      }
+    }
+
+    /**
+     * Unsubscribe from an event
+     * @param {string} event - Event name
+     * @param {Function} callback - Event handler to remove
+     */
+    off(event, callback) {
+      if (this._listeners[event]) {
+        const idx = this._listeners[event].indexOf(callback);
+        if (idx > -1) {
+          this._listeners[event].splice(idx, 1);
+        }
+      }
+    }
+
+    /**
+     * Emit an event
+     * @private
+     */
+    _emit(event, data) {
+      if (this._listeners[event]) {
+        for (const cb of this._listeners[event]) {
+          try {
+            cb(data);
+          } catch (e) {
+            console.error('Event listener error:', e);
+          }
+        }
+      }
+    }
+
+    // ==========================================
+    // HELPERS
+    // ==========================================
+
+    /**
+     * Event payload for a ticket
+     * @private
+     */
+    _describe(ticket) {
+      return {
+        id: ticket.id,
+        author: ticket.author,
+        priority: ticket.priority,
+        functionCid: ticket.pulse.functionCid,
+        queueDepth: this._queue.size
+      };
+    }
+
+    /**
+     * Per-author bookkeeping
+     * @private
+     */
+    _authorState(author) {
+      let state = this._authors.get(author);
+      if (!state) {
+        state = { running: 0, stepsReserved: 0, memoryReserved: 0, usage: [] };
+        this._authors.set(author, state);
+      }
+      return state;
+    }
+
+    /**
+     * Drop usage older than the hourly window
+     * @private
+     */
+    _pruneWindow(state, now) {
+      while (state.usage.length > 0 && state.usage[0].time + HOUR_MS <= now) {
+        state.usage.shift();
+      }
+    }
+
+    /**
+     * Steps or memory used by finished pulses within the window
+     * @private
+     */
+    _usedInWindow(state, resource) {
+      this._pruneWindow(state, this._clock());
+      return state.usage.reduce((sum, entry) => sum + entry[resource], 0);
+    }
+  }
+
+  // ============================================
+  // EXPORT
+  // ============================================
+  const DCXScheduler = Object.freeze({
+    PulseScheduler: PulseScheduler,
+    QuotaExceededError: QuotaExceededError,
+    DEFAULT_QUOTA: DEFAULT_QUOTA
+  });
+
+  // Universal module export
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DCXScheduler;
+  } else if (typeof root !== 'undefined') {
+    root.DCXScheduler = DCXScheduler;
+  }
+
+})(typeof globalThis !== 'undefined' ? globalThis : (typeof window !== 'undefined' ? window : global));
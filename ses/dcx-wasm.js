@@ -0,0 +1,647 @@
+/**
+ * DCX-WASM.JS - WebAssembly Functions with Fuel Metering
+ * Sovereign Execution Substrate - Layer 3
+ *
+ * Rewrites a WebAssembly module so bounds hold inside compiled code:
+ * - Every straight-line run of N instructions -> fuel -= N
+ * - memory.grow                               -> checked against a page limit
+ *
+ * Fuel and the page limit are imported mutable globals set per
+ * execution, so one compiled module serves every pulse. Modules must
+ * be self-contained (no imports): there is no ambient I/O to import.
+ *
+ * Calling convention: the input is a number or an array of numbers
+ * passed as arguments to one exported function. i64 values cross as
+ * numbers (strings when not safely representable).
+ *
+ * @version 1.0.0
+ * @license Apache-2.0 / MIT
+ */
+
+(function(root) {
+  'use strict';
+
+  // ============================================
+  // VERSION
+  // Bump when the rewrite changes: metered fuel counts depend on it
+  // ============================================
+  const WASM_METER_VERSION = '1.0.0';
+
+  const PAGE_SIZE = 65536;
+  const MAX_PAGES = 65536;
+  const MEMORY_EXPORT = '__dcx_memory';
+
+  // Imported globals, in import order (existing globals shift past them)
+  const FUEL_GLOBAL = 0;
+  const MEMORY_LIMIT_GLOBAL = 1;
+  const VIOLATION_GLOBAL = 2;
+  const METER_GLOBALS = ['fuel', 'memoryLimit', 'violation'];
+
+  // Violation global: 0 none, -1 out of fuel, >0 pages a memory.grow asked for
+  const FUEL_EXHAUSTED = -1;
+
+  const VALTYPES = {
+    0x7F: 'i32', 0x7E: 'i64', 0x7D: 'f32', 0x7C: 'f64',
+    0x7B: 'v128', 0x70: 'funcref', 0x6F: 'externref'
+  };
+
+  // Canonical section order (custom sections may appear anywhere)
+  const SECTION_ORDER = [1, 2, 3, 4, 5, 13, 6, 7, 8, 9, 12, 10, 11];
+  const SECTION_IMPORT = 2;
+  const SECTION_EXPORT = 7;
+
+  // ============================================
+  // BYTE READER / WRITER
+  // ============================================
+  class Reader {
+    constructor(bytes, pos = 0, end = bytes.length) {
+      this.bytes = bytes;
+      this.pos = pos;
+      this.end = end;
+    }
+
+    eof() {
+      return this.pos >= this.end;
+    }
+
+    u8() {
+      if (this.pos >= this.end) {
+        throw new Error('Unexpected end of WASM module');
+      }
+      return this.bytes[this.pos++];
+    }
+
+    u32() {
+      let result = 0;
+      let shift = 0;
+      let byte;
+      do {
+        byte = this.u8();
+        result += (byte & 0x7F) * Math.pow(2, shift);
+        shift += 7;
+      } while (byte & 0x80);
+      return result;
+    }
+
+    // Signed LEB128 of any width, skipped (value not needed)
+    skipLeb() {
+      while (this.u8() & 0x80) { /* continuation */ }
+    }
+
+    skip(n) {
+      if (this.pos + n > this.end) {
+        throw new Error('Unexpected end of WASM module');
+      }
+      this.pos += n;
+    }
+
+    name() {
+      const length = this.u32();
+      const start = this.pos;
+      this.skip(length);
+      return decodeUtf8(this.bytes.subarray(start, start + length));
+    }
+  }
+
+  function uleb(value) {
+    const out = [];
+    do {
+      let byte = value % 128;
+      value = Math.floor(value / 128);
+      if (value !== 0) byte |= 0x80;
+      out.push(byte);
+    } while (value !== 0);
+    return out;
+  }
+
+  function sleb(value) {
+    const out = [];
+    for (;;) {
+      const byte = value & 0x7F;
+      value >>= 7;
+      if ((value === 0 && (byte & 0x40) === 0) || (value === -1 && (byte & 0x40) !== 0)) {
+        out.push(byte);
+        return out;
+      }
+      out.push(byte | 0x80);
+    }
+  }
+
+  function encodeName(name) {
+    const bytes = Array.from(encodeUtf8(name));
+    return uleb(bytes.length).concat(bytes);
+  }
+
+  function encodeUtf8(str) {
+    return typeof TextEncoder !== 'undefined'
+      ? new TextEncoder().encode(str)
+      : Uint8Array.from(Buffer.from(str, 'utf8'));
+  }
+
+  function decodeUtf8(bytes) {
+    return typeof TextDecoder !== 'undefined'
+      ? new TextDecoder().decode(bytes)
+      : Buffer.from(bytes).toString('utf8');
+  }
+
+  function pushAll(target, bytes) {
+    for (let i = 0; i < bytes.length; i++) {
+      target.push(bytes[i]);
+    }
+  }
+
+  // ============================================
+  // BASE64 (function records store module bytes as text)
+  // ============================================
+  function encodeBase64(bytes) {
+    if (typeof Buffer !== 'undefined') {
+      return Buffer.from(bytes).toString('base64');
+    }
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) {
+      binary += String.fromCharCode(bytes[i]);
+    }
+    return btoa(binary);
+  }
+
+  function decodeBase64(text) {
+    if (typeof Buffer !== 'undefined') {
+      return Uint8Array.from(Buffer.from(text, 'base64'));
+    }
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  }
+
+  /**
+   * Normalize module bytes
+   * @param {Uint8Array|ArrayBuffer|ArrayBufferView|string} bytes - Module bytes (string: base64)
+   * @returns {Uint8Array}
+   */
+  function toBytes(bytes) {
+    if (typeof bytes === 'string') {
+      return decodeBase64(bytes);
+    }
+    if (bytes instanceof ArrayBuffer) {
+      return new Uint8Array(bytes.slice(0));
+    }
+    if (ArrayBuffer.isView(bytes)) {
+      return new Uint8Array(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength));
+    }
+    throw new Error('WASM module must be bytes (Uint8Array, ArrayBuffer) or base64 text');
+  }
+
+  // ============================================
+  // MODULE PARSING
+  // ============================================
+  function readSections(bytes) {
+    if (bytes.length < 8 || bytes[0] !== 0x00 || bytes[1] !== 0x61 || bytes[2] !== 0x73 || bytes[3] !== 0x6D) {
+      throw new Error('Not a WASM module (bad magic)');
+    }
+    if (bytes[4] !== 0x01 || bytes[5] !== 0x00 || bytes[6] !== 0x00 || bytes[7] !== 0x00) {
+      throw new Error('Unsupported WASM binary version');
+    }
+    const reader = new Reader(bytes, 8);
+    const sections = [];
+    while (!reader.eof()) {
+      const id = reader.u8();
+      const size = reader.u32();
+      const start = reader.pos;
+      reader.skip(size);
+      sections.push({ id: id, start: start, end: start + size });
+    }
+    return sections;
+  }
+
+  function readValtype(reader) {
+    const code = reader.u8();
+    if (!VALTYPES[code]) {
+      throw new Error('Unsupported WASM value type 0x' + code.toString(16));
+    }
+    return VALTYPES[code];
+  }
+
+  function readTypes(reader) {
+    const types = [];
+    for (let count = reader.u32(); count > 0; count--) {
+      if (reader.u8() !== 0x60) {
+        throw new Error('Unsupported WASM type form');
+      }
+      const params = [];
+      for (let n = reader.u32(); n > 0; n--) params.push(readValtype(reader));
+      const results = [];
+      for (let n = reader.u32(); n > 0; n--) results.push(readValtype(reader));
+      types.push({ params: params, results: results });
+    }
+    return types;
+  }
+
+  function readExports(reader) {
+    const exports = [];
+    for (let count = reader.u32(); count > 0; count--) {
+      exports.push({ name: reader.name(), kind: reader.u8(), index: reader.u32() });
+    }
+    return exports;
+  }
+
+  function encodeExports(exports) {
+    const out = uleb(exports.length);
+    for (const exp of exports) {
+      pushAll(out, encodeName(exp.name));
+      out.push(exp.kind);
+      pushAll(out, uleb(exp.index));
+    }
+    return out;
+  }
+
+  // ============================================
+  // INSTRUCTION WALKER
+  // MVP, sign extension, saturating conversions,
+  // bulk memory, reference types and tail calls
+  // ============================================
+
+  // Instructions that end a straight-line run (control may leave after them)
+  const CONTROL = new Set([
+    0x00, 0x02, 0x03, 0x04, 0x05, 0x0B, 0x0C, 0x0D, 0x0E, 0x0F, 0x10, 0x11, 0x12, 0x13
+  ]);
+
+  function skipBlockType(reader) {
+    const code = reader.bytes[reader.pos];
+    if (code === 0x40 || VALTYPES[code]) {
+      reader.pos++;
+    } else {
+      reader.skipLeb();  // s33 type index
+    }
+  }
+
+  function skipMemarg(reader) {
+    const align = reader.u32();
+    if (align & 0x40) reader.u32();  // multi-memory index
+    reader.u32();
+  }
+
+  /**
+   * Read one instruction's opcode and skip its immediates
+   * @returns {number} Opcode (0xFC-prefixed as 0xFC00 + sub-opcode)
+   */
+  function readInstruction(reader) {
+    const op = reader.u8();
+
+    if (op === 0x02 || op === 0x03 || op === 0x04) {
+      skipBlockType(reader);
+    } else if (op === 0x0C || op === 0x0D || op === 0x10 || op === 0x12 ||
+               (op >= 0x20 && op <= 0x26) || op === 0xD2) {
+      reader.u32();
+    } else if (op === 0x0E) {
+      for (let n = reader.u32(); n >= 0; n--) reader.u32();
+    } else if (op === 0x11 || op === 0x13) {
+      reader.u32();
+      reader.u32();
+    } else if (op === 0x1C) {
+      for (let n = reader.u32(); n > 0; n--) readValtype(reader);
+    } else if (op >= 0x28 && op <= 0x3E) {
+      skipMemarg(reader);
+    } else if (op === 0x3F || op === 0x40) {
+      reader.u32();
+    } else if (op === 0x41 || op === 0x42) {
+      reader.skipLeb();
+    } else if (op === 0x43) {
+      reader.skip(4);
+    } else if (op === 0x44) {
+      reader.skip(8);
+    } else if (op === 0xD0) {
+      reader.u8();
+    } else if (op === 0xFC) {
+      const sub = reader.u32();
+      if (sub === 8 || sub === 10 || sub === 12 || sub === 14) {
+        reader.u32();
+        reader.u32();
+      } else if (sub === 9 || sub === 11 || sub === 13 || (sub >= 15 && sub <= 17)) {
+        reader.u32();
+      } else if (sub > 7) {
+        throw new Error('Unsupported WASM instruction 0xfc ' + sub);
+      }
+      return 0xFC00 + sub;
+    } else if (!(op === 0x00 || op === 0x01 || op === 0x05 || op === 0x0B || op === 0x0F ||
+                 op === 0x1A || op === 0x1B || (op >= 0x45 && op <= 0xC4) || op === 0xD1)) {
+      throw new Error('Unsupported WASM instruction 0x' + op.toString(16));
+    }
+    return op;
+  }
+
+  // ============================================
+  // METERING
+  // ============================================
+
+  // fuel -= cost; if (fuel < 0) { violation = -1; unreachable }
+  function fuelCharge(cost) {
+    return [
+      0x23, FUEL_GLOBAL, 0x41, ...sleb(cost), 0x6B, 0x24, FUEL_GLOBAL,
+      0x23, FUEL_GLOBAL, 0x41, 0x00, 0x48,
+      0x04, 0x40, 0x41, ...sleb(FUEL_EXHAUSTED), 0x24, VIOLATION_GLOBAL, 0x00, 0x0B
+    ];
+  }
+
+  // if (delta > limit - memory.size) { violation = size + delta; unreachable }
+  function checkedGrow(deltaLocal, growBytes) {
+    const local = uleb(deltaLocal);
+    return [
+      0x22, ...local, 0x23, MEMORY_LIMIT_GLOBAL, 0x3F, 0x00, 0x6B, 0x4B,
+      0x04, 0x40, 0x20, ...local, 0x3F, 0x00, 0x6A, 0x24, VIOLATION_GLOBAL, 0x00, 0x0B,
+      0x20, ...local, ...growBytes
+    ];
+  }
+
+  function meterBody(bytes, start, end, paramCount, globalShift) {
+    const reader = new Reader(bytes, start, end);
+
+    const localDecls = [];
+    let localCount = paramCount;
+    for (let n = reader.u32(); n > 0; n--) {
+      const count = reader.u32();
+      const typeStart = reader.pos;
+      readValtype(reader);
+      localDecls.push(uleb(count).concat(Array.from(bytes.subarray(typeStart, reader.pos))));
+      localCount += count;
+    }
+    const deltaLocal = localCount;  // scratch i32, declared only if memory.grow is used
+    let growUsed = false;
+
+    const code = [];
+    let run = [];
+    let cost = 0;
+
+    while (!reader.eof()) {
+      const instrStart = reader.pos;
+      const op = readInstruction(reader);
+      const raw = bytes.subarray(instrStart, reader.pos);
+
+      if (op === 0x23 || op === 0x24) {
+        const index = new Reader(raw, 1).u32();
+        run.push(op);
+        pushAll(run, uleb(index + globalShift));
+      } else if (op === 0x40) {
+        growUsed = true;
+        pushAll(run, checkedGrow(deltaLocal, raw));
+      } else {
+        pushAll(run, raw);
+      }
+      cost++;
+
+      if (CONTROL.has(op) || reader.eof()) {
+        pushAll(code, fuelCharge(cost));
+        pushAll(code, run);
+        run = [];
+        cost = 0;
+      }
+    }
+
+    if (growUsed) {
+      localDecls.push([0x01, 0x7F]);
+    }
+    const body = uleb(localDecls.length);
+    for (const decl of localDecls) pushAll(body, decl);
+    pushAll(body, code);
+    return uleb(body.length).concat(body);
+  }
+
+  /**
+   * Meter a WebAssembly module
+   * @param {Uint8Array} bytes - Module bytes
+   * @returns {Object} { bytes, exports: { name: { params, results } }, memoryExport }
+   */
+  function instrument(bytes) {
+    const sections = readSections(bytes);
+    const byId = id => sections.find(section => section.id === id);
+
+    const importSection = byId(SECTION_IMPORT);
+    if (importSection && new Reader(bytes, importSection.start, importSection.end).u32() > 0) {
+      throw new Error('WASM imports are not supported: DCX functions must be self-contained');
+    }
+
+    const typeSection = byId(1);
+    const types = typeSection ? readTypes(new Reader(bytes, typeSection.start, typeSection.end)) : [];
+
+    const functionTypes = [];
+    const functionSection = byId(3);
+    if (functionSection) {
+      const reader = new Reader(bytes, functionSection.start, functionSection.end);
+      for (let count = reader.u32(); count > 0; count--) functionTypes.push(types[reader.u32()]);
+    }
+
+    let hasMemory = false;
+    const memorySection = byId(5);
+    if (memorySection) {
+      const reader = new Reader(bytes, memorySection.start, memorySection.end);
+      const count = reader.u32();
+      if (count > 1) {
+        throw new Error('Multiple WASM memories are not supported');
+      }
+      if (count === 1 && (reader.u8() & 0x04)) {
+        throw new Error('64-bit WASM memories are not supported');
+      }
+      hasMemory = count === 1;
+    }
+
+    // Existing global indices shift past the imported meter globals
+    const exportSection = byId(SECTION_EXPORT);
+    const moduleExports = exportSection
+      ? readExports(new Reader(bytes, exportSection.start, exportSection.end))
+      : [];
+    for (const exp of moduleExports) {
+      if (exp.kind === 0x03) exp.index += METER_GLOBALS.length;
+    }
+    let memoryExport = null;
+    if (hasMemory) {
+      const existing = moduleExports.find(exp => exp.kind === 0x02 && exp.index === 0);
+      memoryExport = existing ? existing.name : MEMORY_EXPORT;
+      if (!existing) moduleExports.push({ name: MEMORY_EXPORT, kind: 0x02, index: 0 });
+    }
+
+    const imports = uleb(METER_GLOBALS.length);
+    for (const name of METER_GLOBALS) {
+      pushAll(imports, encodeName('dcx'));
+      pushAll(imports, encodeName(name));
+      imports.push(0x03, 0x7F, 0x01);  // global, i32, mutable
+    }
+
+    const codeSection = byId(10);
+    let code = null;
+    if (codeSection) {
+      const reader = new Reader(bytes, codeSection.start, codeSection.end);
+      const count = reader.u32();
+      code = uleb(count);
+      for (let i = 0; i < count; i++) {
+        const size = reader.u32();
+        const type = functionTypes[i];
+        if (!type) {
+          throw new Error('WASM code section does not match the function section');
+        }
+        pushAll(code, meterBody(bytes, reader.pos, reader.pos + size, type.params.length, METER_GLOBALS.length));
+        reader.skip(size);
+      }
+    }
+
+    // Reassemble, adding the import and export sections where missing
+    const replaced = new Map([[SECTION_IMPORT, imports], [SECTION_EXPORT, encodeExports(moduleExports)]]);
+    if (code) replaced.set(10, code);
+    const out = [0x00, 0x61, 0x73, 0x6D, 0x01, 0x00, 0x00, 0x00];
+    const emit = (id, payload) => {
+      out.push(id);
+      pushAll(out, uleb(payload.length));
+      pushAll(out, payload);
+    };
+    const rank = id => SECTION_ORDER.indexOf(id);
+    const pending = [SECTION_IMPORT, SECTION_EXPORT].filter(id => !byId(id));
+
+    for (const section of sections) {
+      while (section.id !== 0 && pending.length > 0 && rank(pending[0]) < rank(section.id)) {
+        const id = pending.shift();
+        emit(id, replaced.get(id));
+      }
+      emit(section.id, replaced.has(section.id) ? replaced.get(section.id) : bytes.subarray(section.start, section.end));
+    }
+    for (const id of pending) emit(id, replaced.get(id));
+
+    const signatures = {};
+    for (const exp of moduleExports) {
+      if (exp.kind === 0x00) signatures[exp.name] = functionTypes[exp.index];
+    }
+
+    return { bytes: Uint8Array.from(out), exports: signatures, memoryExport: memoryExport };
+  }
+
+  // ============================================
+  // EXECUTION
+  // ============================================
+
+  /**
+   * Check if WebAssembly can be compiled here
+   * @returns {boolean}
+   */
+  function isAvailable() {
+    return typeof WebAssembly === 'object' && typeof WebAssembly.Module === 'function';
+  }
+
+  /**
+   * Meter and compile a module
+   * @param {Uint8Array} bytes - Module bytes
+   * @param {string} entry - Exported function to call
+   * @returns {Object} { module, entry, signature, memoryExport }
+   */
+  function compile(bytes, entry) {
+    if (!isAvailable()) {
+      throw new Error('WebAssembly is not available in this environment');
+    }
+    if (!WebAssembly.validate(bytes)) {
+      throw new Error('Invalid WASM module');
+    }
+    const metered = instrument(bytes);
+    const signature = metered.exports[entry];
+    if (!signature) {
+      throw new Error('WASM module does not export a function named ' + entry);
+    }
+    return {
+      module: new WebAssembly.Module(metered.bytes),
+      entry: entry,
+      signature: signature,
+      memoryExport: metered.memoryExport
+    };
+  }
+
+  function toArgs(input, signature) {
+    const values = input === undefined || input === null ? [] : (Array.isArray(input) ? input : [input]);
+    if (values.length !== signature.params.length) {
+      throw new Error(`WASM function expects ${signature.params.length} argument(s), got ${values.length}`);
+    }
+    return values.map((value, i) => {
+      if (typeof value !== 'number' && !(typeof value === 'string' && signature.params[i] === 'i64')) {
+        throw new Error('WASM input must be a number or an array of numbers');
+      }
+      return signature.params[i] === 'i64' ? BigInt(typeof value === 'number' ? Math.trunc(value) : value) : value;
+    });
+  }
+
+  function fromResult(value) {
+    if (typeof value !== 'bigint') {
+      return value;
+    }
+    const asNumber = Number(value);
+    return Number.isSafeInteger(asNumber) ? asNumber : value.toString();
+  }
+
+  /**
+   * Run a compiled module's entry function under fuel and memory limits
+   * Out-of-bounds runs are reported, not thrown; other traps throw.
+   * @param {Object} compiled - Result of compile()
+   * @param {any} input - Number or array of numbers
+   * @param {Object} limits - { fuel, memoryBytes }
+   * @returns {Object} { output, fuelUsed, memoryBytes, violation: null|'maxSteps'|'maxMemoryBytes' }
+   */
+  function run(compiled, input, limits) {
+    const args = toArgs(input, compiled.signature);
+    const globalType = { value: 'i32', mutable: true };
+    const fuel = new WebAssembly.Global(globalType, limits.fuel);
+    const memoryLimit = new WebAssembly.Global(globalType, Math.min(MAX_PAGES, Math.floor(limits.memoryBytes / PAGE_SIZE)));
+    const violation = new WebAssembly.Global(globalType, 0);
+
+    let instance = null;
+    let output;
+    try {
+      instance = new WebAssembly.Instance(compiled.module, {
+        dcx: { fuel: fuel, memoryLimit: memoryLimit, violation: violation }
+      });
+      const memory = compiled.memoryExport ? instance.exports[compiled.memoryExport] : null;
+      if (memory && memory.buffer.byteLength > limits.memoryBytes) {
+        violation.value = memory.buffer.byteLength / PAGE_SIZE;
+      } else {
+        const result = instance.exports[compiled.entry](...args);
+        output = Array.isArray(result) ? result.map(fromResult) : fromResult(result);
+      }
+    } catch (error) {
+      if (violation.value === 0) {
+        throw error;
+      }
+    }
+
+    const memory = instance && compiled.memoryExport ? instance.exports[compiled.memoryExport] : null;
+    let memoryBytes = memory ? memory.buffer.byteLength : 0;
+    if (violation.value > 0) {
+      memoryBytes = violation.value * PAGE_SIZE;
+    }
+    const exhausted = violation.value === FUEL_EXHAUSTED;
+
+    return {
+      output: output,
+      fuelUsed: exhausted ? limits.fuel + 1 : limits.fuel - fuel.value,
+      memoryBytes: memoryBytes,
+      violation: exhausted ? 'maxSteps' : (violation.value > 0 ? 'maxMemoryBytes' : null)
+    };
+  }
+
+  // ============================================
+  // EXPORT
+  // ============================================
+  const DCXWasm = Object.freeze({
+    VERSION: WASM_METER_VERSION,
+    PAGE_SIZE: PAGE_SIZE,
+    isAvailable: isAvailable,
+    instrument: instrument,
+    compile: compile,
+    run: run,
+    toBytes: toBytes,
+    encodeBase64: encodeBase64,
+    decodeBase64: decodeBase64
+  });
+
+  // Universal module export
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DCXWasm;
+  } else if (typeof root !== 'undefined') {
+    root.DCXWasm = DCXWasm;
+  }
+
+})(typeof globalThis !== 'undefined' ? globalThis : (typeof window !== 'undefined' ? window : global));
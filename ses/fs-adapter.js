@@ -0,0 +1,480 @@
+/**
+ * FS-ADAPTER.JS - Filesystem Persistence for ContentStore
+ * Sovereign Execution Substrate - Layer 3
+ *
+ * FileSystemAdapter (Node / Electron main process) keeps one file per
+ * object in a sharded tree:
+ *
+ *   <directory>/<digest[0:2]>/<digest[2:4]>/<cid with ':' as '-'>
+ *
+ * Writes go to a temp file that is renamed into place, so readers never
+ * see partial objects. Equivalent CID forms share a shard, and fetch
+ * tries each of them before asking an optional fallback adapter, whose
+ * answer is written through (lazy migration from another store).
+ * GC pins are kept in <directory>/pins.json, and objects that fail an
+ * integrity scrub are moved to <directory>/quarantine/.
+ *
+ * IPCAdapter is the renderer side: it forwards the adapter calls to
+ * the main process through the preload bridge.
+ *
+ * @version 1.0.0
+ * @license Apache-2.0 / MIT
+ */
+
+(function(root) {
+  'use strict';
+
+  const FS_ADAPTER_VERSION = '1.0.0';
+
+  /**
+   * When to fsync
+   *   NONE - leave flushing to the OS
+   *   DATA - flush each object before it is renamed into place
+   *   FULL - also flush the shard directory so the rename survives power loss
+   */
+  const FsyncMode = Object.freeze({
+    NONE: 'none',
+    DATA: 'data',
+    FULL: 'full'
+  });
+
+  // First byte of every object file
+  const RECORD_STRING = 0x73; // 's'
+  const RECORD_BYTES = 0x62;  // 'b'
+
+  const PINS_FILE = 'pins.json';
+  const QUARANTINE_DIRECTORY = 'quarantine';
+
+  function getCIDModule() {
+    const cids = root.CIDModule ||
+      (typeof require === 'function' ? require('./cid.js') : null);
+    if (!cids) {
+      throw new Error('CIDModule not available - load cid.js');
+    }
+    return cids;
+  }
+
+  function encodeRecord(data) {
+    if (typeof data === 'string') {
+      return Buffer.concat([Buffer.from([RECORD_STRING]), Buffer.from(data, 'utf8')]);
+    }
+    if (data instanceof Uint8Array) {
+      return Buffer.concat([Buffer.from([RECORD_BYTES]), data]);
+    }
+    throw new Error('Adapter stores strings or Uint8Array, got ' + typeof data);
+  }
+
+  function decodeRecord(buffer, file) {
+    if (buffer[0] === RECORD_STRING) {
+      return buffer.subarray(1).toString('utf8');
+    }
+    if (buffer[0] === RECORD_BYTES) {
+      return new Uint8Array(buffer.subarray(1));
+    }
+    throw new Error('Corrupt object file: ' + file);
+  }
+
+  // ============================================
+  // FILESYSTEM ADAPTER
+  // ============================================
+  class FileSystemAdapter {
+    /**
+     * @param {string} directory - Root of the object tree (created on first write)
+     * @param {Object} options - Adapter options
+     * @param {string} options.fsync - FsyncMode (default DATA)
+     * @param {Object} options.fallback - Adapter consulted on a miss ({ fetch(cid) })
+     */
+    constructor(directory, options = {}) {
+      if (!FileSystemAdapter.isSupported()) {
+        throw new Error('FileSystemAdapter needs Node.js (use IPCAdapter in the renderer)');
+      }
+      if (typeof directory !== 'string' || directory.length === 0) {
+        throw new Error('FileSystemAdapter requires a directory');
+      }
+
+      this._fs = require('fs').promises;
+      this._path = require('path');
+      this._directory = directory;
+
+      this._fsync = options.fsync || FsyncMode.DATA;
+      if (!Object.values(FsyncMode).includes(this._fsync)) {
+        throw new Error('Unknown fsync mode: ' + this._fsync);
+      }
+
+      this._fallback = options.fallback || null;
+
+      // Serializes read-modify-write of the pins file
+      this._pinQueue = Promise.resolve();
+    }
+
+    /**
+     * Check if Node filesystem access is available
+     * @returns {boolean}
+     */
+    static isSupported() {
+      return typeof process !== 'undefined' && !!(process.versions && process.versions.node) &&
+        typeof require === 'function';
+    }
+
+    /**
+     * File an object is kept in
+     * @param {string} cid - Content identifier
+     * @returns {string} Absolute path
+     * @throws {Error} If cid is not a CID (keeps renderer input out of other paths)
+     */
+    pathFor(cid) {
+      const cids = getCIDModule();
+      if (!cids.isCID(cid)) {
+        throw new Error('Not a CID: ' + cid);
+      }
+      const digest = cids.parse(cid).digest;
+      return this._path.join(this._directory, digest.slice(0, 2), digest.slice(2, 4), cid.replace(/:/g, '-'));
+    }
+
+    /**
+     * Write an object (no-op if already present)
+     * @param {string} cid - Content identifier
+     * @param {string|Uint8Array} data - Canonical content
+     */
+    async store(cid, data) {
+      const file = this.pathFor(cid);
+      if (await this._exists(file)) {
+        return;
+      }
+      await this._writeAtomic(file, encodeRecord(data));
+    }
+
+    /**
+     * Read an object, trying every equivalent CID form, then the fallback
+     * @param {string} cid - Content identifier
+     * @returns {Promise<string|Uint8Array|null>} Content or null
+     */
+    async fetch(cid) {
+      const cids = getCIDModule();
+      if (!cids.isCID(cid)) {
+        return null;
+      }
+
+      for (const candidate of [cid, ...cids.equivalents(cid)]) {
+        const data = await this._read(this.pathFor(candidate));
+        if (data !== null) {
+          return data;
+        }
+      }
+
+      if (this._fallback && this._fallback.fetch) {
+        const data = await this._fallback.fetch(cid);
+        if (data !== null && data !== undefined) {
+          await this.store(cid, data);
+          return data;
+        }
+      }
+
+      return null;
+    }
+
+    /**
+     * Check if an object is on disk (any CID form; the fallback is not asked)
+     * @param {string} cid - Content identifier
+     * @returns {Promise<boolean>}
+     */
+    async has(cid) {
+      const cids = getCIDModule();
+      if (!cids.isCID(cid)) {
+        return false;
+      }
+      for (const candidate of [cid, ...cids.equivalents(cid)]) {
+        if (await this._exists(this.pathFor(candidate))) {
+          return true;
+        }
+      }
+      return false;
+    }
+
+    /**
+     * Delete an object in every CID form
+     * @param {string} cid - Content identifier
+     * @returns {Promise<boolean>} Whether a file was removed
+     */
+    async delete(cid) {
+      const cids = getCIDModule();
+      if (!cids.isCID(cid)) {
+        return false;
+      }
+      let deleted = false;
+      for (const candidate of [cid, ...cids.equivalents(cid)]) {
+        try {
+          await this._fs.unlink(this.pathFor(candidate));
+          deleted = true;
+        } catch (error) {
+          if (error.code !== 'ENOENT') {
+            throw error;
+          }
+        }
+      }
+      return deleted;
+    }
+
+    /**
+     * Move an object out of the tree, under this exact CID form only
+     * (equivalent forms may hold intact copies)
+     * @param {string} cid - Content identifier
+     * @returns {Promise<boolean>} Whether a file was moved
+     */
+    async quarantine(cid) {
+      const file = this.pathFor(cid);
+      const directory = this._path.join(this._directory, QUARANTINE_DIRECTORY);
+      await this._fs.mkdir(directory, { recursive: true });
+      try {
+        await this._fs.rename(file, this._path.join(directory, this._path.basename(file)));
+        return true;
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return false;
+        }
+        throw error;
+      }
+    }
+
+    /**
+     * Pin a CID as a garbage collection root
+     * @param {string} cid - Content identifier
+     */
+    async pin(cid) {
+      this.pathFor(cid); // Validates the CID
+      await this._updatePins(pins => pins.add(cid));
+    }
+
+    /**
+     * Remove a pin
+     * @param {string} cid - Content identifier
+     */
+    async unpin(cid) {
+      await this._updatePins(pins => pins.delete(cid));
+    }
+
+    /**
+     * List pinned CIDs
+     * @returns {Promise<string[]>}
+     */
+    async listPins() {
+      await this._pinQueue;
+      return Array.from(await this._readPins());
+    }
+
+    /**
+     * List every stored CID
+     * @returns {Promise<string[]>}
+     */
+    async keys() {
+      const keys = [];
+      for (const first of await this._list(this._directory)) {
+        if (first === QUARANTINE_DIRECTORY) continue;
+        const firstPath = this._path.join(this._directory, first);
+        for (const second of await this._list(firstPath)) {
+          for (const name of await this._list(this._path.join(firstPath, second))) {
+            if (!name.endsWith('.tmp')) {
+              keys.push(name.replace(/-/g, ':'));
+            }
+          }
+        }
+      }
+      return keys;
+    }
+
+    /**
+     * Write through a temp file renamed into place
+     * @private
+     */
+    async _writeAtomic(file, buffer) {
+      const directory = this._path.dirname(file);
+      await this._fs.mkdir(directory, { recursive: true });
+
+      const temp = `${file}.${process.pid}.${Math.random().toString(36).slice(2)}.tmp`;
+      const handle = await this._fs.open(temp, 'w');
+      try {
+        await handle.writeFile(buffer);
+        if (this._fsync !== FsyncMode.NONE) {
+          await handle.sync();
+        }
+      } finally {
+        await handle.close();
+      }
+
+      try {
+        await this._fs.rename(temp, file);
+      } catch (error) {
+        await this._fs.unlink(temp).catch(() => {});
+        throw error;
+      }
+
+      if (this._fsync === FsyncMode.FULL) {
+        await this._syncDirectory(directory);
+      }
+    }
+
+    /**
+     * @private
+     */
+    async _readPins() {
+      try {
+        return new Set(JSON.parse(await this._fs.readFile(this._path.join(this._directory, PINS_FILE), 'utf8')).pins);
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return new Set();
+        }
+        throw error;
+      }
+    }
+
+    /**
+     * @private
+     */
+    _updatePins(update) {
+      const run = this._pinQueue.then(async () => {
+        const pins = await this._readPins();
+        update(pins);
+        const json = JSON.stringify({ pins: Array.from(pins).sort() });
+        await this._writeAtomic(this._path.join(this._directory, PINS_FILE), Buffer.from(json, 'utf8'));
+      });
+      this._pinQueue = run.catch(() => {});
+      return run;
+    }
+
+    /**
+     * @private
+     */
+    async _read(file) {
+      try {
+        return decodeRecord(await this._fs.readFile(file), file);
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return null;
+        }
+        throw error;
+      }
+    }
+
+    /**
+     * @private
+     */
+    async _exists(file) {
+      try {
+        await this._fs.access(file);
+        return true;
+      } catch (error) {
+        return false;
+      }
+    }
+
+    /**
+     * @private
+     */
+    async _list(directory) {
+      try {
+        return await this._fs.readdir(directory);
+      } catch (error) {
+        if (error.code === 'ENOENT' || error.code === 'ENOTDIR') {
+          return [];
+        }
+        throw error;
+      }
+    }
+
+    /**
+     * Flush a directory entry (not possible on Windows, where rename is already durable)
+     * @private
+     */
+    async _syncDirectory(directory) {
+      if (process.platform === 'win32') {
+        return;
+      }
+      const handle = await this._fs.open(directory, 'r');
+      try {
+        await handle.sync();
+      } finally {
+        await handle.close();
+      }
+    }
+  }
+
+  // ============================================
+  // IPC ADAPTER (RENDERER)
+  // ============================================
+  class IPCAdapter {
+    /**
+     * @param {Object} api - Preload bridge (window.electronAPI.contentStore)
+     */
+    constructor(api) {
+      if (!api || typeof api.fetch !== 'function' || typeof api.store !== 'function') {
+        throw new Error('IPCAdapter requires the contentStore bridge from preload.js');
+      }
+      this._api = api;
+    }
+
+    async store(cid, data) {
+      this._unwrap(await this._api.store(cid, data));
+    }
+
+    async fetch(cid) {
+      const data = this._unwrap(await this._api.fetch(cid)).data;
+      return data === undefined ? null : data;
+    }
+
+    async has(cid) {
+      return this._unwrap(await this._api.has(cid)).exists;
+    }
+
+    async keys() {
+      return this._unwrap(await this._api.keys()).keys;
+    }
+
+    async delete(cid) {
+      return this._unwrap(await this._api.delete(cid)).deleted;
+    }
+
+    async quarantine(cid) {
+      return this._unwrap(await this._api.quarantine(cid)).moved;
+    }
+
+    async pin(cid) {
+      this._unwrap(await this._api.pin(cid));
+    }
+
+    async unpin(cid) {
+      this._unwrap(await this._api.unpin(cid));
+    }
+
+    async listPins() {
+      return this._unwrap(await this._api.listPins()).pins;
+    }
+
+    /**
+     * @private
+     */
+    _unwrap(response) {
+      if (!response || !response.success) {
+        throw new Error('Content store IPC failed: ' + (response ? response.error : 'no response'));
+      }
+      return response;
+    }
+  }
+
+  // ============================================
+  // EXPORT
+  // ============================================
+  const FSAdapterModule = Object.freeze({
+    VERSION: FS_ADAPTER_VERSION,
+    FsyncMode: FsyncMode,
+    FileSystemAdapter: FileSystemAdapter,
+    IPCAdapter: IPCAdapter
+  });
+
+  // Universal module export
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FSAdapterModule;
+  } else if (typeof root !== 'undefined') {
+    root.FSAdapterModule = FSAdapterModule;
+  }
+
+})(typeof globalThis !== 'undefined' ? globalThis : (typeof window !== 'undefined' ? window : global));
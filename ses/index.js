@@ -5,21 +5,43 @@
 
   const VERSION = '1.0.0';
 
-  let PulseSchema, ContentStoreModule, DCXModule;
+  let SchemaValidator, PulseSchema, PulseMigration, CIDModule, DagCBOR, TieredCache, ContentStoreModule, FSAdapterModule, StoreGC, MerkleDAG, CARModule, DCXModule, DCXScheduler, DCXDebugger;
 
   if (typeof require === 'function') {
+    SchemaValidator = require('./schema-validator.js');
     PulseSchema = require('./pulse-schema.js');
+    PulseMigration = require('./pulse-migration.js');
+    CIDModule = require('./cid.js');
+    DagCBOR = require('./dag-cbor.js');
+    TieredCache = require('./tiered-cache.js');
     ContentStoreModule = require('./content-store.js');
+    FSAdapterModule = require('./fs-adapter.js');
+    StoreGC = require('./store-gc.js');
+    MerkleDAG = require('./merkle-dag.js');
+    CARModule = require('./car.js');
     DCXModule = require('./dcx-runtime.js');
+    DCXScheduler = require('./dcx-scheduler.js');
+    DCXDebugger = require('./dcx-debugger.js');
   } else {
+    SchemaValidator = root.SchemaValidator;
     PulseSchema = root.PulseSchema;
+    PulseMigration = root.PulseMigration;
+    CIDModule = root.CIDModule;
+    DagCBOR = root.DagCBOR;
+    TieredCache = root.TieredCache;
     ContentStoreModule = root.ContentStoreModule;
+    FSAdapterModule = root.FSAdapterModule;
+    StoreGC = root.StoreGC;
+    MerkleDAG = root.MerkleDAG;
+    CARModule = root.CARModule;
     DCXModule = root.DCXModule;
+    DCXScheduler = root.DCXScheduler;
+    DCXDebugger = root.DCXDebugger;
   }
 
   function createDCXEnvironment(options = {}) {
     const store = new ContentStoreModule.ContentStore(options.store || {});
-    const runtime = new DCXModule.DCXRuntime(store);
+    const runtime = new DCXModule.DCXRuntime(store, options.runtime || {});
 
     return {
       store: store,
@@ -47,20 +69,42 @@
 
   const SESLayer3 = Object.freeze({
     VERSION: VERSION,
+    SCHEMA_VERSION: PulseSchema.VERSION,
     PulseSchema: PulseSchema,
     ContentStore: ContentStoreModule.ContentStore,
+    IntegrityError: ContentStoreModule.IntegrityError,
+    FileSystemAdapter: FSAdapterModule.FileSystemAdapter,
+    IPCAdapter: FSAdapterModule.IPCAdapter,
+    GarbageCollector: StoreGC.GarbageCollector,
+    TieredCache: TieredCache,
+    MerkleDAG: MerkleDAG,
     DCXRuntime: DCXModule.DCXRuntime,
     ExecutionTrace: DCXModule.ExecutionTrace,
     BoundViolationError: DCXModule.BoundViolationError,
+    CancellationError: DCXModule.CancellationError,
+    DeterminismViolationError: DCXModule.DeterminismViolationError,
+    ExecutionMode: DCXModule.ExecutionMode,
+    TraceMode: DCXModule.TraceMode,
+    PulseScheduler: DCXScheduler.PulseScheduler,
+    QuotaExceededError: DCXScheduler.QuotaExceededError,
+    TraceDebugger: DCXDebugger.TraceDebugger,
     sha256: ContentStoreModule.sha256,
     djb2: ContentStoreModule.djb2,
+    CID: CIDModule,
+    CAR: CARModule,
+    DagCBOR: DagCBOR,
     createDCXEnvironment: createDCXEnvironment,
     DEFAULT_BOUNDS: PulseSchema.DEFAULT_BOUNDS,
     PulseStatus: PulseSchema.PulseStatus,
     PULSE_SCHEMA: PulseSchema.PULSE_SCHEMA,
     TRACE_SCHEMA: PulseSchema.TRACE_SCHEMA,
     validatePulse: PulseSchema.validatePulse,
-    createPulseTemplate: PulseSchema.createPulseTemplate
+    validateTrace: PulseSchema.validateTrace,
+    validateSchema: SchemaValidator.validate,
+    getParentPulseIds: PulseSchema.getParentPulseIds,
+    createPulseTemplate: PulseSchema.createPulseTemplate,
+    PulseMigrator: PulseMigration.PulseMigrator,
+    migratePulse: PulseMigration.migratePulse
   });
 
   if (typeof module !== 'undefined' && module.exports) {
@@ -0,0 +1,428 @@
+/**
+ * MERKLE-DAG.JS - Chunked Storage for Large Binary Objects
+ * Sovereign Execution Substrate - Layer 3
+ *
+ * Splits bytes into chunks, stores each chunk by CID and links them
+ * under manifest nodes; the root manifest CID addresses the whole
+ * payload:
+ *
+ *   { type: 'dcx-chunked', version, depth, size, links: [{ cid, size }], chunking? }
+ *
+ * depth 1 nodes link chunks, depth N nodes link depth N-1 nodes (at
+ * most `fanout` links each). Only the root carries the chunking
+ * parameters. Sizes on every link let range reads skip straight to
+ * the chunks they need.
+ *
+ * Chunking:
+ *   fixed           - equal-size chunks
+ *   content-defined - Gear rolling hash cut points between min and max
+ *                     size, so an insertion only changes nearby chunks
+ *                     and the rest deduplicate
+ *
+ * Works over a ContentStore or SESNetwork.
+ *
+ * @version 1.0.0
+ * @license Apache-2.0 / MIT
+ */
+
+(function(root) {
+  'use strict';
+
+  const DAG_VERSION = '1.0.0';
+  const MANIFEST_TYPE = 'dcx-chunked';
+  const MANIFEST_VERSION = 1;
+
+  const Strategy = Object.freeze({
+    FIXED: 'fixed',
+    CONTENT_DEFINED: 'content-defined'
+  });
+
+  const DEFAULTS = Object.freeze({
+    strategy: Strategy.FIXED,
+    chunkSize: 256 * 1024,       // fixed
+    minChunkSize: 64 * 1024,     // content-defined
+    avgChunkSize: 256 * 1024,    // content-defined, power of two
+    maxChunkSize: 1024 * 1024,   // content-defined
+    fanout: 174
+  });
+
+  // Gear table from a fixed seed (mulberry32), identical on every engine
+  const GEAR = (function() {
+    const table = new Uint32Array(256);
+    let seed = 0x53455321;
+    for (let i = 0; i < 256; i++) {
+      seed = (seed + 0x6d2b79f5) >>> 0;
+      let t = seed;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      table[i] = (t ^ (t >>> 14)) >>> 0;
+    }
+    return table;
+  })();
+
+  function isManifest(value) {
+    return !!value && typeof value === 'object' && value.type === MANIFEST_TYPE &&
+      value.version === MANIFEST_VERSION && Array.isArray(value.links);
+  }
+
+  function concat(parts, size) {
+    const bytes = new Uint8Array(size);
+    let offset = 0;
+    for (const part of parts) {
+      bytes.set(part, offset);
+      offset += part.length;
+    }
+    return bytes;
+  }
+
+  // ============================================
+  // CHUNKER
+  // ============================================
+  class Chunker {
+    /**
+     * @param {Object} options - Chunking options (see DEFAULTS)
+     */
+    constructor(options = {}) {
+      const settings = { ...DEFAULTS, ...options };
+      if (!Object.values(Strategy).includes(settings.strategy)) {
+        throw new Error('Unknown chunking strategy: ' + settings.strategy);
+      }
+      for (const key of ['chunkSize', 'minChunkSize', 'avgChunkSize', 'maxChunkSize', 'fanout']) {
+        if (!Number.isInteger(settings[key]) || settings[key] < 1) {
+          throw new Error(key + ' must be a positive integer');
+        }
+      }
+      if (settings.strategy === Strategy.CONTENT_DEFINED) {
+        const { minChunkSize, avgChunkSize, maxChunkSize } = settings;
+        if ((avgChunkSize & (avgChunkSize - 1)) !== 0) {
+          throw new Error('avgChunkSize must be a power of two');
+        }
+        if (!(minChunkSize <= avgChunkSize && avgChunkSize <= maxChunkSize)) {
+          throw new Error('Chunk sizes must satisfy min <= avg <= max');
+        }
+      }
+
+      this._settings = settings;
+      this._mask = settings.avgChunkSize - 1;
+      this._pending = new Uint8Array(0);
+    }
+
+    /**
+     * Parameters recorded in the root manifest
+     * @returns {Object}
+     */
+    params() {
+      const s = this._settings;
+      return s.strategy === Strategy.FIXED
+        ? { strategy: s.strategy, chunkSize: s.chunkSize }
+        : { strategy: s.strategy, minChunkSize: s.minChunkSize, avgChunkSize: s.avgChunkSize, maxChunkSize: s.maxChunkSize };
+    }
+
+    /**
+     * Feed bytes; returns the chunks they complete
+     * Boundaries depend only on content, not on how it was split into pushes.
+     * @param {Uint8Array} bytes
+     * @returns {Uint8Array[]}
+     */
+    push(bytes) {
+      this._pending = this._pending.length === 0 ? bytes.slice() : concat([this._pending, bytes], this._pending.length + bytes.length);
+      return this._drain(false);
+    }
+
+    /**
+     * End of input; returns the remaining chunks
+     * @returns {Uint8Array[]}
+     */
+    flush() {
+      return this._drain(true);
+    }
+
+    /**
+     * @private
+     */
+    _drain(final) {
+      const chunks = [];
+      let start = 0;
+      while (start < this._pending.length) {
+        const cut = this._cutPoint(this._pending, start, final);
+        if (cut === -1) break;
+        chunks.push(this._pending.slice(start, cut));
+        start = cut;
+      }
+      this._pending = this._pending.slice(start);
+      return chunks;
+    }
+
+    /**
+     * End of the chunk starting at `start`, or -1 if more input is needed
+     * @private
+     */
+    _cutPoint(bytes, start, final) {
+      const s = this._settings;
+      const available = bytes.length - start;
+
+      if (s.strategy === Strategy.FIXED) {
+        if (available >= s.chunkSize) return start + s.chunkSize;
+        return final ? bytes.length : -1;
+      }
+
+      if (available <= s.minChunkSize) {
+        return final ? bytes.length : -1;
+      }
+      const limit = start + Math.min(available, s.maxChunkSize);
+      let hash = 0;
+      for (let i = start + s.minChunkSize; i < limit; i++) {
+        hash = ((hash << 1) + GEAR[bytes[i]]) >>> 0;
+        if ((hash & this._mask) === 0) {
+          return i + 1;
+        }
+      }
+      if (available >= s.maxChunkSize) return start + s.maxChunkSize;
+      return final ? bytes.length : -1;
+    }
+  }
+
+  // ============================================
+  // BLOCK STORES
+  // ============================================
+
+  /**
+   * Chunk and node access for a ContentStore or SESNetwork
+   * @private
+   */
+  function blockStore(store) {
+    if (typeof store.storeBytes === 'function' && typeof store.fetchBytes === 'function') {
+      // SESNetwork: raw bytes and JSON objects live side by side
+      return {
+        putChunk: chunk => store.storeBytes(chunk),
+        putNode: node => store.storeObject(node),
+        getChunk: async cid => {
+          const bytes = await store.fetchBytes(cid);
+          return bytes ? new Uint8Array(bytes) : null;
+        },
+        getNode: cid => store.fetchObject(cid)
+      };
+    }
+    if (typeof store.store === 'function' && typeof store.fetch === 'function') {
+      // ContentStore keeps Uint8Array values as CBOR byte strings
+      return {
+        putChunk: chunk => store.store(chunk),
+        putNode: node => store.store(node),
+        getChunk: async cid => {
+          const bytes = await store.fetch(cid);
+          return bytes instanceof Uint8Array ? bytes : null;
+        },
+        getNode: cid => store.fetch(cid)
+      };
+    }
+    throw new Error('Chunked storage needs a ContentStore or SESNetwork');
+  }
+
+  async function* toChunks(source) {
+    if (source instanceof Uint8Array) {
+      yield source;
+    } else if (source instanceof ArrayBuffer) {
+      yield new Uint8Array(source);
+    } else if (source && (typeof source[Symbol.asyncIterator] === 'function' || typeof source[Symbol.iterator] === 'function')) {
+      for await (const piece of source) {
+        yield piece instanceof Uint8Array ? piece : new Uint8Array(piece);
+      }
+    } else {
+      throw new Error('Expected bytes or an iterable of byte chunks');
+    }
+  }
+
+  // ============================================
+  // WRITE
+  // ============================================
+
+  /**
+   * Chunk and store a payload, reading the source incrementally
+   * @param {ContentStore|SESNetwork} store - Target store
+   * @param {Uint8Array|ArrayBuffer|Iterable|AsyncIterable} source - Bytes or a stream of byte chunks
+   * @param {Object} options - Chunking options (strategy, chunkSize, min/avg/maxChunkSize, fanout)
+   * @returns {Promise<Object>} { cid, size, chunks, depth }
+   */
+  async function storeStream(store, source, options = {}) {
+    const blocks = blockStore(store);
+    const chunker = new Chunker(options);
+    const fanout = { ...DEFAULTS, ...options }.fanout;
+
+    let links = [];
+    let size = 0;
+    const putChunks = async (chunks) => {
+      for (const chunk of chunks) {
+        links.push({ cid: await blocks.putChunk(chunk), size: chunk.length });
+        size += chunk.length;
+      }
+    };
+    for await (const piece of toChunks(source)) {
+      await putChunks(chunker.push(piece));
+    }
+    await putChunks(chunker.flush());
+
+    const chunkCount = links.length;
+    let depth = 1;
+    while (links.length > fanout) {
+      const parents = [];
+      for (let i = 0; i < links.length; i += fanout) {
+        const group = links.slice(i, i + fanout);
+        const groupSize = group.reduce((sum, link) => sum + link.size, 0);
+        const cid = await blocks.putNode({ type: MANIFEST_TYPE, version: MANIFEST_VERSION, depth: depth, size: groupSize, links: group });
+        parents.push({ cid: cid, size: groupSize });
+      }
+      links = parents;
+      depth++;
+    }
+
+    const cid = await blocks.putNode({
+      type: MANIFEST_TYPE,
+      version: MANIFEST_VERSION,
+      depth: depth,
+      size: size,
+      links: links,
+      chunking: chunker.params()
+    });
+    return { cid: cid, size: size, chunks: chunkCount, depth: depth };
+  }
+
+  /**
+   * Chunk and store bytes
+   * @param {ContentStore|SESNetwork} store - Target store
+   * @param {Uint8Array|ArrayBuffer} bytes - Payload
+   * @param {Object} options - Chunking options
+   * @returns {Promise<string>} Root manifest CID
+   */
+  async function storeBytes(store, bytes, options = {}) {
+    return (await storeStream(store, bytes, options)).cid;
+  }
+
+  // ============================================
+  // READ
+  // ============================================
+
+  /**
+   * Fetch and check the root manifest
+   * @param {ContentStore|SESNetwork} store
+   * @param {string} cid - Root manifest CID
+   * @returns {Promise<Object>} { size, depth, chunking }
+   */
+  async function stat(store, cid) {
+    const manifest = await blockStore(store).getNode(cid);
+    if (!isManifest(manifest)) {
+      throw new Error('Not a chunked object: ' + cid);
+    }
+    return { size: manifest.size, depth: manifest.depth, chunking: manifest.chunking || null };
+  }
+
+  /**
+   * Stream a payload (or a byte range of it) chunk by chunk
+   * Only the chunks overlapping the range are fetched.
+   * @param {ContentStore|SESNetwork} store
+   * @param {string} cid - Root manifest CID
+   * @param {Object} options - { offset (default 0), length (default to the end) }
+   * @yields {Uint8Array} Consecutive pieces of the range
+   */
+  async function* stream(store, cid, options = {}) {
+    const blocks = blockStore(store);
+    const manifest = await blocks.getNode(cid);
+    if (!isManifest(manifest)) {
+      throw new Error('Not a chunked object: ' + cid);
+    }
+    const { start, end } = clampRange(manifest.size, options.offset, options.length);
+    if (start < end) {
+      yield* walk(blocks, manifest, start, end, 0);
+    }
+  }
+
+  async function* walk(blocks, node, start, end, base) {
+    let position = base;
+    for (const link of node.links) {
+      const linkStart = position;
+      const linkEnd = position + link.size;
+      position = linkEnd;
+      if (linkEnd <= start) continue;
+      if (linkStart >= end) break;
+
+      if (node.depth === 1) {
+        const chunk = await blocks.getChunk(link.cid);
+        if (!chunk || chunk.length !== link.size) {
+          throw new Error('Missing or damaged chunk: ' + link.cid);
+        }
+        yield chunk.subarray(Math.max(start - linkStart, 0), Math.min(end, linkEnd) - linkStart);
+      } else {
+        const child = await blocks.getNode(link.cid);
+        if (!isManifest(child) || child.depth !== node.depth - 1 || child.size !== link.size) {
+          throw new Error('Missing or damaged manifest node: ' + link.cid);
+        }
+        yield* walk(blocks, child, start, end, linkStart);
+      }
+    }
+  }
+
+  function clampRange(size, offset = 0, length) {
+    if (!Number.isInteger(offset) || offset < 0) {
+      throw new Error('offset must be a non-negative integer');
+    }
+    if (length !== undefined && (!Number.isInteger(length) || length < 0)) {
+      throw new Error('length must be a non-negative integer');
+    }
+    const start = Math.min(offset, size);
+    const end = length === undefined ? size : Math.min(size, start + length);
+    return { start: start, end: end };
+  }
+
+  /**
+   * Read a byte range
+   * @param {ContentStore|SESNetwork} store
+   * @param {string} cid - Root manifest CID
+   * @param {number} offset - First byte
+   * @param {number} length - Byte count (default to the end)
+   * @returns {Promise<Uint8Array>}
+   */
+  async function readRange(store, cid, offset, length) {
+    const parts = [];
+    let size = 0;
+    for await (const part of stream(store, cid, { offset: offset, length: length })) {
+      parts.push(part);
+      size += part.length;
+    }
+    return concat(parts, size);
+  }
+
+  /**
+   * Reassemble a whole payload
+   * @param {ContentStore|SESNetwork} store
+   * @param {string} cid - Root manifest CID
+   * @returns {Promise<Uint8Array>}
+   */
+  async function fetchBytes(store, cid) {
+    return readRange(store, cid, 0);
+  }
+
+  // ============================================
+  // EXPORT
+  // ============================================
+  const MerkleDAG = Object.freeze({
+    VERSION: DAG_VERSION,
+    MANIFEST_TYPE: MANIFEST_TYPE,
+    Strategy: Strategy,
+    DEFAULTS: DEFAULTS,
+    Chunker: Chunker,
+    isManifest: isManifest,
+    storeStream: storeStream,
+    storeBytes: storeBytes,
+    stat: stat,
+    stream: stream,
+    readRange: readRange,
+    fetchBytes: fetchBytes
+  });
+
+  // Universal module export
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MerkleDAG;
+  } else if (typeof root !== 'undefined') {
+    root.MerkleDAG = MerkleDAG;
+  }
+
+})(typeof globalThis !== 'undefined' ? globalThis : (typeof window !== 'undefined' ? window : global));
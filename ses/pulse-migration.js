@@ -0,0 +1,400 @@
+/**
+ * PULSE-MIGRATION.JS - Pulse Schema Versioning and Migration
+ * Sovereign Execution Substrate - Layer 3
+ *
+ * Pulses carry a schemaVersion. Older or foreign shapes are detected,
+ * then walked through registered upcasters to the current frozen schema:
+ *
+ *   ses-core   - SESCore.Pulse (adds createdAt)
+ *   snake-case - P2P / flow executor shape (pulse_cid, function_cid, ...)
+ *   1.1.0      - Layer 3 pulses written before schemaVersion existed
+ *
+ * Migrating changes a pulse's content and therefore its CID. migrateStore
+ * rewrites stored pulses parents-first, so child links follow their
+ * migrated parents, and records every old-to-new CID mapping.
+ *
+ * @version 1.0.0
+ * @license Apache-2.0 / MIT
+ */
+
+(function(root) {
+  'use strict';
+
+  const MIGRATION_VERSION = '1.0.0';
+  const MIGRATION_RECORD_TYPE = 'dcx-pulse-migration';
+
+  const SES_CORE_SHAPE = 'ses-core';
+  const SNAKE_CASE_SHAPE = 'snake-case';
+  const UNVERSIONED_LAYER3 = '1.1.0';
+
+  function getPulseSchema() {
+    const schema = root.PulseSchema ||
+      (typeof require === 'function' ? require('./pulse-schema.js') : null);
+    if (!schema) {
+      throw new Error('PulseSchema not available');
+    }
+    return schema;
+  }
+
+  function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  function clone(value) {
+    return JSON.parse(JSON.stringify(value));
+  }
+
+  // ============================================
+  // BUILT-IN SHAPES
+  // ============================================
+
+  /**
+   * SESCore.Pulse: same fields plus a wall-clock createdAt
+   */
+  function upcastSesCore(pulse) {
+    const upcast = { ...pulse };
+    delete upcast.createdAt;
+    if (upcast.checkpointCid === undefined) {
+      upcast.checkpointCid = null;
+    }
+    return upcast;
+  }
+
+  /**
+   * snake_case pulses published to the network or built by the flow executor
+   */
+  function upcastSnakeCase(pulse) {
+    const defaults = getPulseSchema().DEFAULT_BOUNDS;
+    const bounds = pulse.bounds || {};
+    const upcast = {
+      pulseId: null,
+      parentPulseId: pulse.parent_pulse_id || null,
+      checkpointCid: pulse.checkpoint_cid || null,
+      logicalTick: pulse.logical_tick || 0,
+      bounds: {
+        maxSteps: bounds.max_steps || defaults.maxSteps,
+        maxMemoryBytes: bounds.max_memory_bytes || bounds.max_memory || defaults.maxMemoryBytes,
+        maxBranchDepth: bounds.max_branch_depth || defaults.maxBranchDepth,
+        maxExecutionMs: bounds.max_execution_ms || defaults.maxExecutionMs
+      },
+      inputCid: pulse.input_cid || null,
+      functionCid: pulse.function_cid || null,
+      outputCid: pulse.output_cid || null,
+      traceCid: pulse.trace_cid || null,
+      author: pulse.author || 'did:anonymous',
+      signature: pulse.signature || null,
+      status: pulse.status || 'pending',
+      error: pulse.error || null
+    };
+    if (Array.isArray(pulse.parent_pulse_ids) && pulse.parent_pulse_ids.length > 0) {
+      upcast.parentPulseIds = pulse.parent_pulse_ids.slice();
+      upcast.parentPulseId = upcast.parentPulseIds[0];
+    }
+    return upcast;
+  }
+
+  // ============================================
+  // PULSE MIGRATOR
+  // ============================================
+  class PulseMigrator {
+    /**
+     * @param {Object} options - Migrator options
+     * @param {boolean} options.builtins - Register the built-in shapes (default true)
+     */
+    constructor(options = {}) {
+      this._upcasters = new Map();  // from version -> { to, upcast }
+      this._detectors = [];         // record -> version | null, for unversioned records
+
+      if (options.builtins !== false) {
+        this.registerDetector(record => ('function_cid' in record) ? SNAKE_CASE_SHAPE : null);
+        this.registerDetector(record =>
+          ('functionCid' in record && 'bounds' in record && 'createdAt' in record) ? SES_CORE_SHAPE : null);
+        this.registerDetector(record =>
+          ('functionCid' in record && 'bounds' in record) ? UNVERSIONED_LAYER3 : null);
+
+        this.register(SES_CORE_SHAPE, UNVERSIONED_LAYER3, upcastSesCore);
+        this.register(SNAKE_CASE_SHAPE, UNVERSIONED_LAYER3, upcastSnakeCase);
+        // 1.2.0 only added schemaVersion, which migrate() stamps
+        this.register(UNVERSIONED_LAYER3, '1.2.0', pulse => pulse);
+      }
+    }
+
+    /**
+     * Register an upcaster from one schema version (or shape) to the next
+     * @param {string} from - Version or shape label it accepts
+     * @param {string} to - Version it produces
+     * @param {Function} upcast - (pulse) => pulse; receives a copy it may modify
+     */
+    register(from, to, upcast) {
+      if (typeof upcast !== 'function') {
+        throw new Error('Upcaster must be a function');
+      }
+      if (from === to) {
+        throw new Error('Upcaster must change the version: ' + from);
+      }
+      if (this._upcasters.has(from)) {
+        throw new Error('Upcaster already registered from ' + from);
+      }
+      this._upcasters.set(from, { to: to, upcast: upcast });
+    }
+
+    /**
+     * Register a detector for records without a schemaVersion
+     * Detectors run in registration order; the first non-null label wins.
+     * @param {Function} detect - (record) => version label or null
+     */
+    registerDetector(detect) {
+      if (typeof detect !== 'function') {
+        throw new Error('Detector must be a function');
+      }
+      this._detectors.push(detect);
+    }
+
+    /**
+     * Get the schema version or shape of a record
+     * @param {any} record - Candidate pulse
+     * @returns {string|null} Version label, or null if it is not a pulse
+     */
+    detectVersion(record) {
+      if (!isPlainObject(record) || record.type === MIGRATION_RECORD_TYPE) {
+        return null;
+      }
+      // Other records may carry a schemaVersion too (migration mappings do)
+      if (typeof record.schemaVersion === 'string') {
+        return 'functionCid' in record || 'bounds' in record ? record.schemaVersion : null;
+      }
+      for (const detect of this._detectors) {
+        const version = detect(record);
+        if (version) {
+          return version;
+        }
+      }
+      return null;
+    }
+
+    /**
+     * Migrate a pulse to the current schema version
+     * A changed pulse gets pulseId null: its CID is that of the new content.
+     * @param {Object} record - Pulse in any registered shape
+     * @returns {Object} { pulse, from, to, path, changed, valid, errors }
+     */
+    migrate(record) {
+      const current = getPulseSchema().VERSION;
+      const from = this.detectVersion(record);
+      if (from === null) {
+        throw new Error('Not a pulse record');
+      }
+
+      let pulse = clone(record);
+      let version = from;
+      const path = [from];
+      while (version !== current) {
+        const step = this._upcasters.get(version);
+        if (!step) {
+          throw new Error(`No upcaster from schema version ${version} to ${current}`);
+        }
+        pulse = step.upcast(pulse);
+        version = step.to;
+        if (path.includes(version)) {
+          throw new Error('Upcaster cycle at schema version ' + version);
+        }
+        path.push(version);
+      }
+
+      const changed = from !== current;
+      if (changed) {
+        pulse.schemaVersion = current;
+        pulse.pulseId = null;
+      }
+
+      const validation = getPulseSchema().validatePulse(pulse);
+      return {
+        pulse: pulse,
+        from: from,
+        to: current,
+        path: path,
+        changed: changed,
+        valid: validation.valid,
+        errors: validation.errors
+      };
+    }
+
+    /**
+     * Rewrite every stored pulse not on the current schema
+     * Parents are migrated first and child links point at the new CIDs,
+     * so a current pulse is rewritten too when one of its parents moved.
+     * Old records are kept; the mapping is stored as its own record.
+     * Re-running is safe: old records map to the same new CIDs.
+     * @param {ContentStore} store - Store to migrate
+     * @returns {Promise<Object>} { scanned, migrated, unchanged, failed, mappings, mappingCid }
+     */
+    async migrateStore(store) {
+      const PulseSchema = getPulseSchema();
+      const failed = [];
+      const migrations = new Map();  // old CID -> migrate() result
+
+      let scanned = 0;
+      for (const cid of store.keys()) {
+        const record = await store.fetch(cid);
+        if (this.detectVersion(record) === null) {
+          continue;
+        }
+        scanned++;
+        try {
+          migrations.set(cid, this.migrate(record));
+        } catch (error) {
+          failed.push({ cid: cid, errors: [error.message] });
+        }
+      }
+
+      const mappings = {};
+      let unchanged = 0;
+      for (const cid of this._parentsFirst(migrations)) {
+        const migration = migrations.get(cid);
+        const pulse = migration.pulse;
+
+        // Follow parents that moved
+        let relinked = false;
+        if (pulse.parentPulseId && mappings[pulse.parentPulseId]) {
+          pulse.parentPulseId = mappings[pulse.parentPulseId];
+          relinked = true;
+        }
+        if (Array.isArray(pulse.parentPulseIds)) {
+          pulse.parentPulseIds = pulse.parentPulseIds.map(id => {
+            if (!mappings[id]) return id;
+            relinked = true;
+            return mappings[id];
+          });
+        }
+
+        if (!migration.changed && !relinked) {
+          unchanged++;
+          continue;
+        }
+
+        pulse.schemaVersion = PulseSchema.VERSION;
+        pulse.pulseId = null;
+        const validation = PulseSchema.validatePulse(pulse);
+        if (!validation.valid) {
+          failed.push({ cid: cid, errors: validation.errors });
+          continue;
+        }
+        mappings[cid] = await store.store(pulse);
+      }
+
+      const migrated = Object.keys(mappings).length;
+      const mappingCid = migrated > 0
+        ? await store.store({
+          type: MIGRATION_RECORD_TYPE,
+          version: 1,
+          schemaVersion: PulseSchema.VERSION,
+          mappings: mappings
+        })
+        : null;
+
+      return {
+        scanned: scanned,
+        migrated: migrated,
+        unchanged: unchanged,
+        failed: failed,
+        mappings: mappings,
+        mappingCid: mappingCid
+      };
+    }
+
+    /**
+     * Order pulse CIDs so every stored parent comes before its children
+     * @private
+     */
+    _parentsFirst(migrations) {
+      const PulseSchema = getPulseSchema();
+      const order = [];
+      const visited = new Set();
+
+      for (const start of migrations.keys()) {
+        if (visited.has(start)) continue;
+        visited.add(start);
+        const stack = [{ cid: start, parents: PulseSchema.getParentPulseIds(migrations.get(start).pulse), next: 0 }];
+
+        while (stack.length > 0) {
+          const frame = stack[stack.length - 1];
+          if (frame.next < frame.parents.length) {
+            const parent = frame.parents[frame.next++];
+            if (migrations.has(parent) && !visited.has(parent)) {
+              visited.add(parent);
+              stack.push({ cid: parent, parents: PulseSchema.getParentPulseIds(migrations.get(parent).pulse), next: 0 });
+            }
+            continue;
+          }
+          order.push(frame.cid);
+          stack.pop();
+        }
+      }
+      return order;
+    }
+  }
+
+  // ============================================
+  // DEFAULT MIGRATOR
+  // ============================================
+  let defaultMigrator = null;
+
+  /**
+   * Get the shared migrator (register custom upcasters on it)
+   * @returns {PulseMigrator}
+   */
+  function getDefaultMigrator() {
+    if (!defaultMigrator) {
+      defaultMigrator = new PulseMigrator();
+    }
+    return defaultMigrator;
+  }
+
+  /**
+   * Migrate a pulse with the shared migrator
+   * @param {Object} record - Pulse in any registered shape
+   * @returns {Object} { pulse, from, to, path, changed, valid, errors }
+   */
+  function migratePulse(record) {
+    return getDefaultMigrator().migrate(record);
+  }
+
+  /**
+   * Validate a stored record, reading pulses as their migrated form
+   * Older pulses stay acceptable as long as they migrate cleanly.
+   * @param {any} record - Parsed store record
+   * @returns {Object|null} { kind, valid, errors, ... } or null for non-pulse, non-trace records
+   */
+  function validateRecord(record) {
+    const migrator = getDefaultMigrator();
+    if (migrator.detectVersion(record) === null) {
+      return getPulseSchema().validateRecord(record);
+    }
+    try {
+      const migration = migrator.migrate(record);
+      return { kind: 'pulse', valid: migration.valid, errors: migration.errors, from: migration.from };
+    } catch (error) {
+      return { kind: 'pulse', valid: false, errors: [error.message] };
+    }
+  }
+
+  // ============================================
+  // EXPORT
+  // ============================================
+  const PulseMigration = Object.freeze({
+    VERSION: MIGRATION_VERSION,
+    MIGRATION_RECORD_TYPE: MIGRATION_RECORD_TYPE,
+    PulseMigrator: PulseMigrator,
+    getDefaultMigrator: getDefaultMigrator,
+    migratePulse: migratePulse,
+    validateRecord: validateRecord
+  });
+
+  // Universal module export
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PulseMigration;
+  } else if (typeof root !== 'undefined') {
+    root.PulseMigration = PulseMigration;
+  }
+
+})(typeof globalThis !== 'undefined' ? globalThis : (typeof window !== 'undefined' ? window : global));
@@ -5,7 +5,7 @@
  * This is the CANONICAL schema definition.
  * No UI convenience, no implementation details.
  * 
- * @version 1.0.0-frozen
+ * @version 1.2.0-frozen
  * @license Apache-2.0 / MIT
  */
 
@@ -15,7 +15,13 @@
   // ============================================
   // VERSION
   // ============================================
-  const SCHEMA_VERSION = '1.0.0';
+  const SCHEMA_VERSION = '1.2.0';
+
+  // ============================================
+  // CID FORMATS
+  // Legacy cid:<alg>:<hex>, or base32 CIDv1 (IPFS)
+  // ============================================
+  const CID_PATTERN = '^(cid:[a-z0-9]+:[a-f0-9]+|b[a-z2-7]{58,})$';
 
   // ============================================
   // DEFAULT RESOURCE BOUNDS
@@ -37,7 +43,8 @@
     EXECUTING: 'executing',
     COMPLETED: 'completed',
     FAILED: 'failed',
-    VIOLATED: 'violated'
+    VIOLATED: 'violated',
+    CANCELLED: 'cancelled'
   });
 
   // ============================================
@@ -45,7 +52,7 @@
   // ============================================
   const PULSE_SCHEMA = Object.freeze({
     $schema: 'https://json-schema.org/draft/2020-12/schema',
-    $id: 'https://ses.sovereign-substrate.org/schemas/pulse/1.0.0',
+    $id: 'https://ses.sovereign-substrate.org/schemas/pulse/1.2.0',
     title: 'Pulse',
     description: 'The fundamental, indivisible unit of computation in SES Layer 3',
     type: 'object',
@@ -58,16 +65,35 @@
     ],
     
     properties: {
+      // Envelope
+      schemaVersion: {
+        type: 'string',
+        const: SCHEMA_VERSION,
+        description: 'Schema version the pulse was written against (older versions must be migrated)'
+      },
+      
       // Identity
       pulseId: {
         type: ['string', 'null'],
         description: 'CID of this pulse (computed after execution)',
-        pattern: '^cid:[a-z0-9]+:[a-f0-9]+$'
+        pattern: CID_PATTERN
       },
       parentPulseId: {
         type: ['string', 'null'],
         description: 'CID of parent pulse (null for root pulses)'
       },
+      parentPulseIds: {
+        type: 'array',
+        minItems: 1,
+        uniqueItems: true,
+        items: { type: 'string', pattern: CID_PATTERN },
+        description: 'CIDs of every parent of a join pulse; parentPulseId holds the first (absent for single-parent pulses)'
+      },
+      checkpointCid: {
+        type: ['string', 'null'],
+        description: 'CID of the checkpoint a resume pulse starts from (null for fresh pulses)',
+        pattern: CID_PATTERN
+      },
       
       // Logical Time
       logicalTick: {
@@ -112,11 +138,13 @@
       // Content-Addressed References
       inputCid: {
         type: 'string',
-        description: 'CID of input data'
+        description: 'CID of input data',
+        pattern: CID_PATTERN
       },
       functionCid: {
         type: 'string',
-        description: 'CID of execution function'
+        description: 'CID of execution function',
+        pattern: CID_PATTERN
       },
       outputCid: {
         type: ['string', 'null'],
@@ -140,11 +168,11 @@
       // Execution State
       status: {
         type: 'string',
-        enum: ['pending', 'executing', 'completed', 'failed', 'violated'],
+        enum: ['pending', 'executing', 'completed', 'failed', 'violated', 'cancelled'],
         description: 'Current execution status'
       },
       
-      // Error (only if status is failed or violated)
+      // Error (only if status is failed, violated or cancelled)
       error: {
         type: ['object', 'null'],
         properties: {
@@ -157,6 +185,12 @@
       }
     },
     
+    // Resume pulses must name the pulse they continue
+    allOf: [{
+      if: { properties: { checkpointCid: { type: 'string' } }, required: ['checkpointCid'] },
+      then: { properties: { parentPulseId: { type: 'string' } }, required: ['parentPulseId'] }
+    }],
+    
     additionalProperties: false
   });
 
@@ -170,9 +204,21 @@
     description: 'Complete execution record for deterministic replay',
     type: 'object',
     
-    required: ['steps', 'totalSteps', 'peakMemory', 'maxBranchDepth', 'deterministicSeed'],
+    required: ['totalSteps', 'peakMemory', 'maxBranchDepth', 'deterministicSeed'],
+    
+    // Chunked traces are manifests: steps live in the linked segments
+    allOf: [{
+      if: { properties: { mode: { const: 'chunked' } }, required: ['mode'] },
+      then: { required: ['segments', 'chunkSize'] },
+      else: { required: ['steps'] }
+    }],
     
     properties: {
+      mode: {
+        type: 'string',
+        enum: ['full', 'chunked', 'sampled'],
+        description: 'full: every step; chunked: segments + manifest; sampled: counters + every Nth step'
+      },
       steps: {
         type: 'array',
         items: {
@@ -187,10 +233,27 @@
           }
         }
       },
+      segments: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Segment CIDs in order (chunked)'
+      },
+      chunkSize: { type: 'integer', minimum: 1 },
+      sampleInterval: { type: 'integer', minimum: 1 },
+      operationCounts: {
+        type: 'object',
+        additionalProperties: { type: 'integer', minimum: 0 },
+        description: 'Exact per-operation step counts (sampled)'
+      },
       totalSteps: { type: 'integer', minimum: 0 },
       peakMemory: { type: 'integer', minimum: 0 },
       maxBranchDepth: { type: 'integer', minimum: 0 },
       deterministicSeed: { type: 'string' },
+      checkpointCid: {
+        type: ['string', 'null'],
+        description: 'CID of the latest checkpoint emitted via ctx.checkpoint()'
+      },
+      // Legacy: timing now lives in the execution receipt, outside the trace
       startTime: { type: 'string' },
       endTime: { type: 'string' }
     },
@@ -199,71 +262,111 @@
   });
 
   // ============================================
-  // PULSE VALIDATOR
+  // VALIDATION
+  // The schemas above are interpreted directly, so the
+  // frozen spec and the enforced rules cannot drift.
   // ============================================
+  function getValidator() {
+    const validator = root.SchemaValidator ||
+      (typeof require === 'function' ? require('./schema-validator.js') : null);
+    if (!validator) {
+      throw new Error('SchemaValidator not available');
+    }
+    return validator;
+  }
+
+  /**
+   * Shape a validation result: readable strings plus structured details
+   * @private
+   */
+  function toResult(details) {
+    const validator = getValidator();
+    return {
+      valid: details.length === 0,
+      errors: details.map(validator.formatError),
+      details: details
+    };
+  }
+
+  /**
+   * Validate a pulse against PULSE_SCHEMA plus the cross-field rules
+   * JSON Schema cannot express
+   * @param {Object} pulse - Pulse to validate
+   * @returns {Object} { valid, errors: string[], details: [{ path, keyword, message }] }
+   */
   function validatePulse(pulse) {
-    const errors = [];
+    const details = getValidator().validate(PULSE_SCHEMA, pulse).errors;
     
-    // Required fields
-    if (!pulse.bounds) {
-      errors.push('Missing required field: bounds');
-    } else {
-      if (typeof pulse.bounds.maxSteps !== 'number' || pulse.bounds.maxSteps < 1) {
-        errors.push('bounds.maxSteps must be a positive integer');
-      }
-      if (typeof pulse.bounds.maxMemoryBytes !== 'number' || pulse.bounds.maxMemoryBytes < 1) {
-        errors.push('bounds.maxMemoryBytes must be a positive integer');
-      }
-      if (typeof pulse.bounds.maxBranchDepth !== 'number' || pulse.bounds.maxBranchDepth < 1) {
-        errors.push('bounds.maxBranchDepth must be a positive integer');
+    // Join pulses: parentPulseIds lists every parent, led by parentPulseId
+    const parents = pulse && pulse.parentPulseIds;
+    if (Array.isArray(parents) && parents.length > 0) {
+      if (pulse.parentPulseId !== parents[0]) {
+        details.push({ path: '/parentPulseId', keyword: 'parentPulseIds', message: 'must be the first of parentPulseIds' });
       }
-      if (typeof pulse.bounds.maxExecutionMs !== 'number' || pulse.bounds.maxExecutionMs < 1) {
-        errors.push('bounds.maxExecutionMs must be a positive integer');
+      if (pulse.pulseId && parents.includes(pulse.pulseId)) {
+        details.push({ path: '/parentPulseIds', keyword: 'parentPulseIds', message: 'must not contain the pulse itself' });
       }
     }
     
-    if (typeof pulse.inputCid !== 'string' || !pulse.inputCid) {
-      errors.push('Missing required field: inputCid');
-    }
-    
-    if (typeof pulse.functionCid !== 'string' || !pulse.functionCid) {
-      errors.push('Missing required field: functionCid');
-    }
-    
-    if (typeof pulse.author !== 'string' || !pulse.author) {
-      errors.push('Missing required field: author');
+    return toResult(details);
+  }
+
+  /**
+   * Validate an execution trace (or chunked trace manifest) against TRACE_SCHEMA
+   * @param {Object} trace - Trace JSON
+   * @returns {Object} { valid, errors: string[], details: [{ path, keyword, message }] }
+   */
+  function validateTrace(trace) {
+    return toResult(getValidator().validate(TRACE_SCHEMA, trace).errors);
+  }
+
+  /**
+   * Validate a stored record if it is a pulse or a trace
+   * @param {any} record - Parsed store record
+   * @returns {Object|null} Validation result with kind ('pulse' | 'trace'), or null for other records
+   */
+  function validateRecord(record) {
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+      return null;
     }
-    
-    // Status validation
-    if (pulse.status && !Object.values(PulseStatus).includes(pulse.status)) {
-      errors.push('Invalid status value');
+    if ('functionCid' in record && 'bounds' in record) {
+      return { kind: 'pulse', ...validatePulse(record) };
     }
-    
-    // CID pattern validation
-    const cidPattern = /^cid:[a-z0-9]+:[a-f0-9]+$/;
-    if (pulse.pulseId && !cidPattern.test(pulse.pulseId)) {
-      errors.push('Invalid pulseId format');
+    if ('deterministicSeed' in record && 'totalSteps' in record) {
+      return { kind: 'trace', ...validateTrace(record) };
     }
-    if (pulse.inputCid && !cidPattern.test(pulse.inputCid)) {
-      errors.push('Invalid inputCid format');
+    return null;
+  }
+
+  /**
+   * Get every parent of a pulse (joins list several, roots none)
+   * @param {Object} pulse - Pulse
+   * @returns {string[]} Parent pulse CIDs, primary parent first
+   */
+  function getParentPulseIds(pulse) {
+    if (!pulse) {
+      return [];
     }
-    if (pulse.functionCid && !cidPattern.test(pulse.functionCid)) {
-      errors.push('Invalid functionCid format');
+    const parents = Array.isArray(pulse.parentPulseIds) ? pulse.parentPulseIds.slice() : [];
+    if (pulse.parentPulseId && !parents.includes(pulse.parentPulseId)) {
+      parents.unshift(pulse.parentPulseId);
     }
-    
-    return {
-      valid: errors.length === 0,
-      errors: errors
-    };
+    return parents;
   }
 
   // ============================================
   // PULSE FACTORY
   // ============================================
   function createPulseTemplate(options) {
-    return {
+    // Only join pulses carry parentPulseIds, so single-parent CIDs are unchanged
+    const parentPulseIds = Array.isArray(options.parentPulseIds) && options.parentPulseIds.length > 0
+      ? options.parentPulseIds.slice()
+      : null;
+    const pulse = {
+      schemaVersion: SCHEMA_VERSION,
       pulseId: null,
-      parentPulseId: options.parentPulseId || null,
+      parentPulseId: parentPulseIds ? parentPulseIds[0] : (options.parentPulseId || null),
+      checkpointCid: options.checkpointCid || null,
       logicalTick: options.logicalTick || 0,
       bounds: {
         maxSteps: options.maxSteps || DEFAULT_BOUNDS.maxSteps,
@@ -280,6 +383,10 @@
       status: PulseStatus.PENDING,
       error: null
     };
+    if (parentPulseIds) {
+      pulse.parentPulseIds = parentPulseIds;
+    }
+    return pulse;
   }
 
   // ============================================
@@ -289,9 +396,13 @@
     VERSION: SCHEMA_VERSION,
     DEFAULT_BOUNDS: DEFAULT_BOUNDS,
     PulseStatus: PulseStatus,
+    CID_PATTERN: CID_PATTERN,
     PULSE_SCHEMA: PULSE_SCHEMA,
     TRACE_SCHEMA: TRACE_SCHEMA,
     validatePulse: validatePulse,
+    validateTrace: validateTrace,
+    validateRecord: validateRecord,
+    getParentPulseIds: getParentPulseIds,
     createPulseTemplate: createPulseTemplate
   });
 
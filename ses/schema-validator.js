@@ -0,0 +1,370 @@
+/**
+ * SCHEMA-VALIDATOR.JS - JSON Schema 2020-12 Validator
+ * Sovereign Execution Substrate - Layer 3
+ *
+ * Dependency-free interpreter for the schema objects in pulse-schema.js,
+ * so the frozen spec is the enforced rule set.
+ *
+ * Supported vocabularies: core ($ref to the same document, $defs),
+ * applicator, validation. `format` is an annotation only, as in the
+ * 2020-12 default. unevaluatedItems / unevaluatedProperties are rejected
+ * rather than silently ignored.
+ *
+ * Errors carry JSON Pointer (RFC 6901) paths into the instance.
+ *
+ * @version 1.0.0
+ * @license Apache-2.0 / MIT
+ */
+
+(function(root) {
+  'use strict';
+
+  const VALIDATOR_VERSION = '1.0.0';
+
+  const UNSUPPORTED_KEYWORDS = ['unevaluatedItems', 'unevaluatedProperties', '$dynamicRef'];
+
+  // Compiled `pattern` / `patternProperties` regexes
+  const regexCache = new Map();
+
+  // ============================================
+  // HELPERS
+  // ============================================
+
+  /**
+   * Escape a property name as a JSON Pointer token
+   * @param {string|number} token - Property name or index
+   * @returns {string}
+   */
+  function escapePointer(token) {
+    return String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+  }
+
+  function unescapePointer(token) {
+    return token.replace(/~1/g, '/').replace(/~0/g, '~');
+  }
+
+  function getRegex(pattern) {
+    let regex = regexCache.get(pattern);
+    if (!regex) {
+      regex = new RegExp(pattern, 'u');
+      regexCache.set(pattern, regex);
+    }
+    return regex;
+  }
+
+  function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+  }
+
+  function matchesType(value, type) {
+    switch (type) {
+      case 'null': return value === null;
+      case 'boolean': return typeof value === 'boolean';
+      case 'string': return typeof value === 'string';
+      case 'number': return typeof value === 'number' && Number.isFinite(value);
+      case 'integer': return Number.isInteger(value);
+      case 'array': return Array.isArray(value);
+      case 'object': return typeOf(value) === 'object';
+      default: throw new Error('Unknown schema type: ' + type);
+    }
+  }
+
+  /**
+   * JSON data model equality (key order and 1 vs 1.0 do not matter)
+   */
+  function deepEqual(a, b) {
+    if (a === b) return true;
+    const type = typeOf(a);
+    if (type !== typeOf(b) || type !== 'array' && type !== 'object') {
+      return false;
+    }
+    if (type === 'array') {
+      return a.length === b.length && a.every((item, i) => deepEqual(item, b[i]));
+    }
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length &&
+      keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && deepEqual(a[key], b[key]));
+  }
+
+  function describe(value) {
+    return JSON.stringify(value);
+  }
+
+  // ============================================
+  // VALIDATION
+  // ============================================
+
+  /**
+   * Resolve a same-document $ref ('#', '#/$defs/name', ...)
+   * @private
+   */
+  function resolveRef(ref, rootSchema) {
+    if (ref === '#') {
+      return rootSchema;
+    }
+    if (!ref.startsWith('#/')) {
+      throw new Error('Unsupported $ref (only same-document pointers): ' + ref);
+    }
+    let target = rootSchema;
+    for (const token of ref.slice(2).split('/')) {
+      const key = unescapePointer(decodeURIComponent(token));
+      if (target === null || typeof target !== 'object' || !(key in target)) {
+        throw new Error('Unresolvable $ref: ' + ref);
+      }
+      target = target[key];
+    }
+    return target;
+  }
+
+  /**
+   * Validate a value against a (sub)schema, appending errors
+   * @private
+   * @returns {boolean} Whether the value is valid
+   */
+  function validateNode(schema, value, path, rootSchema, errors) {
+    if (schema === true) return true;
+    if (schema === false) {
+      errors.push({ path, keyword: 'false', message: 'is not allowed' });
+      return false;
+    }
+
+    const start = errors.length;
+    const fail = (keyword, message, at = path) => {
+      errors.push({ path: at, keyword, message });
+    };
+
+    for (const keyword of UNSUPPORTED_KEYWORDS) {
+      if (keyword in schema) {
+        throw new Error('Unsupported schema keyword: ' + keyword);
+      }
+    }
+
+    if (schema.$ref !== undefined) {
+      validateNode(resolveRef(schema.$ref, rootSchema), value, path, rootSchema, errors);
+    }
+
+    // ---- Any type ----
+    if (schema.type !== undefined) {
+      const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+      if (!types.some(type => matchesType(value, type))) {
+        fail('type', 'must be ' + types.join(' or '));
+        // Type-specific keywords would only add noise
+        return false;
+      }
+    }
+    if (schema.enum !== undefined && !schema.enum.some(option => deepEqual(option, value))) {
+      fail('enum', 'must be one of ' + schema.enum.map(describe).join(', '));
+    }
+    if (schema.const !== undefined && !deepEqual(schema.const, value)) {
+      fail('const', 'must equal ' + describe(schema.const));
+    }
+
+    // ---- Numbers ----
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        fail('minimum', 'must be >= ' + schema.minimum);
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        fail('maximum', 'must be <= ' + schema.maximum);
+      }
+      if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+        fail('exclusiveMinimum', 'must be > ' + schema.exclusiveMinimum);
+      }
+      if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+        fail('exclusiveMaximum', 'must be < ' + schema.exclusiveMaximum);
+      }
+      if (schema.multipleOf !== undefined && !Number.isInteger(value / schema.multipleOf)) {
+        fail('multipleOf', 'must be a multiple of ' + schema.multipleOf);
+      }
+    }
+
+    // ---- Strings ----
+    if (typeof value === 'string') {
+      // Length counts code points, not UTF-16 units
+      const length = schema.minLength !== undefined || schema.maxLength !== undefined
+        ? Array.from(value).length
+        : 0;
+      if (schema.minLength !== undefined && length < schema.minLength) {
+        fail('minLength', 'must have at least ' + schema.minLength + ' characters');
+      }
+      if (schema.maxLength !== undefined && length > schema.maxLength) {
+        fail('maxLength', 'must have at most ' + schema.maxLength + ' characters');
+      }
+      if (schema.pattern !== undefined && !getRegex(schema.pattern).test(value)) {
+        fail('pattern', 'must match pattern ' + schema.pattern);
+      }
+    }
+
+    // ---- Arrays ----
+    if (Array.isArray(value)) {
+      const prefixLength = Array.isArray(schema.prefixItems) ? schema.prefixItems.length : 0;
+      for (let i = 0; i < Math.min(prefixLength, value.length); i++) {
+        validateNode(schema.prefixItems[i], value[i], path + '/' + i, rootSchema, errors);
+      }
+      if (schema.items !== undefined) {
+        for (let i = prefixLength; i < value.length; i++) {
+          validateNode(schema.items, value[i], path + '/' + i, rootSchema, errors);
+        }
+      }
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        fail('minItems', 'must have at least ' + schema.minItems + ' items');
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        fail('maxItems', 'must have at most ' + schema.maxItems + ' items');
+      }
+      if (schema.uniqueItems === true) {
+        for (let i = 1; i < value.length; i++) {
+          const duplicate = value.slice(0, i).findIndex(item => deepEqual(item, value[i]));
+          if (duplicate !== -1) {
+            fail('uniqueItems', 'must not repeat item ' + duplicate, path + '/' + i);
+            break;
+          }
+        }
+      }
+      if (schema.contains !== undefined) {
+        const matches = value.filter(item => validateNode(schema.contains, item, path, rootSchema, [])).length;
+        const min = schema.minContains !== undefined ? schema.minContains : 1;
+        if (matches < min) {
+          fail('contains', 'must contain at least ' + min + ' matching items');
+        }
+        if (schema.maxContains !== undefined && matches > schema.maxContains) {
+          fail('maxContains', 'must contain at most ' + schema.maxContains + ' matching items');
+        }
+      }
+    }
+
+    // ---- Objects ----
+    if (typeOf(value) === 'object') {
+      const keys = Object.keys(value);
+      const has = key => Object.prototype.hasOwnProperty.call(value, key);
+
+      // Missing properties point at where they belong
+      for (const key of schema.required || []) {
+        if (!has(key)) {
+          fail('required', 'is required', path + '/' + escapePointer(key));
+        }
+      }
+      for (const [key, dependents] of Object.entries(schema.dependentRequired || {})) {
+        if (!has(key)) continue;
+        for (const dependent of dependents) {
+          if (!has(dependent)) {
+            fail('dependentRequired', 'is required when ' + key + ' is present', path + '/' + escapePointer(dependent));
+          }
+        }
+      }
+      for (const [key, subschema] of Object.entries(schema.dependentSchemas || {})) {
+        if (has(key)) {
+          validateNode(subschema, value, path, rootSchema, errors);
+        }
+      }
+      if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+        fail('minProperties', 'must have at least ' + schema.minProperties + ' properties');
+      }
+      if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) {
+        fail('maxProperties', 'must have at most ' + schema.maxProperties + ' properties');
+      }
+
+      const properties = schema.properties || {};
+      const patterns = Object.keys(schema.patternProperties || {});
+      for (const key of keys) {
+        const childPath = path + '/' + escapePointer(key);
+        if (schema.propertyNames !== undefined) {
+          const nameErrors = [];
+          if (!validateNode(schema.propertyNames, key, childPath, rootSchema, nameErrors)) {
+            fail('propertyNames', 'property name ' + describe(key) + ' is invalid', childPath);
+          }
+        }
+
+        let evaluated = false;
+        if (Object.prototype.hasOwnProperty.call(properties, key)) {
+          evaluated = true;
+          validateNode(properties[key], value[key], childPath, rootSchema, errors);
+        }
+        for (const pattern of patterns) {
+          if (getRegex(pattern).test(key)) {
+            evaluated = true;
+            validateNode(schema.patternProperties[pattern], value[key], childPath, rootSchema, errors);
+          }
+        }
+        if (!evaluated && schema.additionalProperties !== undefined) {
+          if (schema.additionalProperties === false) {
+            fail('additionalProperties', 'is not an allowed property', childPath);
+          } else {
+            validateNode(schema.additionalProperties, value[key], childPath, rootSchema, errors);
+          }
+        }
+      }
+    }
+
+    // ---- Applicators ----
+    for (const subschema of schema.allOf || []) {
+      validateNode(subschema, value, path, rootSchema, errors);
+    }
+    if (schema.anyOf !== undefined &&
+        !schema.anyOf.some(subschema => validateNode(subschema, value, path, rootSchema, []))) {
+      fail('anyOf', 'must match at least one schema in anyOf');
+    }
+    if (schema.oneOf !== undefined) {
+      const matched = schema.oneOf.filter(subschema => validateNode(subschema, value, path, rootSchema, [])).length;
+      if (matched !== 1) {
+        fail('oneOf', 'must match exactly one schema in oneOf (matched ' + matched + ')');
+      }
+    }
+    if (schema.not !== undefined && validateNode(schema.not, value, path, rootSchema, [])) {
+      fail('not', 'must not match the schema in not');
+    }
+    if (schema.if !== undefined) {
+      // The branch's own errors say more than "if/then failed"
+      const branch = validateNode(schema.if, value, path, rootSchema, []) ? schema.then : schema.else;
+      if (branch !== undefined) {
+        validateNode(branch, value, path, rootSchema, errors);
+      }
+    }
+
+    return errors.length === start;
+  }
+
+  /**
+   * Validate data against a JSON Schema 2020-12 schema
+   * @param {Object|boolean} schema - Schema object
+   * @param {any} data - Instance to validate
+   * @returns {Object} { valid, errors: [{ path, keyword, message }] }
+   */
+  function validate(schema, data) {
+    const errors = [];
+    validateNode(schema, data, '', schema, errors);
+    return {
+      valid: errors.length === 0,
+      errors: errors
+    };
+  }
+
+  /**
+   * Format an error as "<pointer>: <message>"
+   * @param {Object} error - { path, message }
+   * @returns {string}
+   */
+  function formatError(error) {
+    return (error.path || '(root)') + ': ' + error.message;
+  }
+
+  // ============================================
+  // EXPORT
+  // ============================================
+  const SchemaValidator = Object.freeze({
+    VERSION: VALIDATOR_VERSION,
+    validate: validate,
+    formatError: formatError,
+    escapePointer: escapePointer
+  });
+
+  // Universal module export
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SchemaValidator;
+  } else if (typeof root !== 'undefined') {
+    root.SchemaValidator = SchemaValidator;
+  }
+
+})(typeof globalThis !== 'undefined' ? globalThis : (typeof window !== 'undefined' ? window : global));
@@ -59,6 +59,13 @@
       // Unique identifiers
       this.pulseId = null; // Set after creation (CID of entire pulse)
       this.parentPulseId = options.parentPulseId || null;
+      // Join pulses list every parent; parentPulseId stays the first
+      this.parentPulseIds = Array.isArray(options.parentPulseIds) && options.parentPulseIds.length > 0
+        ? options.parentPulseIds.slice()
+        : null;
+      if (this.parentPulseIds) {
+        this.parentPulseId = this.parentPulseIds[0];
+      }
 
       // Timing (logical, not wall-clock)
       this.logicalTick = options.logicalTick || 0;
@@ -88,7 +95,7 @@
     }
 
     toJSON() {
-      return {
+      const json = {
         pulseId: this.pulseId,
         parentPulseId: this.parentPulseId,
         logicalTick: this.logicalTick,
@@ -103,6 +110,11 @@
         status: this.status,
         error: this.error
       };
+      // Omitted for single-parent pulses so their CIDs are unchanged
+      if (this.parentPulseIds) {
+        json.parentPulseIds = this.parentPulseIds.slice();
+      }
+      return json;
     }
 
     static fromJSON(json) {
@@ -532,6 +544,13 @@
         type: ['string', 'null'],
         description: 'CID of parent pulse for chaining'
       },
+      parentPulseIds: {
+        type: 'array',
+        minItems: 1,
+        uniqueItems: true,
+        items: { type: 'string' },
+        description: 'CIDs of every parent of a join pulse (parentPulseId is the first)'
+      },
       logicalTick: {
         type: 'integer',
         minimum: 0,
@@ -80,6 +80,7 @@
       this.stepCount = 0;
       this.startTime = null;
       this.aborted = false;
+      this.abortController = null;  // Signals the flow's running pulses
       this.listeners = [];
     }
 
@@ -93,6 +94,10 @@
 
     // Check flow bounds
     checkFlowBounds(flow) {
+      if (this.aborted) {
+        throw new Error('Flow aborted');
+      }
+      
       if (this.stepCount >= flow.bounds.maxSteps) {
         throw new Error(`Flow step limit exceeded: ${this.stepCount} >= ${flow.bounds.maxSteps}`);
       }
@@ -109,13 +114,12 @@
       this.stepCount = 0;
       this.startTime = Date.now();
       this.aborted = false;
+      this.abortController = typeof AbortController !== 'undefined' ? new AbortController() : null;
 
       const results = [];
 
       try {
         for (const step of flow.steps) {
-          if (this.aborted) break;
-          
           this.checkFlowBounds(flow);
           
           const result = await this.executeStep(step, flow);
@@ -206,7 +210,8 @@
         author: step.author
       });
 
-      const result = await this.runtime.execute(pulse);
+      const signal = this.abortController ? this.abortController.signal : undefined;
+      const result = await this.runtime.execute(pulse, { signal });
 
       // Update context
       if (this.context) {
@@ -339,9 +344,12 @@
       return value;
     }
 
-    // Abort execution
+    // Abort execution, cancelling every running pulse
     abort() {
       this.aborted = true;
+      if (this.abortController) {
+        this.abortController.abort();
+      }
     }
   }
 
@@ -48,12 +48,19 @@
   // ============================================
   
   function initializeLayer3() {
+    const storeOptions = {
+      useAsync: true
+    };
+
+    // Desktop app: persist objects on disk through the main process
+    if (window.electronAPI && window.electronAPI.contentStore) {
+      storeOptions.adapter = new SESLayer3.IPCAdapter(window.electronAPI.contentStore);
+    }
+
     // Create DCX environment with content store
     layer3Env = SESLayer3.createDCXEnvironment({
       author: 'did:web:localhost',
-      store: {
-        useAsync: true
-      }
+      store: storeOptions
     });
     
     contentStore = layer3Env.store;
@@ -62,7 +69,7 @@
     window.SESLayer3Env = layer3Env;
     window.SESContentStore = contentStore;
     
-    log(`Layer 3 initialized - Schema v${SESLayer3.VERSION}`, 'info');
+    log(`Layer 3 initialized - Schema v${SESLayer3.SCHEMA_VERSION}`, 'info');
   }
 
   // ============================================
@@ -99,6 +106,23 @@
     if (fileInput) {
       fileInput.addEventListener('change', handleFileSelected);
     }
+
+    // Trace debugger controls
+    const debuggerHandlers = {
+      'debugger-load-btn': handleLoadDebugger,
+      'debugger-reverse-btn': () => moveDebugger(dbg => dbg.reverseContinue().frame),
+      'debugger-back-btn': () => moveDebugger(dbg => dbg.stepBack()),
+      'debugger-forward-btn': () => moveDebugger(dbg => dbg.stepForward()),
+      'debugger-continue-btn': () => moveDebugger(dbg => dbg.continue().frame),
+      'debugger-break-btn': handleAddBreakpoint,
+      'debugger-inspect-btn': handleInspectTick
+    };
+    for (const [id, handler] of Object.entries(debuggerHandlers)) {
+      const btn = document.getElementById(id);
+      if (btn) {
+        btn.addEventListener('click', handler);
+      }
+    }
   }
 
   // ============================================
@@ -125,7 +149,7 @@
           validationDisplay.innerHTML = `
             <div class="validation-success">
               <p><strong>✓ Pulse is valid</strong></p>
-              <p>Conforms to SES Layer 3 Schema v${SESLayer3.VERSION}</p>
+              <p>Conforms to SES Layer 3 Schema v${SESLayer3.SCHEMA_VERSION}</p>
             </div>
           `;
           log('Pulse validation: PASSED', 'success');
@@ -134,7 +158,7 @@
             <div class="validation-error">
               <p><strong>✗ Pulse validation failed</strong></p>
               <ul>
-                ${validation.errors.map(err => `<li>${err}</li>`).join('')}
+                ${validation.errors.map(err => `<li>${escapeHtml(err)}</li>`).join('')}
               </ul>
             </div>
           `;
@@ -203,7 +227,7 @@
       }
 
       // Export store contents
-      const exported = contentStore.export();
+      const exported = await contentStore.export();
       
       // Create downloadable JSON
       const blob = new Blob([JSON.stringify(exported, null, 2)], { 
@@ -247,7 +271,7 @@
       }
 
       // Import into store
-      contentStore.import(imported);
+      await contentStore.import(imported);
       
       log(`Content store imported - ${Object.keys(imported).length} items`, 'success');
       
@@ -271,7 +295,7 @@
     // Update schema version
     const schemaVersion = document.getElementById('schema-version');
     if (schemaVersion) {
-      schemaVersion.textContent = SESLayer3.VERSION;
+      schemaVersion.textContent = SESLayer3.SCHEMA_VERSION;
     }
 
     // Update store size
@@ -288,6 +312,128 @@
     }
   }
 
+  // ============================================
+  // TRACE DEBUGGER
+  // ============================================
+
+  let traceDebugger = null;
+  let liveSnapshot = null;
+
+  async function handleLoadDebugger() {
+    try {
+      const cid = document.getElementById('debugger-cid').value.trim();
+      if (!cid) {
+        log('Enter a pulse ID or trace CID to debug', 'warning');
+        return;
+      }
+
+      traceDebugger = await SESLayer3.TraceDebugger.open(layer3Env.runtime, cid);
+      liveSnapshot = null;
+
+      // Branch depth per tick needs one profiling replay
+      if (traceDebugger.canReexecute()) {
+        try {
+          await traceDebugger.loadProfile();
+        } catch (error) {
+          log(`Debugger profile unavailable: ${error.message}`, 'warning');
+        }
+      }
+
+      traceDebugger.stepForward();
+      setDebuggerControlsEnabled(true);
+      renderDebugger();
+      log(`Debugger loaded ${traceDebugger.length} steps`, 'info');
+    } catch (error) {
+      log(`Debugger error: ${error.message}`, 'error');
+    }
+  }
+
+  function moveDebugger(move) {
+    if (!traceDebugger) return;
+    move(traceDebugger);
+    liveSnapshot = null;
+    renderDebugger();
+  }
+
+  function handleAddBreakpoint() {
+    if (!traceDebugger) return;
+    try {
+      const operation = document.getElementById('debugger-break-op').value.trim();
+      const memory = document.getElementById('debugger-break-memory').value.trim();
+      const spec = {};
+      if (operation) spec.operation = operation;
+      if (memory) spec.memoryAbove = Number(memory);
+
+      const id = traceDebugger.addBreakpoint(spec);
+      log(`Breakpoint #${id} added`, 'info');
+      renderDebugger();
+    } catch (error) {
+      log(`Breakpoint error: ${error.message}`, 'error');
+    }
+  }
+
+  async function handleInspectTick() {
+    if (!traceDebugger) return;
+    try {
+      const inspection = await traceDebugger.inspect();
+      if (!inspection.reached) {
+        log(`Re-execution ended (${inspection.status}) before the tick`, 'warning');
+      }
+      liveSnapshot = inspection.snapshot;
+      renderDebugger();
+    } catch (error) {
+      log(`Inspect error: ${error.message}`, 'error');
+    }
+  }
+
+  function setDebuggerControlsEnabled(enabled) {
+    const ids = [
+      'debugger-reverse-btn', 'debugger-back-btn', 'debugger-forward-btn',
+      'debugger-continue-btn', 'debugger-break-btn'
+    ];
+    for (const id of ids) {
+      const btn = document.getElementById(id);
+      if (btn) btn.disabled = !enabled;
+    }
+    const inspectBtn = document.getElementById('debugger-inspect-btn');
+    if (inspectBtn) {
+      inspectBtn.disabled = !(enabled && traceDebugger.canReexecute());
+    }
+  }
+
+  function renderDebugger() {
+    const display = document.getElementById('debugger-display');
+    if (!display || !traceDebugger) return;
+
+    const frame = traceDebugger.current();
+    const breakpoints = traceDebugger.getBreakpoints();
+    const position = `Step ${traceDebugger.position + 1} / ${traceDebugger.length}`;
+
+    if (!frame) {
+      display.innerHTML = `<p class="placeholder">${position} - before the first step</p>`;
+      return;
+    }
+
+    const bounds = frame.usage.bounds;
+    const ofBound = (value, key) => bounds ? `${value} / ${bounds[key]}` : `${value}`;
+    const depth = frame.branchDepth === null ? '-' : frame.branchDepth;
+
+    display.innerHTML = `
+      <p><strong>${position}</strong>${frame.breakpoints.length ? ` - breakpoint ${frame.breakpoints.map(id => '#' + id).join(', ')}` : ''}</p>
+      <div class="trace-step">
+        <span class="step-num">#${frame.tick}</span>
+        <span class="step-op">${escapeHtml(frame.operation)}</span>
+      </div>
+      <p>Args: <code>${escapeHtml(JSON.stringify(frame.args))}</code></p>
+      <p>Result: <code>${escapeHtml(JSON.stringify(frame.result))}</code></p>
+      <p>Steps: ${ofBound(frame.usage.steps, 'maxSteps')}</p>
+      <p>Memory: ${ofBound(frame.memory, 'maxMemoryBytes')} bytes</p>
+      <p>Branch Depth: ${bounds ? `${depth} / ${bounds.maxBranchDepth}` : depth}</p>
+      ${liveSnapshot ? `<p>Live (tick ${liveSnapshot.tick}): <code>${escapeHtml(JSON.stringify(liveSnapshot))}</code></p>` : ''}
+      ${breakpoints.length ? `<p>Breakpoints: ${breakpoints.map(bp => `#${bp.id} ${escapeHtml(bp.operation !== null ? bp.operation : '> ' + bp.memoryAbove + ' bytes')}`).join(', ')}</p>` : ''}
+    `;
+  }
+
   // ============================================
   // INTEGRATION WITH EXISTING UI
   // ============================================
@@ -334,6 +480,14 @@
     }
   }
 
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
   // ============================================
   // EXPOSE API
   // ============================================
@@ -344,7 +498,8 @@
     validatePulse: handleValidatePulse,
     inspectStore: handleInspectStore,
     exportStore: handleExportStore,
-    updateStatus: updateLayer3Status
+    updateStatus: updateLayer3Status,
+    getDebugger: () => traceDebugger
   };
 
 })();
@@ -33,18 +33,47 @@
     }
   }
 
+  /**
+   * IntegrityError from content-store.js, shared by every store
+   */
+  function getIntegrityError() {
+    const ContentStoreModule = global.ContentStoreModule ||
+      (typeof require === 'function' ? require('./content-store.js') : null);
+    if (!ContentStoreModule) {
+      throw new Error('ContentStoreModule not available - load content-store.js');
+    }
+    return ContentStoreModule.IntegrityError;
+  }
+
+  function getTieredCache() {
+    const TieredCache = global.TieredCache ||
+      (typeof require === 'function' ? require('./tiered-cache.js') : null);
+    if (!TieredCache) {
+      throw new Error('TieredCache not available - load tiered-cache.js');
+    }
+    return TieredCache;
+  }
+
+  // Decoded objects are re-read from IndexedDB, so the cache is bounded by default
+  const DEFAULT_CACHE = Object.freeze({ policy: 'lru', maxBytes: 32 * 1024 * 1024 });
+
   /**
    * IndexedDB Storage Backend
    */
   class IndexedDBStore {
-    constructor(dbName = 'ses-network') {
+    /**
+     * @param {string} dbName - Database name
+     * @param {object} options - { verify: rehash content on fetch (default false) }
+     */
+    constructor(dbName = 'ses-network', options = {}) {
       this.dbName = dbName;
       this.db = null;
+      this.verify = options.verify === true;
     }
 
     async init() {
       return new Promise((resolve, reject) => {
-        const request = indexedDB.open(this.dbName, 1);
+        const request = indexedDB.open(this.dbName, 2);
 
         request.onerror = () => reject(request.error);
         request.onsuccess = () => {
@@ -65,6 +94,11 @@
           if (!db.objectStoreNames.contains('pins')) {
             db.createObjectStore('pins', { keyPath: 'cid' });
           }
+
+          // Records that failed a scrub
+          if (!db.objectStoreNames.contains('quarantine')) {
+            db.createObjectStore('quarantine', { keyPath: 'cid' });
+          }
         };
       });
     }
@@ -89,6 +123,23 @@
     }
 
     async fetch(cid) {
+      const buffer = await this.fetchRaw(cid);
+      if (buffer && this.verify) {
+        const actualCid = await CIDGenerator.generate(buffer);
+        if (actualCid !== cid) {
+          const IntegrityError = getIntegrityError();
+          throw new IntegrityError(cid, actualCid);
+        }
+      }
+      return buffer;
+    }
+
+    /**
+     * Fetch without verification (scrub reads corrupted records through this)
+     * @param {string} cid
+     * @returns {Promise<ArrayBuffer|null>}
+     */
+    async fetchRaw(cid) {
       return new Promise((resolve, reject) => {
         const transaction = this.db.transaction(['content'], 'readonly');
         const store = transaction.objectStore('content');
@@ -107,6 +158,67 @@
       });
     }
 
+    /**
+     * Rehash every record and report (or quarantine) mismatches
+     * @param {object} options - { quarantine: move corrupted records to the quarantine store }
+     * @returns {Promise<object>} { scanned, corrupted: [{ cid, actualCid }], quarantined: string[] }
+     */
+    async scrub(options = {}) {
+      const report = { scanned: 0, corrupted: [], quarantined: [] };
+      for (const cid of await this.list()) {
+        const buffer = await this.fetchRaw(cid);
+        if (!buffer) continue;
+        report.scanned++;
+
+        const actualCid = await CIDGenerator.generate(buffer);
+        if (actualCid === cid) continue;
+        report.corrupted.push({ cid, actualCid });
+
+        if (options.quarantine) {
+          await this.quarantine(cid);
+          report.quarantined.push(cid);
+        }
+      }
+      return report;
+    }
+
+    /**
+     * Move a record from content to quarantine
+     * @param {string} cid
+     * @returns {Promise<boolean>}
+     */
+    async quarantine(cid) {
+      return new Promise((resolve, reject) => {
+        const transaction = this.db.transaction(['content', 'quarantine'], 'readwrite');
+        const content = transaction.objectStore('content');
+        const request = content.get(cid);
+
+        request.onsuccess = () => {
+          if (request.result) {
+            transaction.objectStore('quarantine').put({ ...request.result, quarantinedAt: Date.now() });
+            content.delete(cid);
+          }
+        };
+        transaction.oncomplete = () => resolve(true);
+        transaction.onerror = () => reject(transaction.error);
+      });
+    }
+
+    /**
+     * List quarantined CIDs
+     * @returns {Promise<string[]>}
+     */
+    async listQuarantined() {
+      return new Promise((resolve, reject) => {
+        const transaction = this.db.transaction(['quarantine'], 'readonly');
+        const store = transaction.objectStore('quarantine');
+        const request = store.getAllKeys();
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+
     async has(cid) {
       return new Promise((resolve, reject) => {
         const transaction = this.db.transaction(['content'], 'readonly');
@@ -118,6 +230,17 @@
       });
     }
 
+    async delete(cid) {
+      return new Promise((resolve, reject) => {
+        const transaction = this.db.transaction(['content'], 'readwrite');
+        const store = transaction.objectStore('content');
+        const request = store.delete(cid);
+
+        request.onsuccess = () => resolve(true);
+        request.onerror = () => reject(request.error);
+      });
+    }
+
     async pin(cid) {
       return new Promise((resolve, reject) => {
         const transaction = this.db.transaction(['pins'], 'readwrite');
@@ -183,10 +306,11 @@
 
     async clear() {
       return new Promise((resolve, reject) => {
-        const transaction = this.db.transaction(['content', 'pins'], 'readwrite');
+        const transaction = this.db.transaction(['content', 'pins', 'quarantine'], 'readwrite');
         
         transaction.objectStore('content').clear();
         transaction.objectStore('pins').clear();
+        transaction.objectStore('quarantine').clear();
 
         transaction.oncomplete = () => resolve(true);
         transaction.onerror = () => reject(transaction.error);
@@ -198,10 +322,18 @@
    * SES Network - Content-addressed storage and networking
    */
   class SESNetwork {
-    constructor() {
-      this.store = new IndexedDBStore();
+    /**
+     * @param {object} options - Network options
+     * @param {boolean} options.verify - Rehash content on fetch (default false)
+     * @param {object} options.cache - Object cache: { policy: 'lru' or 'arc', maxBytes, maxEntries } (default 32 MiB LRU)
+     * @param {object} options.peers - Consulted when IndexedDB misses ({ fetchContent(cid) }, e.g. ContentDistribution)
+     */
+    constructor(options = {}) {
+      this.store = new IndexedDBStore(undefined, { verify: options.verify === true });
       this.initialized = false;
-      this.objectCache = new Map(); // In-memory cache
+      this.objectCache = getTieredCache().createCache(options.cache || DEFAULT_CACHE);
+      this.peers = options.peers || null;
+      this.peerStats = { hits: 0, misses: 0, rejected: 0 };
     }
 
     async init() {
@@ -253,7 +385,31 @@
         throw new Error('Network not initialized');
       }
 
-      return await this.store.fetch(cid);
+      const bytes = await this.store.fetch(cid);
+      if (bytes !== null || !this.peers) {
+        return bytes;
+      }
+      return await this._fetchFromPeers(cid);
+    }
+
+    /**
+     * Fetch from peers, keeping (and storing) only content that hashes to its CID
+     * @private
+     */
+    async _fetchFromPeers(cid) {
+      const bytes = await getTieredCache().fetchFromPeers(this.peers, cid);
+      if (bytes === null) {
+        this.peerStats.misses++;
+        return null;
+      }
+      const buffer = bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+      if (await CIDGenerator.generate(buffer) !== cid) {
+        this.peerStats.rejected++;
+        return null;
+      }
+      this.peerStats.hits++;
+      await this.store.store(cid, buffer);
+      return buffer;
     }
 
     /**
@@ -279,8 +435,9 @@
      */
     async fetchObject(cid) {
       // Check cache first
-      if (this.objectCache.has(cid)) {
-        return this.objectCache.get(cid);
+      const cached = this.objectCache.get(cid);
+      if (cached !== undefined) {
+        return cached;
       }
 
       const bytes = await this.fetchBytes(cid);
@@ -309,6 +466,29 @@
       return await this.store.has(cid);
     }
 
+    /**
+     * Delete content (used by garbage collection)
+     * @param {string} cid
+     * @returns {Promise<boolean>}
+     */
+    async delete(cid) {
+      this.objectCache.delete(cid);
+      return await this.store.delete(cid);
+    }
+
+    /**
+     * Rehash all stored content and report (or quarantine) corrupted records
+     * @param {object} options - { quarantine: move corrupted records out of the store }
+     * @returns {Promise<object>} { scanned, corrupted: [{ cid, actualCid }], quarantined: string[] }
+     */
+    async scrub(options = {}) {
+      const report = await this.store.scrub(options);
+      for (const { cid } of report.corrupted) {
+        this.objectCache.delete(cid);
+      }
+      return report;
+    }
+
     /**
      * Pin content for availability
      * @param {string} cid
@@ -378,7 +558,9 @@
         totalSize: dbStats.totalSize,
         totalSizeMB: dbStats.totalSizeMB,
         pinnedItems: pins.length,
-        cachedObjects: this.objectCache.size
+        cachedObjects: this.objectCache.size,
+        cache: this.objectCache.stats(),
+        peers: { ...this.peerStats }
       };
     }
 
@@ -411,20 +593,35 @@
     /**
      * Import content from export
      * @param {object} exported
+     * @throws {IntegrityError} In verify mode, if an entry does not match its CID
      */
     async import(exported) {
       if (exported.version !== '1.0') {
         throw new Error(`Unsupported export version: ${exported.version}`);
       }
 
-      for (const [cid, base64] of Object.entries(exported.content)) {
+      const entries = Object.entries(exported.content).map(([cid, base64]) => {
         // Convert base64 back to bytes
         const binary = atob(base64);
         const bytes = new Uint8Array(binary.length);
         for (let i = 0; i < binary.length; i++) {
           bytes[i] = binary.charCodeAt(i);
         }
-        
+        return [cid, bytes];
+      });
+
+      // In verify mode a tampered entry rejects the whole import
+      if (this.store.verify) {
+        for (const [cid, bytes] of entries) {
+          const actualCid = await CIDGenerator.generate(bytes);
+          if (actualCid !== cid) {
+            const IntegrityError = getIntegrityError();
+            throw new IntegrityError(cid, actualCid);
+          }
+        }
+      }
+
+      for (const [cid, bytes] of entries) {
         await this.store.store(cid, bytes.buffer);
       }
 
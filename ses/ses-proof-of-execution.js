@@ -3,7 +3,7 @@
  * Sovereign Execution Substrate - Layer 3
  * 
  * Generates and verifies proofs of correct execution:
- * - Merkle tree of trace steps
+ * - Merkle tree of trace steps (full, chunked or sampled traces)
  * - Compact verification data
  * - Zero-knowledge compatible structure
  * 
@@ -54,8 +54,16 @@
 
     /**
      * Build the Merkle tree
+     * The constructor starts a build too; every caller shares that one.
      */
-    async build() {
+    build() {
+      if (!this._building) {
+        this._building = this._buildLayers();
+      }
+      return this._building;
+    }
+
+    async _buildLayers() {
       if (this.leaves.length === 0) {
         this.root = null;
         return;
@@ -180,6 +188,7 @@
         
         // Execution summary
         executionSummary: {
+          traceMode: trace.mode || 'full',
           totalSteps: trace.totalSteps,
           peakMemory: trace.peakMemory,
           maxBranchDepth: trace.maxBranchDepth,
@@ -197,14 +206,24 @@
         }
       };
 
-      // Build Merkle tree of trace steps
-      if (trace.steps && trace.steps.length > 0) {
-        const traceLeaves = trace.steps.map(step => JSON.stringify({
-          tick: step.tick,
-          operation: step.operation,
-          argsHash: this.quickHash(step.args),
-          resultHash: this.quickHash(step.result)
-        }));
+      // Sampled traces only commit to the steps they kept
+      if (trace.mode === 'sampled') {
+        proof.executionSummary.sampleInterval = trace.sampleInterval;
+      }
+
+      // Build Merkle tree of recorded trace steps
+      const recordedSteps = this.countRecordedSteps(trace);
+      if (recordedSteps > 0) {
+        // Key steps (first, last, and samples), kept while streaming
+        const keyIndices = this.selectKeyIndices(recordedSteps);
+        const keySteps = new Map();
+        const traceLeaves = [];
+        await this.forEachStep(trace, (step, idx) => {
+          traceLeaves.push(this.stepLeaf(step));
+          if (keyIndices.includes(idx)) {
+            keySteps.set(idx, step);
+          }
+        });
 
         const merkleTree = new MerkleTree(traceLeaves);
         await merkleTree.build();
@@ -212,14 +231,12 @@
         proof.traceMerkleRoot = merkleTree.root;
         proof.traceMerkleDepth = merkleTree.layers.length;
 
-        // Generate proofs for key steps (first, last, and samples)
-        const keyIndices = this.selectKeyIndices(trace.steps.length);
         for (const idx of keyIndices) {
           const stepProof = merkleTree.getProof(idx);
           if (stepProof) {
             proof.traceProofs.push({
               stepIndex: idx,
-              step: trace.steps[idx],
+              step: keySteps.get(idx),
               proof: stepProof
             });
           }
@@ -271,12 +288,7 @@
         result.checks.merkleProofs = [];
 
         for (const traceProof of proof.traceProofs) {
-          const leaf = JSON.stringify({
-            tick: traceProof.step.tick,
-            operation: traceProof.step.operation,
-            argsHash: this.quickHash(traceProof.step.args),
-            resultHash: this.quickHash(traceProof.step.result)
-          });
+          const leaf = this.stepLeaf(traceProof.step);
 
           const verified = await merkleTree.verifyProof(
             leaf,
@@ -330,6 +342,7 @@
         outputHash: await this.hash(pulse.outputCid),
         
         // Execution metrics
+        traceMode: trace.mode || 'full',
         steps: trace.totalSteps,
         memory: trace.peakMemory,
         
@@ -340,6 +353,49 @@
       };
     }
 
+    /**
+     * Number of steps a trace actually recorded
+     * (chunked manifests: all of them, sampled: the samples)
+     */
+    countRecordedSteps(trace) {
+      if (trace.mode === 'chunked' && !trace.steps) {
+        return trace.totalSteps || 0;
+      }
+      return (trace.steps || []).length;
+    }
+
+    /**
+     * Visit recorded steps in order, fetching chunked segments one at a time
+     */
+    async forEachStep(trace, callback) {
+      if (trace.mode === 'chunked' && !trace.steps) {
+        let index = 0;
+        for (const segmentCid of trace.segments || []) {
+          const segment = await this.store.fetch(segmentCid);
+          if (!segment || !Array.isArray(segment.steps)) {
+            throw new Error('Trace segment not found: ' + segmentCid);
+          }
+          for (const step of segment.steps) {
+            callback(step, index++);
+          }
+        }
+        return;
+      }
+      (trace.steps || []).forEach(callback);
+    }
+
+    /**
+     * Merkle leaf for one trace step
+     */
+    stepLeaf(step) {
+      return JSON.stringify({
+        tick: step.tick,
+        operation: step.operation,
+        argsHash: this.quickHash(step.args),
+        resultHash: this.quickHash(step.result)
+      });
+    }
+
     /**
      * Check if bounds were respected
      */
@@ -388,6 +444,10 @@
         firstOp: trace.steps?.[0]?.operation,
         lastOp: trace.steps?.[trace.steps?.length - 1]?.operation
       };
+      // Segment CIDs commit to every step of a chunked trace
+      if (trace.mode === 'chunked') {
+        summary.segments = trace.segments;
+      }
       return this.hash(summary);
     }
 
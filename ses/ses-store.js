@@ -4,7 +4,10 @@
   if (global.SESStore) return;
 
   const DB_NAME = 'ses-substrate';
-  const DB_VERSION = 1;
+  const DB_VERSION = 2;
+
+  // Records that failed a scrub; not part of STORES, so never exported or used as GC roots
+  const QUARANTINE_STORE = 'quarantine';
 
   const STORES = {
     OBJECTS: 'objects',
@@ -17,11 +20,21 @@
     CONTEXTS: 'contexts'
   };
 
+  function getIntegrityError() {
+    const ContentStoreModule = global.ContentStoreModule ||
+      (typeof require === 'function' ? require('./content-store.js') : null);
+    if (!ContentStoreModule) {
+      throw new Error('ContentStoreModule not available - load content-store.js');
+    }
+    return ContentStoreModule.IntegrityError;
+  }
+
   class SESStore {
-    constructor() {
+    constructor(options = {}) {
       this.db = null;
       this.ready = false;
       this.initPromise = null;
+      this.verify = options.verify === true; // Rehash records on fetch
     }
 
     async init() {
@@ -71,6 +84,9 @@
               }
             }
           });
+          if (!db.objectStoreNames.contains(QUARANTINE_STORE)) {
+            db.createObjectStore(QUARANTINE_STORE, { autoIncrement: true });
+          }
         };
       });
 
@@ -102,13 +118,76 @@
 
     async fetch(cid, storeName = STORES.OBJECTS) {
       await this.init();
-      return new Promise((resolve, reject) => {
+      const record = await new Promise((resolve, reject) => {
         const tx = this.db.transaction(storeName, 'readonly');
         const store = tx.objectStore(storeName);
         const req = store.get(cid);
-        req.onsuccess = () => resolve(req.result ? req.result.data : null);
+        req.onsuccess = () => resolve(req.result || null);
         req.onerror = () => reject(new Error('Fetch failed: ' + req.error));
       });
+      if (!record) return null;
+      if (this.verify) {
+        const actualCid = await this.generateCID(record.data);
+        if (actualCid !== cid) {
+          const IntegrityError = getIntegrityError();
+          throw new IntegrityError(cid, actualCid);
+        }
+      }
+      return record.data;
+    }
+
+    // Rehash every record in the given collections (default all) and report
+    // mismatches; with quarantine they are moved to the quarantine store
+    async scrub(options = {}) {
+      await this.init();
+      const storeNames = options.stores || Object.values(STORES);
+      const report = { scanned: 0, corrupted: [], quarantined: [] };
+      for (const storeName of storeNames) {
+        const records = await new Promise((resolve, reject) => {
+          const tx = this.db.transaction(storeName, 'readonly');
+          const req = tx.objectStore(storeName).getAll();
+          req.onsuccess = () => resolve(req.result);
+          req.onerror = () => reject(new Error('Scrub failed: ' + req.error));
+        });
+        for (const record of records) {
+          report.scanned++;
+          const actualCid = await this.generateCID(record.data);
+          if (actualCid === record.cid) continue;
+          report.corrupted.push({ cid: record.cid, actualCid, storeName });
+          if (options.quarantine) {
+            await this.quarantine(record.cid, storeName);
+            report.quarantined.push(record.cid);
+          }
+        }
+      }
+      return report;
+    }
+
+    async quarantine(cid, storeName = STORES.OBJECTS) {
+      await this.init();
+      return new Promise((resolve, reject) => {
+        const tx = this.db.transaction([storeName, QUARANTINE_STORE], 'readwrite');
+        const store = tx.objectStore(storeName);
+        const req = store.get(cid);
+        req.onsuccess = () => {
+          if (req.result) {
+            tx.objectStore(QUARANTINE_STORE).put({ ...req.result, storeName, quarantinedAt: new Date().toISOString() });
+            store.delete(cid);
+          }
+        };
+        tx.oncomplete = () => resolve(true);
+        tx.onerror = () => reject(new Error('Quarantine failed: ' + tx.error));
+      });
+    }
+
+    async listQuarantined() {
+      await this.init();
+      return new Promise((resolve, reject) => {
+        const tx = this.db.transaction(QUARANTINE_STORE, 'readonly');
+        const req = tx.objectStore(QUARANTINE_STORE).getAll();
+        req.onsuccess = () => resolve(req.result.map(r => ({ cid: r.cid, storeName: r.storeName, quarantinedAt: r.quarantinedAt })));
+        req.onerror = () => reject(new Error('Quarantine list failed: ' + req.error));
+      });
     }
 
     async exists(cid, storeName = STORES.OBJECTS) {
@@ -138,6 +217,17 @@
       });
     }
 
+    async keys(storeName = STORES.OBJECTS) {
+      await this.init();
+      return new Promise((resolve, reject) => {
+        const tx = this.db.transaction(storeName, 'readonly');
+        const store = tx.objectStore(storeName);
+        const req = store.getAllKeys();
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(new Error('Keys failed: ' + req.error));
+      });
+    }
+
     async count(storeName) {
       await this.init();
       return new Promise((resolve, reject) => {
@@ -209,6 +299,7 @@
     STORES, 
     DB_NAME, 
     DB_VERSION, 
+    QUARANTINE_STORE,
     instance: null, 
     getInstance: async function() { 
       if (!this.instance) { 
@@ -219,7 +310,7 @@
     },
     createStore: async function(options = {}) {
       // For compatibility with ses-ui.js
-      const store = new SESStore();
+      const store = new SESStore(options);
       await store.init();
       return store;
     }
@@ -389,29 +389,30 @@
     // TEST 14: Parallel Execution Independence
     // ----------------------------------------
     runner.test('Parallel pulses do not interfere', async () => {
+      // Layer 3 runtime keeps per-execution state, so pulses truly overlap
+      const parallelRuntime = new DCXModule.DCXRuntime(new ContentStoreModule.ContentStore());
+
       const fn = async (input, ctx) => {
         for (let i = 0; i < input.count; i++) {
           ctx.step('count', { i }, null);
+          await null; // Yield so executions interleave
         }
         return input.id;
       };
 
-      const fnCid = await runtime.registerFunction(fn);
+      const fnCid = await parallelRuntime.registerFunction(fn);
 
       // Create multiple pulses
       const pulses = [];
       for (let i = 0; i < 5; i++) {
-        pulses.push(await runtime.createPulse({
+        pulses.push(await parallelRuntime.createPulse({
           input: { id: `pulse-${i}`, count: 10 + i },
           functionCid: fnCid
         }));
       }
 
-      // Execute all (sequentially for this test, but data should be isolated)
-      const results = [];
-      for (const pulse of pulses) {
-        results.push(await runtime.execute(pulse));
-      }
+      // Execute all concurrently
+      const results = await parallelRuntime.executeMany(pulses, { concurrency: 5 });
 
       // Verify each result matches its input
       for (let i = 0; i < results.length; i++) {
@@ -449,6 +450,1062 @@
       assert(verification.valid, 'Offline verification should pass');
     });
 
+    // ----------------------------------------
+    // TEST 16: Instrumented Functions Are Metered
+    // ----------------------------------------
+    runner.test('Instrumented functions are metered without ctx.step', async () => {
+      const meteredRuntime = new DCXModule.DCXRuntime(new ContentStoreModule.ContentStore(), {
+        instrument: true
+      });
+
+      const fn = async (input, ctx) => {
+        let total = 0;
+        for (let i = 0; i < input.iterations; i++) {
+          total += i; // Never calls ctx.step
+        }
+        return total;
+      };
+
+      const fnCid = await meteredRuntime.registerFunction(fn);
+      const record = await meteredRuntime._store.fetch(fnCid);
+      assert(record.instrumentation, 'Should store the instrumented record');
+      assertEqual(meteredRuntime.getInstrumentedCid(record.instrumentation.originalCid), fnCid,
+        'Should map original CID to instrumented CID');
+
+      const pulse = await meteredRuntime.createPulse({
+        input: { iterations: 100000 },
+        functionCid: fnCid,
+        maxSteps: 1000
+      });
+
+      const result = await meteredRuntime.execute(pulse);
+
+      assertEqual(result.pulse.status, 'violated', 'Status should be violated');
+      assertEqual(result.error.reason, 'maxSteps', 'Loop iterations should count as steps');
+    });
+
+    // ----------------------------------------
+    // TEST 17: Seeded Randomness And Logical Clock
+    // ----------------------------------------
+    runner.test('ctx.random and ctx.now replay identically', async () => {
+      const layer3Runtime = new DCXModule.DCXRuntime(new ContentStoreModule.ContentStore());
+
+      const fn = async (input, ctx) => {
+        return { draws: [ctx.random(), ctx.random()], tick: ctx.now() };
+      };
+
+      const fnCid = await layer3Runtime.registerFunction(fn);
+      const pulse = await layer3Runtime.createPulse({
+        input: { seed: 'a' },
+        functionCid: fnCid,
+        logicalTick: 42
+      });
+
+      const result = await layer3Runtime.execute(pulse);
+      assert(result.success, 'Execution should succeed');
+      assertEqual(result.output.tick, 42, 'ctx.now() should return the logical tick');
+      assertEqual(result.trace.steps[0].operation, 'ctx.random', 'Draws should be recorded in the trace');
+
+      const verification = await layer3Runtime.verify(result.pulse);
+      assert(verification.valid, 'Replay should reproduce the same draws');
+    });
+
+    // ----------------------------------------
+    // TEST 18: Nested Pulse Invocation
+    // ----------------------------------------
+    runner.test('ctx.invoke runs child pulses within the parent budget', async () => {
+      const layer3Runtime = new DCXModule.DCXRuntime(new ContentStoreModule.ContentStore());
+
+      const square = async (input, ctx) => {
+        ctx.step('square', { input }, null);
+        return input * input;
+      };
+      const sumOfSquares = async (input, ctx) => {
+        let total = 0;
+        for (const x of input.values) {
+          total += await ctx.invoke(input.squareCid, x, { maxSteps: 10 });
+        }
+        return total;
+      };
+
+      const squareCid = await layer3Runtime.registerFunction(square);
+      const pulse = await layer3Runtime.createPulse({
+        input: { values: [1, 2, 3], squareCid },
+        fn: sumOfSquares,
+        maxSteps: 100
+      });
+
+      const result = await layer3Runtime.execute(pulse);
+
+      assert(result.success, 'Execution should succeed');
+      assertEqual(result.output, 14, 'Should sum child outputs');
+      assertEqual(result.children.length, 3, 'Should spawn one child per call');
+      assertEqual(result.children[0].parentPulseId, result.pulse.pulseId, 'Child should link to parent');
+      assertEqual(result.children[0].bounds.maxSteps, 10, 'Child should get requested bounds');
+      assertEqual(result.trace.steps[0].result.outputCid, result.children[0].outputCid,
+        'Parent trace should record child output CID');
+    });
+
+    // ----------------------------------------
+    // TEST 19: Checkpoint And Resume
+    // ----------------------------------------
+    runner.test('Checkpointed pulses resume and verify as one chain', async () => {
+      const layer3Runtime = new DCXModule.DCXRuntime(new ContentStoreModule.ContentStore());
+
+      const fn = async (input, ctx) => {
+        const saved = ctx.getCheckpoint() || { next: 0, total: 0 };
+        for (let i = saved.next; i < input.count; i++) {
+          ctx.step('add', { i }, null);
+          saved.total += i;
+          saved.next = i + 1;
+          if (saved.next % 10 === 0) {
+            await ctx.checkpoint(saved);
+          }
+        }
+        return saved.total;
+      };
+
+      let result = await layer3Runtime.execute(await layer3Runtime.createPulse({
+        input: { count: 50 },
+        fn: fn,
+        maxSteps: 30
+      }));
+      assertEqual(result.pulse.status, 'violated', 'First segment should run out of steps');
+
+      const resumePulse = await layer3Runtime.createResumePulse(result.pulse, { maxSteps: 40 });
+      assertEqual(resumePulse.parentPulseId, result.pulse.pulseId, 'Resume pulse should link to its parent');
+
+      result = await layer3Runtime.execute(resumePulse);
+      assert(result.success, 'Resumed segment should complete');
+      assertEqual(result.output, 1225, 'Resumed computation should match an uninterrupted run');
+
+      const verification = await layer3Runtime.verifyCheckpointChain(result.pulse);
+      assert(verification.valid, 'Checkpoint chain should verify');
+      assertEqual(verification.segments, 2, 'Chain should have two segments');
+    });
+
+    // ----------------------------------------
+    // TEST 20: Chunked And Sampled Traces
+    // ----------------------------------------
+    runner.test('Chunked and sampled traces keep totals and replay', async () => {
+      const fn = async (input, ctx) => {
+        for (let i = 0; i < input.count; i++) {
+          ctx.step('tick', { i }, null);
+        }
+        return input.count;
+      };
+
+      for (const traceMode of ['chunked', 'sampled']) {
+        const traceStore = new ContentStoreModule.ContentStore();
+        const layer3Runtime = new DCXModule.DCXRuntime(traceStore, {
+          traceMode: traceMode,
+          traceChunkSize: 100,
+          traceSampleInterval: 10
+        });
+
+        const result = await layer3Runtime.execute(await layer3Runtime.createPulse({
+          input: { count: 250 },
+          fn: fn
+        }));
+        assert(result.success, `${traceMode}: execution should succeed`);
+        assertEqual(result.trace.totalSteps, 250, `${traceMode}: should count every step`);
+
+        const stored = await traceStore.fetch(result.pulse.traceCid);
+        if (traceMode === 'chunked') {
+          assertEqual(stored.segments.length, 3, 'Steps should be flushed in 3 segments');
+          const joined = await DCXModule.ExecutionTrace.load(traceStore, result.pulse.traceCid);
+          assertEqual(joined.steps.length, 250, 'Segments should join back into every step');
+        } else {
+          assertEqual(stored.steps.length, 25, 'Should keep every 10th step');
+          assertEqual(stored.operationCounts.tick, 250, 'Should keep exact counters');
+        }
+
+        const verification = await layer3Runtime.verify(result.pulse);
+        assert(verification.valid, `${traceMode}: verification should pass`);
+      }
+    });
+
+    // ----------------------------------------
+    // TEST 21: Trace CIDs Are Deterministic
+    // ----------------------------------------
+    runner.test('Replays produce identical trace CIDs and pulse IDs', async () => {
+      const layer3Runtime = new DCXModule.DCXRuntime(new ContentStoreModule.ContentStore());
+
+      const fn = async (input, ctx) => {
+        ctx.step('double', input, null);
+        return input.value * 2;
+      };
+
+      const fnCid = await layer3Runtime.registerFunction(fn);
+      const first = await layer3Runtime.execute(await layer3Runtime.createPulse({ input: { value: 21 }, functionCid: fnCid }));
+      await new Promise(resolve => setTimeout(resolve, 5)); // Let the wall clock move
+      const second = await layer3Runtime.execute(await layer3Runtime.createPulse({ input: { value: 21 }, functionCid: fnCid }));
+
+      assertEqual(second.pulse.traceCid, first.pulse.traceCid, 'Trace CIDs should match');
+      assertEqual(second.pulse.pulseId, first.pulse.pulseId, 'Pulse IDs should match');
+      assert(first.receipt.startTime, 'Timing should be kept in the execution receipt');
+
+      const verification = await layer3Runtime.verify(first.pulse);
+      assert(verification.traceMatch, 'Verify should compare trace CIDs');
+    });
+
+    // ----------------------------------------
+    // TEST 22: Memoized Results
+    // ----------------------------------------
+    runner.test('Memoized pulses are returned without re-running', async () => {
+      const memoStore = new ContentStoreModule.ContentStore();
+      const layer3Runtime = new DCXModule.DCXRuntime(memoStore, { memoize: true, memoSpotCheckRate: 1 });
+
+      let calls = 0;
+      const fn = async (input, ctx) => {
+        calls++;
+        ctx.step('square', input, null);
+        return input * input;
+      };
+
+      const fnCid = await layer3Runtime.registerFunction(fn);
+      const first = await layer3Runtime.execute(await layer3Runtime.createPulse({ input: 12, functionCid: fnCid }));
+      const second = await layer3Runtime.execute(await layer3Runtime.createPulse({ input: 12, functionCid: fnCid }));
+
+      assert(!first.memoHit && second.memoHit, 'Second execution should be a memo hit');
+      assert(second.spotChecked, 'Memo hit should be spot-checked');
+      assertEqual(second.output, 144, 'Memo hit should return the cached output');
+      assertEqual(second.pulse.pulseId, first.pulse.pulseId, 'Memo hit should return the cached pulse');
+      assertEqual(calls, 2, 'Only the first execution and its spot check should run');
+
+      const otherBounds = await layer3Runtime.execute(await layer3Runtime.createPulse({ input: 12, functionCid: fnCid, maxSteps: 50 }));
+      assert(!otherBounds.memoHit, 'Different bounds should not hit the memo');
+
+      const restored = new DCXModule.DCXRuntime(memoStore, { memoize: true, memoIndexCid: await layer3Runtime.persistMemoIndex() });
+      await restored.registerFunction(fn);
+      const third = await restored.execute(await restored.createPulse({ input: 12, functionCid: fnCid }));
+      assert(third.memoHit, 'Persisted memo index should be reusable');
+    });
+
+    // ----------------------------------------
+    // TEST 23: WebAssembly Fuel Metering
+    // ----------------------------------------
+    runner.test('WASM functions are fuel-metered against bounds', async () => {
+      if (typeof WebAssembly !== 'object') return;
+      const layer3Runtime = new DCXModule.DCXRuntime(new ContentStoreModule.ContentStore());
+
+      // (func (export "main") (param i32) (result i32) (local i32)
+      //   block loop  local.get 0 i32.eqz br_if 1
+      //     local.get 1 local.get 0 i32.add local.set 1
+      //     local.get 0 i32.const 1 i32.sub local.set 0  br 0  end end  local.get 1)
+      const wasm = new Uint8Array([
+        0x00, 0x61, 0x73, 0x6d, 0x01, 0x00, 0x00, 0x00,
+        0x01, 0x06, 0x01, 0x60, 0x01, 0x7f, 0x01, 0x7f,
+        0x03, 0x02, 0x01, 0x00,
+        0x07, 0x08, 0x01, 0x04, 0x6d, 0x61, 0x69, 0x6e, 0x00, 0x00,
+        0x0a, 0x23, 0x01, 0x21, 0x01, 0x01, 0x7f,
+        0x02, 0x40, 0x03, 0x40, 0x20, 0x00, 0x45, 0x0d, 0x01,
+        0x20, 0x01, 0x20, 0x00, 0x6a, 0x21, 0x01,
+        0x20, 0x00, 0x41, 0x01, 0x6b, 0x21, 0x00, 0x0c, 0x00, 0x0b, 0x0b,
+        0x20, 0x01, 0x0b
+      ]);
+
+      const wasmCid = await layer3Runtime.registerWasm(wasm);
+      const small = await layer3Runtime.execute(await layer3Runtime.createPulse({ input: 100, functionCid: wasmCid, maxSteps: 10000 }));
+      assert(small.success, 'Bounded WASM call should complete');
+      assertEqual(small.output, 5050, 'WASM output should be returned');
+
+      const large = await layer3Runtime.execute(await layer3Runtime.createPulse({ input: 1000000, functionCid: wasmCid, maxSteps: 10000 }));
+      assertEqual(large.pulse.status, 'violated', 'Running out of fuel should violate the pulse');
+      assertEqual(large.error.reason, 'maxSteps', 'Fuel should map onto maxSteps');
+
+      const verification = await layer3Runtime.verify(small.pulse);
+      assert(verification.valid, 'WASM pulses should replay identically');
+    });
+
+    // ----------------------------------------
+    // TEST 24: Cancellation
+    // ----------------------------------------
+    runner.test('Aborting a signal cancels a running pulse', async () => {
+      if (typeof AbortController !== 'function') return;
+      const layer3Runtime = new DCXModule.DCXRuntime(new ContentStoreModule.ContentStore());
+
+      const fn = async (input, ctx) => {
+        for (let i = 0; ; i++) {
+          ctx.step('tick', { i }, null);
+          await new Promise(resolve => setTimeout(resolve, 0));
+        }
+      };
+
+      const fnCid = await layer3Runtime.registerFunction(fn);
+      const controller = new AbortController();
+      setTimeout(() => controller.abort(), 20);
+      const result = await layer3Runtime.execute(
+        await layer3Runtime.createPulse({ input: {}, functionCid: fnCid }),
+        { signal: controller.signal }
+      );
+
+      assertEqual(result.pulse.status, 'cancelled', 'Status should be cancelled');
+      assertEqual(result.error.type, 'CancellationError', 'Error should be a cancellation');
+      assert(result.pulse.traceCid && result.trace.totalSteps > 0, 'Partial trace should be flushed');
+      assertEqual(layer3Runtime.getActiveExecutionCount(), 0, 'Cancelled execution should be released');
+    });
+
+    // ----------------------------------------
+    // TEST 25: Scheduler Priorities And Quotas
+    // ----------------------------------------
+    runner.test('Scheduler runs by priority within author quotas', async () => {
+      const layer3Runtime = new DCXModule.DCXRuntime(new ContentStoreModule.ContentStore());
+      const scheduler = new DCXScheduler.PulseScheduler(layer3Runtime, {
+        concurrency: 1,
+        quotas: { 'did:limited': { stepsPerHour: 500 } }
+      });
+
+      const fn = async (input, ctx) => {
+        ctx.step('label', input, null);
+        return input;
+      };
+      const fnCid = await layer3Runtime.registerFunction(fn);
+
+      const started = [];
+      scheduler.on('started', event => started.push(event.priority));
+      const priorities = [0, 1, 5];
+      const pulses = [];
+      for (const priority of priorities) {
+        pulses.push(await layer3Runtime.createPulse({ input: priority, functionCid: fnCid, maxSteps: 100 }));
+      }
+      // The first pulse starts at once; the others wait for the single slot
+      await Promise.all(pulses.map((pulse, i) => scheduler.submit(pulse, { priority: priorities[i] })));
+      assertEqual(started, [0, 5, 1], 'Queued pulses should start in priority order');
+
+      let rejection = null;
+      await scheduler.submit(
+        await layer3Runtime.createPulse({ input: 1, functionCid: fnCid, maxSteps: 1000, author: 'did:limited' })
+      ).catch(error => { rejection = error; });
+      assert(rejection && rejection.quota === 'stepsPerHour', 'Pulses over the hourly step quota should be rejected');
+      assertEqual(scheduler.getMetrics().completed, 3, 'Metrics should count completed pulses');
+
+      // Memory used by finished pulses counts for an hour
+      let now = 0;
+      const metered = new DCXScheduler.PulseScheduler(layer3Runtime, {
+        clock: () => now,
+        quotas: { 'did:memory': { memoryBytesPerHour: 3000 } }
+      });
+      const allocCid = await layer3Runtime.registerFunction(async (input, ctx) => {
+        ctx.allocate(2000);
+        return input;
+      });
+      const submitAlloc = async () => metered.submit(
+        await layer3Runtime.createPulse({ input: 1, functionCid: allocCid, maxMemoryBytes: 2500, author: 'did:memory' })
+      );
+      await submitAlloc();
+      assertEqual(metered.getUsage('did:memory').memoryLastHour, 2000, 'Used memory should stay in the window');
+      const waiting = submitAlloc();
+      await new Promise(resolve => setTimeout(resolve, 10));
+      assertEqual(metered.getUsage('did:memory').queued, 1, 'A pulse over the hourly memory quota should wait');
+      now += 3600000;
+      metered.setQuota('did:memory', { memoryBytesPerHour: 3000 });
+      assert((await waiting).success, 'The pulse should run once the window frees up');
+    });
+
+    // ----------------------------------------
+    // TEST 26: Time-Travel Debugger
+    // ----------------------------------------
+    runner.test('Debugger steps through a stored trace and re-executes to a tick', async () => {
+      const layer3Runtime = new DCXModule.DCXRuntime(new ContentStoreModule.ContentStore());
+
+      const fn = async (input, ctx) => {
+        for (let i = 0; i < 3; i++) {
+          ctx.allocate(1000);
+          ctx.step('alloc', i, i);
+        }
+        ctx.enterBranch();
+        ctx.step('visit', input, { seen: input });
+        ctx.exitBranch();
+        return input;
+      };
+      const fnCid = await layer3Runtime.registerFunction(fn);
+      const result = await layer3Runtime.execute(await layer3Runtime.createPulse({ input: 7, functionCid: fnCid }));
+
+      const dbg = await DCXDebugger.TraceDebugger.open(layer3Runtime, result.pulse.pulseId);
+      assertEqual(dbg.length, 4, 'Debugger should load every step');
+      assertEqual(dbg.stepForward(2).tick, 2, 'Should step forward');
+      assertEqual(dbg.stepBack().tick, 1, 'Should step back');
+
+      dbg.addBreakpoint({ memoryAbove: 1500 });
+      dbg.addBreakpoint({ operation: 'visit' });
+      assertEqual(dbg.continue().frame.tick, 2, 'Memory breakpoint should hit where memory crosses it');
+      assertEqual(dbg.continue().frame.operation, 'visit', 'Operation breakpoint should hit');
+
+      await dbg.loadProfile();
+      assertEqual(dbg.current().branchDepth, 1, 'Profile should supply branch depth');
+
+      const live = await dbg.inspect(4);
+      assert(live.reached, 'Re-execution should reach the tick');
+      assertEqual(live.snapshot.result, { seen: 7 }, 'Live values should match the tick');
+    });
+
+    // ----------------------------------------
+    // TEST 27: Pulse DAG Verification
+    // ----------------------------------------
+    runner.test('Join pulses verify every ancestor once in topological order', async () => {
+      const pulses = new Map();
+      const memoryStore = {
+        fetch: async cid => pulses.get(cid) || null,
+        exists: async () => true
+      };
+      const storePulse = async (options) => {
+        const pulse = new SESCore.Pulse(options);
+        Object.assign(pulse, {
+          inputCid: 'cid:sha256:01', functionCid: 'cid:sha256:02',
+          outputCid: 'cid:sha256:03', traceCid: 'cid:sha256:04', status: 'completed'
+        });
+        const json = pulse.toJSON();
+        delete json.pulseId;
+        json.pulseId = await SESCore.generateCID(json);
+        pulses.set(json.pulseId, json);
+        return json.pulseId;
+      };
+
+      // Diamond: root -> left, right -> join
+      const root = await storePulse({});
+      const left = await storePulse({ parentPulseId: root, logicalTick: 1 });
+      const right = await storePulse({ parentPulseId: root, logicalTick: 2 });
+      const join = await storePulse({ parentPulseIds: [left, right], logicalTick: 3 });
+
+      const verifier = new SESVerify.Verify({}, memoryStore, null);
+      const chain = await verifier.verifyChain(join);
+      assert(chain.valid, 'Diamond chain should verify');
+      assertEqual(chain.chainLength, 4, 'Shared root should be verified once');
+      assertEqual(chain.sharedAncestorHits, 1, 'Shared root should be reused');
+
+      verifier.clearCache();
+      const report = await verifier.verifyAncestors(join);
+      assertEqual(report.order[0], root, 'Roots should come first');
+      assertEqual(report.order[3], join, 'Join should follow all of its parents');
+      assert(report.headTrusted, 'Head with valid ancestry should be trusted');
+
+      pulses.set('cid:sha256:0a', { ...pulses.get(root), pulseId: 'cid:sha256:0a', parentPulseId: 'cid:sha256:0b' });
+      pulses.set('cid:sha256:0b', { ...pulses.get(root), pulseId: 'cid:sha256:0b', parentPulseId: 'cid:sha256:0a' });
+      const cycle = await verifier.verifyChain('cid:sha256:0a');
+      assertEqual(cycle.error.code, 'CYCLE_DETECTED', 'Cycles should be detected');
+    });
+
+    // ----------------------------------------
+    // TEST 28: Schema Validation
+    // ----------------------------------------
+    runner.test('Pulses and traces are validated against the frozen schemas', async () => {
+      const layer3Store = new ContentStoreModule.ContentStore();
+      const layer3Runtime = new DCXModule.DCXRuntime(layer3Store);
+      const fnCid = await layer3Runtime.registerFunction((input, ctx) => input);
+
+      const pulse = await layer3Runtime.createPulse({ input: 1, functionCid: fnCid });
+      const oversized = { ...pulse, bounds: { ...pulse.bounds, maxSteps: 2000000000 }, extra: true };
+      const validation = PulseSchema.validatePulse(oversized);
+      assertEqual(validation.details.map(d => d.path), ['/bounds/maxSteps', '/extra'], 'Errors should carry JSON pointers');
+
+      const rejected = await layer3Runtime.execute(oversized);
+      assertEqual(rejected.error.type, 'ValidationError', 'Runtime should enforce the schema');
+
+      const manifest = { mode: 'chunked', totalSteps: 0, peakMemory: 0, maxBranchDepth: 0, deterministicSeed: 'seed' };
+      assertEqual(PulseSchema.validateTrace(manifest).details[0].path, '/segments', 'Chunked traces need segments');
+
+      let importError = null;
+      try {
+        await layer3Store.import({ 'cid:sha256:0a': JSON.stringify(oversized) });
+      } catch (error) {
+        importError = error;
+      }
+      assert(importError && importError.invalidRecords.length === 1, 'Import should reject invalid pulses');
+      assert(!layer3Store.has('cid:sha256:0a'), 'Rejected imports should store nothing');
+
+      const verifier = new SESVerify.Verify({}, layer3Store, null);
+      assert(!verifier.validatePulseStructure(oversized), 'SESVerify should use the same schema');
+    });
+
+    // ----------------------------------------
+    // TEST 29: Pulse Migration
+    // ----------------------------------------
+    runner.test('Older pulse shapes migrate to the current schema', async () => {
+      const layer3Store = new ContentStoreModule.ContentStore();
+      const layer3Runtime = new DCXModule.DCXRuntime(layer3Store);
+      const fnCid = await layer3Runtime.registerFunction((input, ctx) => input);
+      const inputCid = await layer3Store.store(1);
+
+      // SESCore pulse parent, unversioned Layer 3 child
+      const legacy = new SESCore.Pulse({});
+      Object.assign(legacy, { inputCid, functionCid: fnCid, status: 'completed' });
+      assert(!PulseSchema.validatePulse(legacy.toJSON()).valid, 'createdAt should not pass the frozen schema');
+      const legacyCid = await layer3Store.store(legacy.toJSON());
+      const child = PulseSchema.createPulseTemplate({ parentPulseId: legacyCid, inputCid, functionCid: fnCid });
+      delete child.schemaVersion;
+      const childCid = await layer3Store.store(child);
+
+      const migration = PulseMigration.migratePulse(legacy.toJSON());
+      assertEqual(migration.path, ['ses-core', '1.1.0', PulseSchema.VERSION], 'Upcasters should chain to the current version');
+      assert(migration.valid, 'Migrated pulse should pass the schema');
+
+      const snake = PulseMigration.migratePulse({ pulse_cid: 'cid:sha256:01', function_cid: fnCid, input_cid: inputCid, bounds: { max_steps: 10 } });
+      assertEqual(snake.pulse.bounds.maxSteps, 10, 'snake_case pulses should be mapped');
+
+      const report = await PulseMigration.getDefaultMigrator().migrateStore(layer3Store);
+      assertEqual(report.migrated, 2, 'Both pulses should be rewritten');
+      const migratedChild = await layer3Store.fetch(report.mappings[childCid]);
+      assertEqual(migratedChild.parentPulseId, report.mappings[legacyCid], 'Child should link to the migrated parent');
+      assertEqual((await layer3Store.fetch(report.mappingCid)).mappings[childCid], report.mappings[childCid], 'Mappings should be stored');
+    });
+
+    // ----------------------------------------
+    // TEST 30: CIDv1 Addressing
+    // ----------------------------------------
+    runner.test('CIDv1 addressing interoperates with legacy CIDs', async () => {
+      // sha2-256 of zero bytes, raw codec: a well-known IPFS CID
+      const emptyLegacy = 'cid:sha256:e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855';
+      const emptyV1 = CIDModule.toV1(emptyLegacy, CIDModule.Codec.RAW);
+      assertEqual(emptyV1, 'bafkreihdwdcefgh4dqkjv67uzcmw7ojee6xedzdetojuzjevtenxquvyku', 'Should match IPFS');
+      assertEqual(CIDModule.toLegacy(emptyV1), emptyLegacy, 'Conversion should round-trip');
+
+      const layer3Store = new ContentStoreModule.ContentStore({ cidFormat: 'v1' });
+      const layer3Runtime = new DCXModule.DCXRuntime(layer3Store);
+      const fnCid = await layer3Runtime.registerFunction((input, ctx) => input + 1);
+      assertEqual(CIDModule.parse(fnCid).codecName, 'dag-json', 'JSON content should use dag-json');
+
+      const result = await layer3Runtime.execute(await layer3Runtime.createPulse({ input: 1, functionCid: fnCid }));
+      assert(result.success, 'Pulses with CIDv1 references should validate and run');
+      assert((await layer3Runtime.verify(result.pulse)).valid, 'CIDv1 pulses should verify');
+      assert(layer3Store.has(CIDModule.toLegacy(result.pulse.pulseId)), 'Legacy form should resolve');
+    });
+
+    // ----------------------------------------
+    // TEST 31: Canonical CBOR Codec
+    // ----------------------------------------
+    runner.test('dag-cbor stores round-trip binary and exact numerics', async () => {
+      const hex = bytes => Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+      // Keys sort by length first: a, b, aa
+      assertEqual(hex(DagCBOR.encode({ aa: null, b: [1.5], a: -1 })), 'a3616120616281fb3ff8000000000000626161f6', 'Should be canonical');
+
+      const value = { bytes: new Uint8Array([0, 255]), big: 2n ** 70n, negZero: -0, nan: NaN, floats: new Float32Array([0.1]) };
+      const first = new ContentStoreModule.ContentStore({ codec: 'dag-cbor', cidFormat: 'v1' });
+      const second = new ContentStoreModule.ContentStore({ codec: 'dag-cbor', cidFormat: 'v1' });
+      const cid = await first.store(value);
+      assertEqual(await second.store({ floats: new Float32Array([0.1]), nan: NaN, negZero: -0, big: 2n ** 70n, bytes: new Uint8Array([0, 255]) }), cid, 'Equal values should share a CID');
+      assertEqual(CIDModule.parse(cid).codecName, 'dag-cbor', 'Should use the dag-cbor codec');
+
+      const fetched = await first.fetch(cid);
+      assert(fetched.bytes instanceof Uint8Array && fetched.bytes[1] === 255, 'Bytes should round-trip');
+      assert(fetched.big === 2n ** 70n && Object.is(fetched.negZero, -0) && Number.isNaN(fetched.nan), 'Numerics should round-trip exactly');
+      assertEqual(fetched.floats[0], new Float32Array([0.1])[0], 'Typed arrays should round-trip');
+
+      const restored = new ContentStoreModule.ContentStore({ codec: 'dag-cbor' });
+      await restored.import(JSON.parse(JSON.stringify(await first.export())));
+      assert((await restored.fetch(cid)).big === 2n ** 70n, 'JSON export should carry CBOR entries');
+
+      const layer3Runtime = new DCXModule.DCXRuntime(first);
+      const fnCid = await layer3Runtime.registerFunction((input, ctx) => input * 2);
+      const result = await layer3Runtime.execute(await layer3Runtime.createPulse({ input: 21, functionCid: fnCid }));
+      assertEqual(result.output, 42, 'Pulses should run on a dag-cbor store');
+      assert((await layer3Runtime.verify(result.pulse)).valid, 'dag-cbor pulses should verify');
+    });
+
+    // ----------------------------------------
+    // TEST 32: Filesystem Persistence (Node only)
+    // ----------------------------------------
+    if (FSAdapterModule.FileSystemAdapter.isSupported()) {
+      runner.test('Filesystem adapter persists the store across restarts', async () => {
+        const fs = require('fs');
+        const directory = fs.mkdtempSync(require('path').join(require('os').tmpdir(), 'ses-store-'));
+        try {
+          const adapter = new FSAdapterModule.FileSystemAdapter(directory, { fsync: FSAdapterModule.FsyncMode.FULL });
+          // Renderer side talks to the adapter through the preload bridge
+          const bridge = {
+            store: async (cid, data) => { await adapter.store(cid, data); return { success: true }; },
+            fetch: async (cid) => ({ success: true, data: await adapter.fetch(cid) }),
+            has: async (cid) => ({ success: true, exists: await adapter.has(cid) }),
+            keys: async () => ({ success: true, keys: await adapter.keys() })
+          };
+
+          const before = new ContentStoreModule.ContentStore({ adapter: new FSAdapterModule.IPCAdapter(bridge), codec: 'dag-cbor' });
+          const layer3Runtime = new DCXModule.DCXRuntime(before);
+          const fnCid = await layer3Runtime.registerFunction((input, ctx) => input + 1);
+          const result = await layer3Runtime.execute(await layer3Runtime.createPulse({ input: 1, functionCid: fnCid }));
+          assertEqual((await adapter.keys()).sort(), before.keys().sort(), 'Every object should be on disk');
+          assert(!fs.readdirSync(directory, { recursive: true }).some(name => name.endsWith('.tmp')), 'No temp files should remain');
+
+          // Fresh store after a renderer reset: content loads lazily
+          const after = new ContentStoreModule.ContentStore({ adapter: new FSAdapterModule.IPCAdapter(bridge) });
+          assertEqual(after.size(), 0, 'Nothing should be loaded up front');
+          assertEqual((await after.fetch(result.pulse.pulseId)).functionCid, fnCid, 'Pulse should survive the reset');
+          assert(await adapter.has(CIDModule.toV1(result.pulse.pulseId, CIDModule.Codec.DAG_CBOR)), 'Equivalent CID forms should resolve');
+
+          // Misses fall back to another adapter and are written through
+          const legacyData = '{"from":"indexeddb"}';
+          const legacyCid = await ContentStoreModule.sha256(legacyData);
+          const fallback = { fetch: async (cid) => (cid === legacyCid ? legacyData : null) };
+          const migrating = new FSAdapterModule.FileSystemAdapter(directory, { fallback: fallback });
+          assertEqual(await migrating.fetch(legacyCid), legacyData, 'Fallback should answer misses');
+          assert(await adapter.has(legacyCid), 'Fallback content should be persisted');
+        } finally {
+          fs.rmSync(directory, { recursive: true, force: true });
+        }
+      });
+    }
+
+    // ----------------------------------------
+    // TEST 33: Garbage Collection
+    // ----------------------------------------
+    runner.test('Garbage collection keeps everything reachable from roots', async () => {
+      const layer3Store = new ContentStoreModule.ContentStore();
+      const layer3Runtime = new DCXModule.DCXRuntime(layer3Store);
+      const fnCid = await layer3Runtime.registerFunction((input, ctx) => input + 1);
+      const first = await layer3Runtime.execute(await layer3Runtime.createPulse({ input: 1, functionCid: fnCid }));
+      const head = await layer3Runtime.execute(await layer3Runtime.createPulse({ input: 2, functionCid: fnCid, parentPulseId: first.pulse.pulseId }));
+      const claimCid = await layer3Store.store({ predicate: 'valid', subject: head.pulse.pulseId, evidenceCids: [head.pulse.traceCid] });
+      const pinnedCid = await layer3Store.store({ keep: true });
+      await layer3Store.pin(pinnedCid);
+      const orphanCid = await layer3Store.store({ orphan: true });
+
+      const collector = StoreGC.GarbageCollector.forContentStore(layer3Store);
+      const report = await collector.report();
+      assertEqual(report.unreachable, [orphanCid], 'Only the orphan should be unreachable');
+      assert(layer3Store.has(orphanCid), 'Dry run should not delete');
+      assertEqual(report.roots.pulseHeads, 1, 'Only the chain head should be a pulse root');
+
+      const collected = await collector.collect();
+      assertEqual(collected.deleted, [orphanCid], 'Only the orphan should be deleted');
+      assert(!layer3Store.has(orphanCid) && layer3Store.has(pinnedCid) && layer3Store.has(claimCid), 'Roots should survive');
+      assert((await layer3Runtime.verify(first.pulse)).valid, 'Ancestors should still verify');
+    });
+
+    // ----------------------------------------
+    // TEST 34: Chunked Merkle-DAG Storage
+    // ----------------------------------------
+    runner.test('Chunked storage reassembles bytes and reads ranges', async () => {
+      const layer3Store = new ContentStoreModule.ContentStore();
+      const data = new Uint8Array(50000);
+      let seed = 1;
+      for (let i = 0; i < data.length; i++) {
+        seed = (seed * 1103515245 + 12345) >>> 0;
+        data[i] = seed >>> 24;
+      }
+      const options = { strategy: MerkleDAG.Strategy.CONTENT_DEFINED, minChunkSize: 256, avgChunkSize: 1024, maxChunkSize: 4096, fanout: 4 };
+
+      const stored = await MerkleDAG.storeStream(layer3Store, data, options);
+      assert(stored.chunks > 4 && stored.depth > 1, 'Payload should span a multi-level tree');
+      const pieces = (function* () {
+        for (let i = 0; i < data.length; i += 999) yield data.subarray(i, i + 999);
+      })();
+      assertEqual((await MerkleDAG.storeStream(layer3Store, pieces, options)).cid, stored.cid, 'Boundaries should not depend on how input arrives');
+
+      assertEqual(Array.from(await MerkleDAG.fetchBytes(layer3Store, stored.cid)), Array.from(data), 'Payload should reassemble');
+      assertEqual(Array.from(await MerkleDAG.readRange(layer3Store, stored.cid, 12345, 6000)), Array.from(data.slice(12345, 18345)), 'Range should match');
+      assertEqual((await MerkleDAG.readRange(layer3Store, stored.cid, 49990, 100)).length, 10, 'Range should stop at the end');
+
+      // Pulses take chunked inputs and see the reassembled bytes
+      const layer3Runtime = new DCXModule.DCXRuntime(layer3Store, { chunking: options });
+      const pulse = await layer3Runtime.createPulse({ input: data, fn: (input, ctx) => input.length + input[49999] });
+      assertEqual(pulse.inputCid, stored.cid, 'Byte inputs should be stored as the same DAG');
+      assertEqual((await layer3Runtime.execute(pulse)).output, data.length + data[49999], 'Function should see the whole payload');
+    });
+
+    // ----------------------------------------
+    // TEST 35: Integrity Verification
+    // ----------------------------------------
+    runner.test('Verify mode rejects tampered content and scrub quarantines it', async () => {
+      const source = new ContentStoreModule.ContentStore();
+      const goodCid = await source.store({ amount: 10 });
+      const badCid = await source.store({ amount: 20 });
+      const exported = await source.export();
+      exported[badCid] = '{"amount":2000}';
+
+      const layer3Store = new ContentStoreModule.ContentStore({ verify: true });
+      await layer3Store.import(exported);
+      assertEqual((await layer3Store.fetch(goodCid)).amount, 10, 'Intact content should fetch');
+      let error = null;
+      try {
+        await layer3Store.fetch(badCid);
+      } catch (e) {
+        error = e;
+      }
+      assert(error instanceof ContentStoreModule.IntegrityError, 'Tampered content should throw IntegrityError');
+      assertEqual(error.cid, badCid, 'Error should name the requested CID');
+
+      const report = await layer3Store.scrub();
+      assertEqual(report.corrupted.map(entry => entry.cid), [badCid], 'Scrub should report only the tampered entry');
+      assert(layer3Store.has(badCid), 'Report-only scrub should not remove anything');
+
+      const quarantined = await layer3Store.scrub({ quarantine: true });
+      assertEqual(quarantined.quarantined, [badCid], 'Tampered entry should be quarantined');
+      assertEqual(layer3Store.listQuarantined(), [badCid], 'Quarantine should be listed');
+      assertEqual(await layer3Store.fetch(badCid), null, 'Quarantined content should no longer fetch');
+      assertEqual((await layer3Store.scrub()).corrupted.length, 0, 'Store should scrub clean afterwards');
+    });
+
+    // ----------------------------------------
+    // TEST 36: CAR Bundles
+    // ----------------------------------------
+    runner.test('Pulse bundles carry exactly what verification needs', async () => {
+      const layer3Store = new ContentStoreModule.ContentStore();
+      const layer3Runtime = new DCXModule.DCXRuntime(layer3Store);
+      const fnCid = await layer3Runtime.registerFunction((input, ctx) => input * 2);
+      const first = await layer3Runtime.execute(await layer3Runtime.createPulse({ input: 3, functionCid: fnCid }));
+      const head = await layer3Runtime.execute(await layer3Runtime.createPulse({ input: 4, functionCid: fnCid, parentPulseId: first.pulse.pulseId }));
+      const unrelatedCid = await layer3Store.store({ unrelated: true });
+
+      const archive = await CARModule.exportBundle(layer3Store, head.pulse.pulseId);
+      assertEqual(CARModule.readCAR(archive).roots, [CIDModule.toV1(head.pulse.pulseId)], 'Header should name the root as a CIDv1');
+
+      const target = new ContentStoreModule.ContentStore();
+      const imported = await CARModule.importBundle(target, archive);
+      assertEqual(imported.blocks, layer3Store.size() - 1, 'Everything but the unrelated object should be bundled');
+      assert(!target.has(unrelatedCid), 'Unreferenced objects should be left out');
+      const verifier = new DCXModule.DCXRuntime(target, { allowHostRehydration: true });
+      assert((await verifier.verify(head.pulse)).valid, 'Head should verify from the bundle alone');
+      assert((await verifier.verify(first.pulse)).valid, 'Parent should verify from the bundle alone');
+
+      const tampered = archive.slice();
+      tampered[tampered.length - 2] ^= 1;
+      let error = null;
+      try {
+        await CARModule.importBundle(new ContentStoreModule.ContentStore(), tampered);
+      } catch (e) {
+        error = e;
+      }
+      assert(error instanceof ContentStoreModule.IntegrityError, 'Tampered blocks should be rejected');
+    });
+
+    // ----------------------------------------
+    // TEST 37: Tiered Caching
+    // ----------------------------------------
+    runner.test('Bounded cache evicts to the adapter and verifies peer content', async () => {
+      const persisted = new Map();
+      const adapter = {
+        async store(cid, data) { persisted.set(cid, data); },
+        async fetch(cid) { return persisted.has(cid) ? persisted.get(cid) : null; }
+      };
+      const layer3Store = new ContentStoreModule.ContentStore({ adapter: adapter, cache: { policy: 'arc', maxEntries: 2 } });
+      const cids = [];
+      for (let i = 0; i < 4; i++) {
+        cids.push(await layer3Store.store({ item: i }));
+      }
+      assertEqual(layer3Store.size(), 2, 'Memory should hold only the cache budget');
+      assertEqual((await layer3Store.fetch(cids[0])).item, 0, 'Evicted content should come back from the adapter');
+      await layer3Store.fetch(cids[0]);
+      const stats = layer3Store.getStats();
+      assert(stats.cache.evictions >= 2, 'Evictions should be counted');
+      assertEqual(stats.cache.hits, 1, 'Second fetch should hit memory');
+      assertEqual(stats.adapter.hits, 1, 'First fetch should hit the adapter');
+
+      // Peers are the last tier, and their content is rehashed
+      const source = new ContentStoreModule.ContentStore();
+      const peerCid = await source.store({ from: 'peer' });
+      const forgedCid = await source.store({ from: 'forger' });
+      const encoder = new TextEncoder();
+      const peers = {
+        async fetchContent(cid) {
+          if (cid === forgedCid) return encoder.encode('{"from":"elsewhere"}');
+          const data = await source.fetchRaw(cid);
+          if (data === null) throw new Error('Content not found in network');
+          return encoder.encode(data);
+        }
+      };
+      const networked = new ContentStoreModule.ContentStore({ peers: peers });
+      assertEqual((await networked.fetch(peerCid)).from, 'peer', 'Missing content should come from peers');
+      assert(networked.has(peerCid), 'Peer content should be cached');
+      assertEqual(await networked.fetch(forgedCid), null, 'Content not matching its CID should be rejected');
+      assertEqual(await networked.fetch(cids[1]), null, 'Content no peer has should miss');
+      assertEqual(networked.getStats().peers, { hits: 1, misses: 1, rejected: 1 }, 'Peer outcomes should be counted');
+    });
+
+    // ----------------------------------------
+    // TEST 38: Function Rehydration
+    // ----------------------------------------
+    runner.test('Stored functions are only compiled where it is safe', async () => {
+      const source = new ContentStoreModule.ContentStore();
+      const producer = new DCXModule.DCXRuntime(source);
+      const fnCid = await producer.registerFunction((input, ctx) => input + 1);
+      const result = await producer.execute(await producer.createPulse({ input: 41, functionCid: fnCid }));
+
+      // A fresh store and runtime, as after a restart or an import
+      const target = new ContentStoreModule.ContentStore();
+      await target.import(await source.export());
+      const refused = await new DCXModule.DCXRuntime(target).verify(result.pulse);
+      assert(!refused.valid && /allowHostRehydration/.test(refused.reason), 'Host mode should not compile stored source by default');
+      const optedIn = new DCXModule.DCXRuntime(target, { allowHostRehydration: true });
+      assert((await optedIn.verify(result.pulse)).valid, 'Host mode should replay with allowHostRehydration');
+
+      const loadError = async (runtime, cid) => {
+        try {
+          await runtime.loadFunction(cid);
+        } catch (e) {
+          return e.message;
+        }
+        return null;
+      };
+      const hostileCid = await target.store({ source: '(globalThis.__dcxLoaded = true, function() { return 1; })', dcxVersion: DCXModule.VERSION });
+      const futureCid = await target.store({ source: '(input) => input', dcxVersion: '9.0.0' });
+      const valueCid = await target.store({ source: '42', dcxVersion: DCXModule.VERSION });
+      assert(/Incompatible DCX version/.test(await loadError(optedIn, futureCid)), 'Newer records should be rejected');
+      assert(/does not evaluate to a function/.test(await loadError(optedIn, valueCid)), 'Source must evaluate to a function');
+      assert(/Not a function record/.test(await loadError(optedIn, result.pulse.outputCid)), 'Other objects are not functions');
+      assert(/allowHostRehydration/.test(await loadError(new DCXModule.DCXRuntime(target), hostileCid)), 'Host mode should refuse by default');
+
+      if (typeof DCXSandbox !== 'undefined' && DCXSandbox.isAvailable()) {
+        const sandboxed = new DCXModule.DCXRuntime(target, { executionMode: DCXModule.ExecutionMode.SANDBOX });
+        assert((await sandboxed.verify(result.pulse)).valid, 'Sandbox mode should replay from the stored source');
+        assertEqual(await loadError(sandboxed, hostileCid), null, 'Sandbox mode should evaluate stored source in its realm');
+        assert(/does not evaluate to a function/.test(await loadError(sandboxed, valueCid)), 'Sandbox should check the source too');
+      }
+      assertEqual(global.__dcxLoaded, undefined, 'Loading a stored function should never run it in the host');
+    });
+
+    // ----------------------------------------
+    // TEST 39: Sandbox Isolation (Node only)
+    // ----------------------------------------
+    if (typeof DCXSandbox !== 'undefined' && DCXSandbox.isAvailable()) {
+      runner.test('Sandbox rejects ambient nondeterminism and bounds async loops', async () => {
+        const layer3Store = new ContentStoreModule.ContentStore();
+        const sandboxed = new DCXModule.DCXRuntime(layer3Store, { executionMode: DCXModule.ExecutionMode.SANDBOX });
+        const run = async (fn, maxExecutionMs) => {
+          const functionCid = await sandboxed.registerFunction(fn);
+          return sandboxed.execute(await sandboxed.createPulse({ input: 1, functionCid: functionCid, maxExecutionMs: maxExecutionMs }));
+        };
+
+        assertEqual((await run(async (input, ctx) => { await 0; return input + 1; })).output, 2, 'Async functions should complete');
+        const forbidden = [
+          [(input, ctx) => Date.now(), 'Date.now'],
+          [async (input, ctx) => { await 0; return Math.random(); }, 'Math.random'],
+          [(input, ctx) => typeof process, 'process'],
+          [(input, ctx) => eval('input + 1'), 'eval/Function'],
+          [(input, ctx) => new Function('return 1')(), 'eval/Function'],
+          [async (input, ctx) => import('fs'), 'import()']
+        ];
+        for (const [fn, operation] of forbidden) {
+          const result = await run(fn);
+          assertEqual(result.pulse.status, 'failed', operation + ' should fail the pulse');
+          assertEqual(result.error.type, 'DeterminismViolationError', operation + ' should be a determinism violation');
+          assertEqual(result.error.reason, operation, 'Violation should name ' + operation);
+        }
+
+        for (const fn of [(input, ctx) => { while (true) {} }, async (input, ctx) => { await 0; while (true) {} }]) {
+          const result = await run(fn, 200);
+          assertEqual(result.pulse.status, 'violated', 'Infinite loops should be stopped');
+          assertEqual(result.error.reason, 'maxExecutionMs', 'Loops should hit maxExecutionMs');
+        }
+      });
+    }
+
+    // ----------------------------------------
+    // TEST 40: Void Outputs
+    // ----------------------------------------
+    runner.test('Functions returning nothing complete and verify', async () => {
+      for (const cidFormat of ['legacy', 'v1']) {
+        const layer3Store = new ContentStoreModule.ContentStore({ cidFormat: cidFormat });
+        const layer3Runtime = new DCXModule.DCXRuntime(layer3Store);
+        const fnCid = await layer3Runtime.registerFunction(async (input, ctx) => { ctx.step('x', null, null); });
+        const result = await layer3Runtime.execute(await layer3Runtime.createPulse({ input: 1, functionCid: fnCid }));
+        assertEqual(result.pulse.status, 'completed', 'Void function should complete (' + cidFormat + ')');
+        assertEqual(await layer3Store.fetch(result.pulse.outputCid), undefined, 'Void output should round-trip (' + cidFormat + ')');
+        assert((await layer3Runtime.verify(result.pulse)).valid, 'Void function should verify (' + cidFormat + ')');
+      }
+      assertEqual(await ContentStoreModule.sha256(undefined), await ContentStoreModule.sha256(''), 'undefined should hash like the empty string');
+    });
+
+    // ----------------------------------------
+    // TEST 41: Instrumenting Empty Bodies
+    // ----------------------------------------
+    runner.test('Instrumentation keeps empty function bodies valid', async () => {
+      const layer3Runtime = new DCXModule.DCXRuntime(new ContentStoreModule.ContentStore(), { instrument: true });
+      const fnCid = await layer3Runtime.registerFunction((input, ctx) => {
+        const arrow = () => {};
+        const plain = function() {};
+        const strict = () => { 'use strict'; };
+        const object = { method() {} };
+        class Shape { method() {} static create() {} }
+        arrow();
+        plain();
+        strict();
+        object.method();
+        new Shape().method();
+        [1, 2].forEach(() => {});
+        return input;
+      });
+      const result = await layer3Runtime.execute(await layer3Runtime.createPulse({ input: 7, functionCid: fnCid }));
+      assertEqual(result.pulse.status, 'completed', 'Instrumented no-op functions should run');
+      assertEqual(result.output, 7, 'Output should be unchanged');
+      assert(result.trace.steps.some(step => step.operation === 'meter:call'), 'Calls should still be metered');
+    });
+
+    // ----------------------------------------
+    // TEST 42: Migrated Store Round-Trip
+    // ----------------------------------------
+    runner.test('Migrated stores export and import cleanly', async () => {
+      const layer3Store = new ContentStoreModule.ContentStore();
+      const layer3Runtime = new DCXModule.DCXRuntime(layer3Store);
+      const fnCid = await layer3Runtime.registerFunction((input, ctx) => input);
+      const legacy = PulseSchema.createPulseTemplate({ inputCid: await layer3Store.store(1), functionCid: fnCid });
+      delete legacy.schemaVersion;
+      await layer3Store.store(legacy);
+
+      const report = await PulseMigration.getDefaultMigrator().migrateStore(layer3Store);
+      assertEqual(report.migrated, 1, 'Unversioned pulse should be rewritten');
+      const mappingRecord = await layer3Store.fetch(report.mappingCid);
+      assertEqual(PulseMigration.getDefaultMigrator().detectVersion(mappingRecord), null, 'Mapping records are not pulses');
+
+      const target = new ContentStoreModule.ContentStore();
+      await target.import(await layer3Store.export());
+      assertEqual(target.size(), layer3Store.size(), 'Everything should import after a migration');
+      assertEqual((await PulseMigration.getDefaultMigrator().migrateStore(target)).mappings, report.mappings, 'Re-running on the import should map to the same CIDs');
+    });
+
+    // ----------------------------------------
+    // TEST 43: Collecting Equivalent CIDs
+    // ----------------------------------------
+    runner.test('Garbage collection keeps every stored form of a reachable object', async () => {
+      const layer3Store = new ContentStoreModule.ContentStore();
+      const legacyCid = await layer3Store.store({ shared: true });
+      const v1Cid = layer3Store.toCIDv1(legacyCid);
+      await layer3Store.import(await layer3Store.export({ cidFormat: 'v1' }));
+      assert(layer3Store.keys().includes(legacyCid) && layer3Store.keys().includes(v1Cid), 'Both forms should be stored');
+
+      // Only the v1 form is referenced
+      await layer3Store.pin(await layer3Store.store({ link: v1Cid }));
+      const collected = await StoreGC.GarbageCollector.forContentStore(layer3Store).collect();
+      assertEqual(collected.deleted, [], 'No form of a reachable object should be swept');
+      assertEqual((await layer3Store.fetch(v1Cid)).shared, true, 'Referenced content should survive collection');
+    });
+
+    // ----------------------------------------
+    // TEST 44: Persisted Bundle Imports
+    // ----------------------------------------
+    runner.test('Imported bundles are persisted through the adapter', async () => {
+      const source = new ContentStoreModule.ContentStore();
+      const producer = new DCXModule.DCXRuntime(source);
+      const fnCid = await producer.registerFunction((input, ctx) => input * 3);
+      const result = await producer.execute(await producer.createPulse({ input: 5, functionCid: fnCid }));
+      const archive = await CARModule.exportBundle(source, result.pulse.pulseId);
+
+      const persisted = new Map();
+      const pins = new Set();
+      const adapter = {
+        async store(cid, data) { persisted.set(cid, data); },
+        async fetch(cid) {
+          // Blocks are keyed by CIDv1; look up every form, like FileSystemAdapter
+          const key = [cid, ...CIDModule.equivalents(cid)].find(candidate => persisted.has(candidate));
+          return key ? persisted.get(key) : null;
+        },
+        async pin(cid) { pins.add(cid); },
+        async listPins() { return Array.from(pins); }
+      };
+      const target = new ContentStoreModule.ContentStore({ adapter: adapter, cache: { maxEntries: 2 } });
+      const imported = await CARModule.importBundle(target, archive, { pin: true });
+      assertEqual(persisted.size, imported.blocks, 'Every block should reach the adapter');
+      assert(target.size() <= 2, 'Imports should respect the cache bound');
+      assertEqual(await target.listPins(), imported.roots, 'Roots should be pinned on request');
+
+      // A new store over the same adapter, as after a restart
+      const restarted = new DCXModule.DCXRuntime(new ContentStoreModule.ContentStore({ adapter: adapter }), { allowHostRehydration: true });
+      assert((await restarted.verify(result.pulse)).valid, 'Imported pulse should verify after a restart');
+    });
+
+    // ----------------------------------------
+    // TEST 45: Memo Hits Keep Provenance
+    // ----------------------------------------
+    runner.test('Memo hits keep the caller\'s author and parent links', async () => {
+      const layer3Store = new ContentStoreModule.ContentStore();
+      const layer3Runtime = new DCXModule.DCXRuntime(layer3Store, { memoize: true });
+      const fnCid = await layer3Runtime.registerFunction((input, ctx) => input * 2);
+      const root = await layer3Runtime.execute(await layer3Runtime.createPulse({ input: 1, functionCid: fnCid, author: 'did:example:alice' }));
+      const first = await layer3Runtime.execute(await layer3Runtime.createPulse({ input: 2, functionCid: fnCid, author: 'did:example:alice' }));
+
+      const otherAuthor = await layer3Runtime.execute(await layer3Runtime.createPulse({ input: 2, functionCid: fnCid, author: 'did:example:bob' }));
+      assert(!otherAuthor.memoHit, 'Another author should not hit the memo');
+      assertEqual(otherAuthor.pulse.author, 'did:example:bob', 'Author should be the caller\'s');
+      const chained = await layer3Runtime.execute(await layer3Runtime.createPulse({ input: 2, functionCid: fnCid, author: 'did:example:alice', parentPulseId: root.pulse.pulseId }));
+      assert(!chained.memoHit, 'Different parent links should not hit the memo');
+      assertEqual(chained.pulse.parentPulseId, root.pulse.pulseId, 'Parent link should be the caller\'s');
+
+      const pulse = await layer3Runtime.createPulse({ input: 2, functionCid: fnCid, author: 'did:example:alice' });
+      const hit = await layer3Runtime.execute(pulse);
+      assert(hit.memoHit && hit.pulse === pulse, 'A hit should complete the caller\'s pulse');
+      assertEqual(pulse.status, 'completed', 'Status should be set as by a normal execution');
+      assertEqual([pulse.pulseId, pulse.outputCid, pulse.traceCid], [first.pulse.pulseId, first.pulse.outputCid, first.pulse.traceCid], 'Cached results should be filled in');
+    });
+
+    // ----------------------------------------
+    // TEST 46: Recursive Entry Functions Are Metered
+    // ----------------------------------------
+    runner.test('Instrumented entry functions meter their own recursion', async () => {
+      const meteredRuntime = new DCXModule.DCXRuntime(new ContentStoreModule.ContentStore(), {
+        instrument: true
+      });
+
+      function down(n) {
+        return n === 0 ? 0 : 1 + down(n - 1); // Recurses through its own name
+      }
+
+      const fnCid = await meteredRuntime.registerFunction(down);
+      const deep = await meteredRuntime.execute(await meteredRuntime.createPulse({
+        input: 500,
+        functionCid: fnCid,
+        maxBranchDepth: 100
+      }));
+      assertEqual(deep.pulse.status, 'violated', 'Deep recursion should be stopped');
+      assertEqual(deep.error.reason, 'maxBranchDepth', 'Each recursive call should count as a branch');
+
+      const shallow = await meteredRuntime.execute(await meteredRuntime.createPulse({
+        input: 5,
+        functionCid: fnCid,
+        maxBranchDepth: 100
+      }));
+      assertEqual(shallow.pulse.status, 'completed', 'Shallow recursion should complete');
+      assertEqual(shallow.trace.totalSteps, 6, 'Every call, including the entry, should count as a step');
+    });
+
+    // ----------------------------------------
+    // TEST 47: Export Includes Evicted Content
+    // ----------------------------------------
+    runner.test('Export includes content evicted to the adapter', async () => {
+      const persisted = new Map();
+      const adapter = {
+        async store(cid, data) { persisted.set(cid, data); },
+        async fetch(cid) { return persisted.has(cid) ? persisted.get(cid) : null; },
+        async keys() { return Array.from(persisted.keys()); }
+      };
+      const source = new ContentStoreModule.ContentStore({ adapter: adapter, cache: { maxEntries: 2 } });
+      const cids = [];
+      for (let i = 0; i < 5; i++) {
+        cids.push(await source.store({ item: i }));
+      }
+      assert(!source.has(cids[0]), 'The oldest entry should have been evicted');
+      assert(await source.contains(cids[0]), 'contains() should find evicted content');
+
+      const target = new ContentStoreModule.ContentStore();
+      await target.import(await source.export());
+      for (let i = 0; i < 5; i++) {
+        assertEqual((await target.fetch(cids[i])).item, i, `Entry ${i} should survive export and import`);
+      }
+    });
+
+    // ----------------------------------------
+    // TEST 48: Resumed Randomness
+    // ----------------------------------------
+    runner.test('Resume pulses draw a new ctx.random sequence', async () => {
+      const layer3Runtime = new DCXModule.DCXRuntime(new ContentStoreModule.ContentStore());
+      const fn = async (input, ctx) => {
+        const saved = ctx.getCheckpoint() || { draws: [] };
+        while (saved.draws.length < input.count) {
+          saved.draws.push(ctx.random());
+          await ctx.checkpoint(saved);
+        }
+        return saved.draws;
+      };
+
+      const first = await layer3Runtime.execute(await layer3Runtime.createPulse({ input: { count: 4 }, fn: fn, maxSteps: 4 }));
+      assertEqual(first.pulse.status, 'violated', 'First segment should run out of steps');
+      const resumePulse = await layer3Runtime.createResumePulse(first.pulse, { maxSteps: 100 });
+      const resumed = await layer3Runtime.execute(resumePulse);
+      assert(resumed.success, 'Resumed segment should complete');
+      assertEqual(new Set(resumed.output).size, 4, 'Draws after resuming should not repeat earlier ones');
+
+      const again = await layer3Runtime.execute(await layer3Runtime.createResumePulse(first.pulse, { maxSteps: 100 }));
+      assertEqual(again.output, resumed.output, 'Resuming from the same checkpoint should draw the same sequence');
+    });
+
     // Run all tests
     return runner.run();
   }
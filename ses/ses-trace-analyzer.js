@@ -2,7 +2,7 @@
  * SES-TRACE-ANALYZER.JS - Enhanced Trace Analysis System
  * Sovereign Execution Substrate - Layer 3
  * 
- * Analyzes execution traces for:
+ * Analyzes execution traces (full, chunked or sampled) for:
  * - Resource efficiency (actual vs bounds usage)
  * - Optimization opportunities
  * - Anomaly detection
@@ -20,6 +20,9 @@
   // ============================================
   const ANALYZER_VERSION = '1.0.0';
 
+  // Context operations that are deterministic by construction
+  const DETERMINISTIC_OPERATIONS = ['ctx.random', 'ctx.now'];
+
   // ============================================
   // EFFICIENCY METRICS
   // ============================================
@@ -34,7 +37,7 @@
       this.recommendations = [];
     }
 
-    calculate(trace, bounds) {
+    calculate(trace, bounds, receipt) {
       // Step efficiency: (used / allowed) as percentage
       this.stepEfficiency = bounds.maxSteps > 0 
         ? (trace.totalSteps / bounds.maxSteps) * 100 
@@ -50,9 +53,10 @@
         ? (trace.maxBranchDepth / bounds.maxBranchDepth) * 100 
         : 0;
 
-      // Time efficiency (if available)
-      if (trace.startTime && trace.endTime) {
-        const elapsed = new Date(trace.endTime) - new Date(trace.startTime);
+      // Time efficiency (if available: execution receipt, or legacy trace timestamps)
+      const timing = receipt || trace;
+      if (timing.startTime && timing.endTime) {
+        const elapsed = new Date(timing.endTime) - new Date(timing.startTime);
         this.timeEfficiency = bounds.maxExecutionMs > 0 
           ? (elapsed / bounds.maxExecutionMs) * 100 
           : 0;
@@ -209,10 +213,12 @@
       });
 
       // Detect potential infinite loops (repeated operations)
+      // Each kept step of a sampled trace stands for sampleInterval steps
+      const weight = trace.mode === 'sampled' ? (trace.sampleInterval || 1) : 1;
       const operationCounts = new Map();
       trace.steps.forEach(step => {
         const key = `${step.operation}:${JSON.stringify(step.args)}`;
-        operationCounts.set(key, (operationCounts.get(key) || 0) + 1);
+        operationCounts.set(key, (operationCounts.get(key) || 0) + weight);
       });
 
       operationCounts.forEach((count, key) => {
@@ -248,7 +254,10 @@
       const violations = [];
 
       // Check for wall-clock dependencies
-      trace.steps.forEach(step => {
+      (trace.steps || []).forEach(step => {
+        // ctx.random()/ctx.now() are seeded and logical, safe to replay
+        if (DETERMINISTIC_OPERATIONS.includes(step.operation)) return;
+
         const op = (step.operation || '').toLowerCase();
         const args = JSON.stringify(step.args || {}).toLowerCase();
 
@@ -296,7 +305,7 @@
       const stack = [];
       let currentDepth = 0;
 
-      trace.steps.forEach((step, index) => {
+      (trace.steps || []).forEach((step, index) => {
         // Track depth based on operation patterns
         if (step.operation?.includes('enter') || step.operation?.includes('start')) {
           currentDepth++;
@@ -338,7 +347,7 @@
       let currentNode = tree;
       const nodeStack = [tree];
 
-      trace.steps.forEach(step => {
+      (trace.steps || []).forEach(step => {
         if (step.operation?.includes('enterBranch') || step.operation?.includes('recurse')) {
           const newNode = {
             name: step.operation,
@@ -371,7 +380,7 @@
       const timeline = [];
       let runningMemory = 0;
 
-      trace.steps.forEach((step, index) => {
+      (trace.steps || []).forEach((step, index) => {
         if (step.memory !== undefined) {
           runningMemory = step.memory;
         }
@@ -397,10 +406,15 @@
     generateOperationFrequency(trace) {
       const frequency = new Map();
 
-      trace.steps.forEach(step => {
-        const op = step.operation || 'unknown';
-        frequency.set(op, (frequency.get(op) || 0) + 1);
-      });
+      if (trace.operationCounts) {
+        // Sampled traces keep exact counters
+        Object.entries(trace.operationCounts).forEach(([op, count]) => frequency.set(op, count));
+      } else {
+        (trace.steps || []).forEach(step => {
+          const op = step.operation || 'unknown';
+          frequency.set(op, (frequency.get(op) || 0) + 1);
+        });
+      }
 
       const data = Array.from(frequency.entries())
         .map(([name, count]) => ({ name, count, percentage: (count / trace.totalSteps) * 100 }))
@@ -440,9 +454,9 @@
     /**
      * Analyze resource efficiency
      */
-    analyzeResourceEfficiency(trace, bounds) {
+    analyzeResourceEfficiency(trace, bounds, receipt) {
       const metrics = new EfficiencyMetrics();
-      return metrics.calculate(trace, bounds);
+      return metrics.calculate(trace, bounds, receipt);
     }
 
     /**
@@ -461,23 +475,27 @@
 
     /**
      * Full analysis report
+     * Timing comes from the execution receipt (runtime.getReceipt), if given.
      */
-    analyze(pulse, trace) {
+    analyze(pulse, trace, receipt) {
       const bounds = pulse.bounds || {};
+      const timing = receipt || trace;
 
       return {
         version: ANALYZER_VERSION,
         timestamp: new Date().toISOString(),
         pulseId: pulse.pulseId,
         summary: {
+          traceMode: trace.mode || 'full',
+          stepsAnalyzed: (trace.steps || []).length,
           totalSteps: trace.totalSteps,
           peakMemory: trace.peakMemory,
           maxBranchDepth: trace.maxBranchDepth,
-          duration: trace.startTime && trace.endTime 
-            ? new Date(trace.endTime) - new Date(trace.startTime) 
+          duration: timing.startTime && timing.endTime 
+            ? new Date(timing.endTime) - new Date(timing.startTime) 
             : null
         },
-        efficiency: this.analyzeResourceEfficiency(trace, bounds),
+        efficiency: this.analyzeResourceEfficiency(trace, bounds, receipt),
         anomalies: this.detectAnomalies(trace),
         visualizations: this.visualizeExecution(trace),
         determinism: {
@@ -487,6 +505,30 @@
       };
     }
 
+    /**
+     * Full analysis of a stored pulse's trace
+     * Chunked traces are joined from their segments first.
+     */
+    async analyzeStored(pulse, store, receipt) {
+      const trace = await store.fetch(pulse.traceCid);
+      if (!trace) {
+        throw new Error('Trace not found: ' + pulse.traceCid);
+      }
+      if (trace.mode !== 'chunked') {
+        return this.analyze(pulse, trace, receipt);
+      }
+
+      const steps = [];
+      for (const segmentCid of trace.segments || []) {
+        const segment = await store.fetch(segmentCid);
+        if (!segment || !Array.isArray(segment.steps)) {
+          throw new Error('Trace segment not found: ' + segmentCid);
+        }
+        steps.push(...segment.steps);
+      }
+      return this.analyze(pulse, { ...trace, steps: steps }, receipt);
+    }
+
     /**
      * Compare two traces for drift
      */
@@ -9,7 +9,7 @@
  * - No external trust required
  *
  * @version 1.0.0
- * @depends ses-core.js, ses-store.js, ses-identity.js
+ * @depends ses-core.js, ses-store.js, ses-identity.js, pulse-migration.js
  */
 
 (function(global) {
@@ -87,7 +87,8 @@
         // 1. Structure validation
         checks.structureValid = this.validatePulseStructure(pulse);
         if (!checks.structureValid) {
-          return this.failResult('INVALID_STRUCTURE', 'Pulse structure is invalid');
+          const errors = this.pulseStructureErrors(pulse);
+          return this.failResult('INVALID_STRUCTURE', `Pulse structure is invalid: ${errors.join(', ')}`);
         }
 
         // 2. Bounds validation
@@ -169,7 +170,15 @@
         }
 
         // Check if function is available for replay
-        if (!this.runtime.getFunction(pulse.functionCid)) {
+        // (Layer 3 runtimes rehydrate it from the stored function record)
+        if (typeof this.runtime.loadFunction === 'function') {
+          try {
+            await this.runtime.loadFunction(pulse.functionCid);
+          } catch (error) {
+            return this.failResult('FUNCTION_NOT_FOUND',
+              `${error.message}. Cannot replay without function.`);
+          }
+        } else if (!this.runtime.getFunction(pulse.functionCid)) {
           return this.failResult('FUNCTION_NOT_FOUND', 
             `Function not registered: ${pulse.functionCid}. Cannot replay without function.`);
         }
@@ -225,7 +234,8 @@
 
     /**
      * Verify an entire pulse chain from head to genesis
-     * Walks back through parentPulseId links
+     * Walks back through parentPulseId links, and every parentPulseIds
+     * link of a join, verifying shared ancestors once
      * 
      * @param {string} headCID - CID of the chain head (most recent pulse)
      * @returns {object} Chain verification result
@@ -234,61 +244,83 @@
       this.emit('verifyStart', { type: 'chain', target: headCID });
 
       try {
-        const chainResults = [];
-        const visitedPulses = new Set();
-        let currentCID = headCID;
-        let chainLength = 0;
-        let allValid = true;
-
-        // Walk the chain backwards
-        while (currentCID) {
-          // Prevent infinite loops
-          if (visitedPulses.has(currentCID)) {
-            return this.failResult('CYCLE_DETECTED', `Cycle detected at pulse: ${currentCID}`);
-          }
-          visitedPulses.add(currentCID);
-          chainLength++;
+        const walk = await this.walkAncestors(headCID);
+        if (walk.cycle) {
+          return this.failResult('CYCLE_DETECTED', `Cycle detected at pulse: ${walk.cycle}`);
+        }
 
-          // Emit progress
-          this.emit('chainProgress', {
-            currentPulse: currentCID,
-            depth: chainLength,
-            valid: allValid
-          });
+        // Head first, ancestors after their descendants
+        const chainResults = walk.order.slice().reverse().map(cid => walk.results.get(cid));
 
-          // Check cache first
-          if (this.verificationCache.has(currentCID)) {
-            const cached = this.verificationCache.get(currentCID);
-            chainResults.push({ cached: true, ...cached });
-            
-            if (!cached.valid) {
-              allValid = false;
-            }
-            
-            currentCID = cached.pulse?.parentPulseId;
-            continue;
-          }
+        const result = {
+          valid: chainResults.every(r => r.valid),
+          headCID,
+          chainLength: walk.order.length,
+          genesisReached: walk.missing.length === 0,
+          roots: walk.roots,
+          sharedAncestorHits: walk.sharedHits,
+          pulseResults: chainResults,
+          validPulses: chainResults.filter(r => r.valid).length,
+          invalidPulses: chainResults.filter(r => !r.valid).length,
+          verifiedAt: new Date().toISOString()
+        };
+
+        this.emit('verifyComplete', result);
+        return result;
 
-          // Verify current pulse
-          const verifyResult = await this.verifyPulse(currentCID);
-          chainResults.push(verifyResult);
+      } catch (error) {
+        return this.failResult('CHAIN_VERIFICATION_ERROR', error.message, error);
+      }
+    }
 
-          if (!verifyResult.valid) {
-            allValid = false;
-          }
+    /**
+     * Verify every ancestor of a pulse and report them in topological order
+     * Roots come first and each pulse follows all of its parents. A pulse
+     * is trusted only when it and all of its ancestors are valid.
+     * 
+     * @param {string} headCID - CID of the pulse whose ancestry to verify
+     * @returns {object} Ancestry report
+     */
+    async verifyAncestors(headCID) {
+      this.emit('verifyStart', { type: 'ancestors', target: headCID });
 
-          // Move to parent
-          currentCID = verifyResult.pulse?.parentPulseId;
+      try {
+        const walk = await this.walkAncestors(headCID);
+        if (walk.cycle) {
+          return this.failResult('CYCLE_DETECTED', `Cycle detected at pulse: ${walk.cycle}`);
         }
 
+        // Parents precede children, so trust resolves in one pass
+        const trusted = new Map();
+        const pulses = walk.order.map((cid, index) => {
+          const verification = walk.results.get(cid);
+          const parents = walk.parents.get(cid);
+          const isTrusted = verification.valid && parents.every(parent => trusted.get(parent));
+          trusted.set(cid, isTrusted);
+          return {
+            pulseId: cid,
+            position: index,
+            parents,
+            valid: verification.valid,
+            trusted: isTrusted,
+            cached: !!verification.cached,
+            checks: verification.checks || null,
+            error: verification.error || null
+          };
+        });
+
         const result = {
-          valid: allValid,
+          valid: pulses.every(p => p.valid),
           headCID,
-          chainLength,
-          genesisReached: true,
-          pulseResults: chainResults,
-          validPulses: chainResults.filter(r => r.valid).length,
-          invalidPulses: chainResults.filter(r => !r.valid).length,
+          headTrusted: trusted.get(headCID) === true,
+          order: walk.order,
+          roots: walk.roots,
+          missing: walk.missing,
+          sharedAncestorHits: walk.sharedHits,
+          pulses,
+          untrusted: pulses.filter(p => !p.trusted).map(p => p.pulseId),
+          validPulses: pulses.filter(p => p.valid).length,
+          invalidPulses: pulses.filter(p => !p.valid).length,
           verifiedAt: new Date().toISOString()
         };
 
@@ -296,7 +328,7 @@
         return result;
 
       } catch (error) {
-        return this.failResult('CHAIN_VERIFICATION_ERROR', error.message, error);
+        return this.failResult('ANCESTRY_VERIFICATION_ERROR', error.message, error);
       }
     }
 
@@ -406,12 +438,102 @@
     // HELPER METHODS
     // ==========================================
 
+    /**
+     * Walk parent links depth-first from a head pulse
+     * Each pulse is verified once (shared ancestors and cached results
+     * are reused) and returned in topological order, roots first.
+     * 
+     * @param {string} headCID - CID to start from
+     * @returns {object} { order, results, parents, roots, missing, sharedHits } or { cycle }
+     */
+    async walkAncestors(headCID) {
+      const results = new Map();
+      const parents = new Map();
+      const onPath = new Set();
+      const order = [];
+      const missing = [];
+      const stack = [{ cid: headCID, next: 0 }];
+      let sharedHits = 0;
+      let allValid = true;
+
+      while (stack.length > 0) {
+        const frame = stack[stack.length - 1];
+
+        // First visit: verify the pulse and read its parents
+        if (!results.has(frame.cid)) {
+          onPath.add(frame.cid);
+          const verification = await this.verifyCached(frame.cid);
+          results.set(frame.cid, verification);
+          parents.set(frame.cid, this.getParentIds(verification.pulse));
+          if (verification.error?.code === 'PULSE_NOT_FOUND') {
+            missing.push(frame.cid);
+          }
+          allValid = allValid && verification.valid;
+
+          this.emit('chainProgress', {
+            currentPulse: frame.cid,
+            depth: results.size,
+            valid: allValid
+          });
+        }
+
+        const frameParents = parents.get(frame.cid);
+        if (frame.next < frameParents.length) {
+          const parent = frameParents[frame.next++];
+          if (onPath.has(parent)) {
+            return { cycle: parent };
+          }
+          if (results.has(parent)) {
+            sharedHits++;
+          } else {
+            stack.push({ cid: parent, next: 0 });
+          }
+          continue;
+        }
+
+        // All parents done: this pulse can follow them
+        onPath.delete(frame.cid);
+        order.push(frame.cid);
+        stack.pop();
+      }
+
+      const roots = order.filter(cid => parents.get(cid).length === 0 && results.get(cid).pulse);
+      return { order, results, parents, roots, missing, sharedHits };
+    }
+
+    async verifyCached(cid) {
+      if (this.verificationCache.has(cid)) {
+        return { cached: true, ...this.verificationCache.get(cid) };
+      }
+      return this.verifyPulse(cid);
+    }
+
+    getParentIds(pulse) {
+      if (!pulse) return [];
+      const parents = Array.isArray(pulse.parentPulseIds) ? pulse.parentPulseIds.slice() : [];
+      if (pulse.parentPulseId && !parents.includes(pulse.parentPulseId)) {
+        parents.unshift(pulse.parentPulseId);
+      }
+      return parents;
+    }
+
     validatePulseStructure(pulse) {
-      const required = ['bounds', 'author', 'status'];
-      for (const field of required) {
-        if (pulse[field] === undefined) return false;
+      return this.pulseStructureErrors(pulse).length === 0;
+    }
+
+    pulseStructureErrors(pulse) {
+      // Same schema the Layer 3 runtime enforces; older shapes
+      // (e.g. SESCore pulses) are checked as their migrated form
+      const migration = global.PulseMigration ||
+        (typeof require === 'function' ? require('./pulse-migration.js') : null);
+      if (!migration) {
+        throw new Error('PulseMigration not available - load pulse-migration.js');
+      }
+      try {
+        return migration.migratePulse(pulse).errors;
+      } catch (error) {
+        return [error.message];
       }
-      return true;
     }
 
     validateBounds(bounds) {
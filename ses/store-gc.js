@@ -0,0 +1,352 @@
+/**
+ * STORE-GC.JS - Reachability Garbage Collection
+ * Sovereign Execution Substrate - Layer 3
+ *
+ * Mark and sweep over a content-addressed store:
+ *   1. Roots: pinned CIDs, pulse chain heads (pulses no other pulse
+ *      names as a parent), claims and attestations, contributions
+ *   2. Mark everything reachable through embedded CIDs
+ *   3. Sweep (or, for report(), just list) the rest
+ *
+ * References are found conservatively: any string anywhere in a record
+ * that names a stored object counts (inputCid, outputCid, traceCid,
+ * parentPulseId(s), evidenceCids, trace segments, memo entries, ...).
+ * Objects nothing points at that must survive, like memo indexes and
+ * migration mappings, need a pin.
+ *
+ * Writers must be paused while collect() runs. A pulse's input,
+ * function and output are stored before the pulse that references
+ * them, so a collection that starts between those writes sees them as
+ * unreachable and sweeps them. report() deletes nothing and is safe
+ * at any time.
+ *
+ * @version 1.0.0
+ * @license Apache-2.0 / MIT
+ */
+
+(function(root) {
+  'use strict';
+
+  const GC_VERSION = '1.0.0';
+
+  // Longest string considered as a possible CID
+  const MAX_CID_LENGTH = 128;
+
+  function getCIDModule() {
+    const cids = root.CIDModule ||
+      (typeof require === 'function' ? require('./cid.js') : null);
+    if (!cids) {
+      throw new Error('CIDModule not available - load cid.js');
+    }
+    return cids;
+  }
+
+  function getSESStoreModule() {
+    const storeModule = root.SESStore && root.SESStore.STORES ? root.SESStore :
+      (typeof require === 'function' ? require('./ses-store.js') : null);
+    if (!storeModule || !storeModule.STORES) {
+      throw new Error('SESStore not available - load ses-store.js');
+    }
+    return storeModule;
+  }
+
+  // ============================================
+  // RECORD CLASSIFICATION
+  // ============================================
+
+  function isRecord(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value) && !ArrayBuffer.isView(value);
+  }
+
+  function isPulse(record) {
+    return isRecord(record) &&
+      (typeof record.functionCid === 'string' || typeof record.function_cid === 'string');
+  }
+
+  function pulseParents(record) {
+    if (Array.isArray(record.parentPulseIds)) {
+      return record.parentPulseIds;
+    }
+    const parent = record.parentPulseId || record.parent_pulse_id;
+    return parent ? [parent] : [];
+  }
+
+  function isClaim(record) {
+    return isRecord(record) && (
+      (Array.isArray(record.evidenceCids) && 'predicate' in record) ||
+      (typeof record.claimId === 'string' && 'verdict' in record)  // Attestation
+    );
+  }
+
+  function isContribution(record) {
+    return isRecord(record) && Array.isArray(record.dependencies) &&
+      typeof record.author === 'string' && typeof record.type === 'string';
+  }
+
+  /**
+   * Every string in a value that resolves to a stored object
+   * @param {any} value - Decoded record
+   * @param {Function} resolve - ref -> stored key or null
+   * @returns {string[]}
+   */
+  function findReferences(value, resolve) {
+    const refs = new Set();
+    const stack = [value];
+    while (stack.length > 0) {
+      const current = stack.pop();
+      if (typeof current === 'string') {
+        if (current.length <= MAX_CID_LENGTH) {
+          const key = resolve(current);
+          if (key !== null) {
+            refs.add(key);
+          }
+        }
+      } else if (Array.isArray(current)) {
+        for (const item of current) stack.push(item);
+      } else if (isRecord(current)) {
+        for (const key in current) stack.push(current[key]);
+      }
+    }
+    return Array.from(refs);
+  }
+
+  // ============================================
+  // GARBAGE COLLECTOR
+  // ============================================
+  class GarbageCollector {
+    /**
+     * @param {Object} source - Store binding (see forContentStore / forNetwork / forSESStore)
+     *   keys()            Promise<string[]> - collectable CIDs
+     *   fetch(cid)        Promise<any>      - decoded record (null if opaque)
+     *   delete(cid)       Promise
+     *   pins()            Promise<string[]> - pinned CIDs (optional)
+     *   resolve(ref, keySet)                - stored key for a reference (optional)
+     *   equivalents(cid)  string[]          - other forms delete(cid) also removes (optional)
+     *   roots(findRefs)   Promise<string[]> - extra roots (optional)
+     * @param {Object} options - Collector options
+     * @param {Object} options.roots - Root sets to use: { pins, pulseHeads, claims, contributions } (all default true)
+     * @param {string[]} options.extraRoots - Additional root CIDs
+     */
+    constructor(source, options = {}) {
+      if (!source || typeof source.keys !== 'function' || typeof source.fetch !== 'function') {
+        throw new Error('GarbageCollector requires a source with keys() and fetch()');
+      }
+      this._source = source;
+      this._rootSets = {
+        pins: true,
+        pulseHeads: true,
+        claims: true,
+        contributions: true,
+        ...(options.roots || {})
+      };
+      this._extraRoots = options.extraRoots || [];
+    }
+
+    /**
+     * Collector over a Layer 3 ContentStore (and its adapter's objects)
+     * @param {ContentStore} store
+     * @param {Object} options - Collector options
+     * @returns {GarbageCollector}
+     */
+    static forContentStore(store, options = {}) {
+      return new GarbageCollector({
+        keys: () => store.allKeys(),
+        fetch: cid => store.fetch(cid),
+        delete: cid => store.delete(cid),
+        equivalents: cid => getCIDModule().equivalents(cid),
+        pins: () => store.listPins(),
+        resolve: (ref, keySet) => {
+          if (keySet.has(ref)) {
+            return ref;
+          }
+          const equivalent = getCIDModule().equivalents(ref).find(cid => keySet.has(cid));
+          return equivalent || null;
+        }
+      }, options);
+    }
+
+    /**
+     * Collector over SESNetwork or its IndexedDBStore
+     * @param {SESNetwork|IndexedDBStore} network
+     * @param {Object} options - Collector options
+     * @returns {GarbageCollector}
+     */
+    static forNetwork(network, options = {}) {
+      const readBytes = network.fetchBytes ? cid => network.fetchBytes(cid) : cid => network.fetch(cid);
+      return new GarbageCollector({
+        keys: () => network.list(),
+        fetch: async cid => {
+          const bytes = await readBytes(cid);
+          if (!bytes) {
+            return null;
+          }
+          try {
+            return JSON.parse(new TextDecoder().decode(bytes));
+          } catch (e) {
+            return null; // Opaque bytes hold no references
+          }
+        },
+        delete: cid => network.delete(cid),
+        pins: () => network.listPins()
+      }, options);
+    }
+
+    /**
+     * Collector over the SESStore objects collection
+     * Records in the typed collections (pulses, claims, contributions, ...)
+     * are never collected and act as roots.
+     * @param {SESStore} store - ses-store.js Store instance
+     * @param {Object} options - Collector options
+     * @returns {GarbageCollector}
+     */
+    static forSESStore(store, options = {}) {
+      const stores = getSESStoreModule().STORES;
+      return new GarbageCollector({
+        keys: () => store.keys(stores.OBJECTS),
+        fetch: cid => store.fetch(cid, stores.OBJECTS),
+        delete: cid => store.delete(cid, stores.OBJECTS),
+        roots: async (findRefs) => {
+          const roots = [];
+          for (const storeName of Object.values(stores)) {
+            if (storeName === stores.OBJECTS) continue;
+            for (const record of await store.getAll(storeName)) {
+              roots.push(...findRefs(record));
+            }
+          }
+          return roots;
+        }
+      }, options);
+    }
+
+    /**
+     * Find unreachable objects without deleting anything
+     * @returns {Promise<Object>} Report (see collect)
+     */
+    async report() {
+      return this._run(true);
+    }
+
+    /**
+     * Delete every unreachable object
+     * Pause writers (pending DCXRuntime.execute calls included) first.
+     * @returns {Promise<Object>} { dryRun, scanned, roots: { pins, pulseHeads, claims, contributions, extra },
+     *   reachable, unreachable: string[], deleted: string[] }
+     */
+    async collect() {
+      return this._run(false);
+    }
+
+    /**
+     * @private
+     */
+    async _run(dryRun) {
+      const { keys, reachable, roots } = await this._mark();
+      const unreachable = keys.filter(cid => !reachable.has(cid));
+
+      const deleted = [];
+      if (!dryRun) {
+        for (const cid of unreachable) {
+          await this._source.delete(cid);
+          deleted.push(cid);
+        }
+      }
+
+      return {
+        dryRun: dryRun,
+        scanned: keys.length,
+        roots: roots,
+        reachable: reachable.size,
+        unreachable: unreachable,
+        deleted: deleted
+      };
+    }
+
+    /**
+     * Build the reference graph and mark from the roots
+     * @private
+     */
+    async _mark() {
+      const source = this._source;
+      const keys = await source.keys();
+      const keySet = new Set(keys);
+      const resolve = source.resolve
+        ? ref => source.resolve(ref, keySet)
+        : ref => (keySet.has(ref) ? ref : null);
+      const findRefs = record => findReferences(record, resolve);
+
+      // Only the edges are kept, not the records
+      const edges = new Map();
+      const pulses = [];
+      const parents = new Set();
+      const claims = [];
+      const contributions = [];
+      for (const cid of keys) {
+        const record = await source.fetch(cid);
+        edges.set(cid, findRefs(record));
+        if (isPulse(record)) {
+          pulses.push(cid);
+          for (const parent of pulseParents(record)) {
+            const key = resolve(parent);
+            if (key !== null) parents.add(key);
+          }
+        } else if (isClaim(record)) {
+          claims.push(cid);
+        } else if (isContribution(record)) {
+          contributions.push(cid);
+        }
+      }
+
+      const rootSets = {
+        pins: this._rootSets.pins && source.pins ? (await source.pins()).map(resolve).filter(Boolean) : [],
+        pulseHeads: this._rootSets.pulseHeads ? pulses.filter(cid => !parents.has(cid)) : [],
+        claims: this._rootSets.claims ? claims : [],
+        contributions: this._rootSets.contributions ? contributions : [],
+        extra: this._extraRoots.map(resolve).filter(Boolean)
+      };
+      if (source.roots) {
+        rootSets.extra.push(...await source.roots(findRefs));
+      }
+
+      const reachable = new Set();
+      const pending = [].concat(...Object.values(rootSets));
+      while (pending.length > 0) {
+        const cid = pending.pop();
+        if (reachable.has(cid)) continue;
+        reachable.add(cid);
+        for (const ref of edges.get(cid) || []) pending.push(ref);
+      }
+
+      // Deleting one form deletes its equivalents, so a reachable form keeps them all
+      if (source.equivalents) {
+        for (const cid of keys) {
+          if (!reachable.has(cid) && source.equivalents(cid).some(equivalent => reachable.has(equivalent))) {
+            reachable.add(cid);
+          }
+        }
+      }
+
+      const roots = {};
+      for (const [name, cids] of Object.entries(rootSets)) {
+        roots[name] = new Set(cids).size;
+      }
+      return { keys: keys, reachable: reachable, roots: roots };
+    }
+  }
+
+  // ============================================
+  // EXPORT
+  // ============================================
+  const StoreGC = Object.freeze({
+    VERSION: GC_VERSION,
+    GarbageCollector: GarbageCollector,
+    findReferences: findReferences
+  });
+
+  // Universal module export
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StoreGC;
+  } else if (typeof root !== 'undefined') {
+    root.StoreGC = StoreGC;
+  }
+
+})(typeof globalThis !== 'undefined' ? globalThis : (typeof window !== 'undefined' ? window : global));
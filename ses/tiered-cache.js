@@ -0,0 +1,505 @@
+/**
+ * TIERED-CACHE.JS - Size-Bounded Caches for Content Stores
+ * Sovereign Execution Substrate - Layer 3
+ *
+ * The memory tier of every store: ContentStore keeps its hot objects
+ * here, SESNetwork its decoded objects. Below it sit the persistent
+ * tier (filesystem adapter or IndexedDB) and, optionally, peers
+ * (ContentDistribution.fetchContent), consulted in that order.
+ *
+ * Caches are Map-like and account for entry sizes in bytes:
+ *   lru - evict the least recently used entry
+ *   arc - Adaptive Replacement Cache: balances recency and frequency
+ *         using ghost lists of recently evicted keys, so one large scan
+ *         does not flush entries that are used repeatedly
+ *
+ * Pinned entries are never evicted (content that exists nowhere else).
+ *
+ * @version 1.0.0
+ * @license Apache-2.0 / MIT
+ */
+
+(function(root) {
+  'use strict';
+
+  const CACHE_VERSION = '1.0.0';
+
+  const Policy = Object.freeze({
+    LRU: 'lru',
+    ARC: 'arc'
+  });
+
+  /**
+   * Approximate memory held by a value
+   * @param {any} value
+   * @returns {number} Bytes
+   */
+  function sizeOf(value) {
+    if (typeof value === 'string') {
+      return value.length * 2;
+    }
+    if (value instanceof ArrayBuffer || ArrayBuffer.isView(value)) {
+      return value.byteLength;
+    }
+    if (value === null || typeof value !== 'object') {
+      return 8;
+    }
+    try {
+      return JSON.stringify(value).length * 2;
+    } catch (e) {
+      return 0;
+    }
+  }
+
+  // ============================================
+  // CACHE BASE
+  // ============================================
+  class Cache {
+    /**
+     * @param {Object} options - Cache options
+     * @param {number} options.maxBytes - Byte budget (default unbounded)
+     * @param {number} options.maxEntries - Entry budget (default unbounded)
+     * @param {Function} options.sizeOf - value -> bytes (default sizeOf)
+     */
+    constructor(options = {}) {
+      for (const key of ['maxBytes', 'maxEntries']) {
+        const limit = options[key];
+        if (limit !== undefined && limit !== Infinity && !(Number.isInteger(limit) && limit >= 1)) {
+          throw new Error(key + ' must be a positive integer');
+        }
+      }
+      this._maxBytes = options.maxBytes === undefined ? Infinity : options.maxBytes;
+      this._maxEntries = options.maxEntries === undefined ? Infinity : options.maxEntries;
+      this._sizeOf = options.sizeOf || sizeOf;
+      this._pinned = new Map();  // key -> { value, size }
+      this._bytes = 0;
+      this._stats = { hits: 0, misses: 0, evictions: 0, rejected: 0 };
+    }
+
+    /**
+     * Whether entries can be evicted at all
+     * @returns {boolean}
+     */
+    get bounded() {
+      return this._maxBytes !== Infinity || this._maxEntries !== Infinity;
+    }
+
+    get size() {
+      return this._pinned.size + this._count();
+    }
+
+    get bytes() {
+      return this._bytes;
+    }
+
+    /**
+     * Check for a key (no stats, no promotion)
+     * @param {string} key
+     * @returns {boolean}
+     */
+    has(key) {
+      return this._pinned.has(key) || this._lookup(key, false) !== undefined;
+    }
+
+    /**
+     * Read a value, counting a hit or miss and marking it recently used
+     * @param {string} key
+     * @returns {any} Value, or undefined
+     */
+    get(key) {
+      const entry = this._pinned.get(key) || this._lookup(key, true);
+      if (entry === undefined) {
+        this._stats.misses++;
+        return undefined;
+      }
+      this._stats.hits++;
+      return entry.value;
+    }
+
+    /**
+     * Read a value without touching stats or recency
+     * @param {string} key
+     * @returns {any} Value, or undefined
+     */
+    peek(key) {
+      const entry = this._pinned.get(key) || this._lookup(key, false);
+      return entry === undefined ? undefined : entry.value;
+    }
+
+    /**
+     * Add or replace a value, evicting others to stay within budget
+     * Unpinned values larger than the whole byte budget are not cached.
+     * @param {string} key
+     * @param {any} value
+     * @param {Object} options - { pinned: never evict (sticky until delete) }
+     * @returns {boolean} Whether the value is now cached
+     */
+    set(key, value, options = {}) {
+      const size = this._sizeOf(value);
+      const pinned = options.pinned === true || this._pinned.has(key);
+      const existed = this.delete(key);
+
+      if (pinned) {
+        this._pinned.set(key, { value: value, size: size });
+        this._bytes += size;
+        return true;
+      }
+      if (size > this._maxBytes) {
+        this._stats.rejected++;
+        return false;
+      }
+
+      const list = this._admit(key, existed);
+      while ((this._bytes + size > this._maxBytes || this.size + 1 > this._maxEntries) && this._evictOne()) {
+        // Evict until the entry fits (pinned entries may keep us over budget)
+      }
+      this._place(key, { value: value, size: size }, list);
+      this._bytes += size;
+      return true;
+    }
+
+    /**
+     * @param {string} key
+     * @returns {boolean} Whether an entry was removed
+     */
+    delete(key) {
+      const entry = this._pinned.get(key) || this._remove(key);
+      if (entry === undefined) {
+        return false;
+      }
+      this._pinned.delete(key);
+      this._bytes -= entry.size;
+      return true;
+    }
+
+    clear() {
+      this._pinned.clear();
+      this._clearEntries();
+      this._bytes = 0;
+    }
+
+    *entries() {
+      for (const [key, entry] of this._pinned) {
+        yield [key, entry.value];
+      }
+      for (const [key, entry] of this._entries()) {
+        yield [key, entry.value];
+      }
+    }
+
+    *keys() {
+      for (const [key] of this.entries()) {
+        yield key;
+      }
+    }
+
+    [Symbol.iterator]() {
+      return this.entries();
+    }
+
+    /**
+     * @returns {Object} { policy, entries, pinned, bytes, maxBytes, maxEntries, hits, misses, hitRate, evictions, rejected }
+     */
+    stats() {
+      const lookups = this._stats.hits + this._stats.misses;
+      return {
+        policy: this.policy,
+        entries: this.size,
+        pinned: this._pinned.size,
+        bytes: this._bytes,
+        maxBytes: this._maxBytes,
+        maxEntries: this._maxEntries,
+        hits: this._stats.hits,
+        misses: this._stats.misses,
+        hitRate: lookups === 0 ? 0 : this._stats.hits / lookups,
+        evictions: this._stats.evictions,
+        rejected: this._stats.rejected
+      };
+    }
+
+    /**
+     * Evict one unpinned entry
+     * @private
+     * @returns {boolean} False if nothing is evictable
+     */
+    _evictOne() {
+      const entry = this._evict();
+      if (entry === undefined) {
+        return false;
+      }
+      this._bytes -= entry.size;
+      this._stats.evictions++;
+      return true;
+    }
+  }
+
+  // ============================================
+  // LRU
+  // ============================================
+  class LRUCache extends Cache {
+    constructor(options = {}) {
+      super(options);
+      this._map = new Map();  // Least recently used first
+    }
+
+    get policy() {
+      return Policy.LRU;
+    }
+
+    _count() {
+      return this._map.size;
+    }
+
+    _lookup(key, promote) {
+      const entry = this._map.get(key);
+      if (entry !== undefined && promote) {
+        this._map.delete(key);
+        this._map.set(key, entry);
+      }
+      return entry;
+    }
+
+    _admit() {
+      return null;
+    }
+
+    _place(key, entry) {
+      this._map.set(key, entry);
+    }
+
+    _remove(key) {
+      const entry = this._map.get(key);
+      this._map.delete(key);
+      return entry;
+    }
+
+    _evict() {
+      for (const [key, entry] of this._map) {
+        this._map.delete(key);
+        return entry;
+      }
+      return undefined;
+    }
+
+    _clearEntries() {
+      this._map.clear();
+    }
+
+    _entries() {
+      return this._map.entries();
+    }
+  }
+
+  // ============================================
+  // ARC
+  // Megiddo & Modha. Sizes are weighed in bytes when a byte budget is
+  // set, otherwise every entry weighs 1.
+  // ============================================
+  class ARCCache extends Cache {
+    constructor(options = {}) {
+      super(options);
+      this._capacity = this._maxBytes !== Infinity ? this._maxBytes : this._maxEntries;
+      this._target = 0;          // p: share of the capacity for recency (T1)
+      this._t1 = new Map();      // Seen once recently
+      this._t2 = new Map();      // Seen at least twice
+      this._b1 = new Map();      // Ghosts evicted from T1: key -> weight
+      this._b2 = new Map();      // Ghosts evicted from T2: key -> weight
+      this._weights = { t1: 0, t2: 0, b1: 0, b2: 0 };
+      this._ghostHitB2 = false;
+    }
+
+    get policy() {
+      return Policy.ARC;
+    }
+
+    _weight(size) {
+      return this._maxBytes !== Infinity ? size : 1;
+    }
+
+    _count() {
+      return this._t1.size + this._t2.size;
+    }
+
+    _lookup(key, promote) {
+      let entry = this._t1.get(key);
+      if (entry !== undefined) {
+        if (promote) {
+          this._t1.delete(key);
+          this._weights.t1 -= this._weight(entry.size);
+          this._t2.set(key, entry);
+          this._weights.t2 += this._weight(entry.size);
+        }
+        return entry;
+      }
+      entry = this._t2.get(key);
+      if (entry !== undefined && promote) {
+        this._t2.delete(key);
+        this._t2.set(key, entry);
+      }
+      return entry;
+    }
+
+    /**
+     * Adapt the recency target on a ghost hit and pick the list for an entry
+     * @private
+     */
+    _admit(key, existed) {
+      this._ghostHitB2 = false;
+      if (existed) {
+        return 't2';
+      }
+      const b1 = this._b1.get(key);
+      if (b1 !== undefined) {
+        const delta = Math.max(this._weights.b2 / this._weights.b1, 1) * b1;
+        this._target = Math.min(this._capacity, this._target + delta);
+        this._b1.delete(key);
+        this._weights.b1 -= b1;
+        return 't2';
+      }
+      const b2 = this._b2.get(key);
+      if (b2 !== undefined) {
+        const delta = Math.max(this._weights.b1 / this._weights.b2, 1) * b2;
+        this._target = Math.max(0, this._target - delta);
+        this._b2.delete(key);
+        this._weights.b2 -= b2;
+        this._ghostHitB2 = true;
+        return 't2';
+      }
+      return 't1';
+    }
+
+    _place(key, entry, list) {
+      this['_' + list].set(key, entry);
+      this._weights[list] += this._weight(entry.size);
+      this._trimGhosts();
+    }
+
+    _remove(key) {
+      for (const list of ['t1', 't2']) {
+        const entry = this['_' + list].get(key);
+        if (entry !== undefined) {
+          this['_' + list].delete(key);
+          this._weights[list] -= this._weight(entry.size);
+          return entry;
+        }
+      }
+      return undefined;
+    }
+
+    _evict() {
+      const { t1 } = this._weights;
+      const fromT1 = this._t1.size > 0 &&
+        (t1 > this._target || (this._ghostHitB2 && t1 === this._target) || this._t2.size === 0);
+      const [list, ghosts] = fromT1 ? ['t1', 'b1'] : ['t2', 'b2'];
+      for (const [key, entry] of this['_' + list]) {
+        const weight = this._weight(entry.size);
+        this['_' + list].delete(key);
+        this._weights[list] -= weight;
+        this['_' + ghosts].set(key, weight);
+        this._weights[ghosts] += weight;
+        this._trimGhosts();
+        return entry;
+      }
+      return undefined;
+    }
+
+    /**
+     * Keep T1 + B1 within the capacity and everything within twice it
+     * @private
+     */
+    _trimGhosts() {
+      const dropOldest = (ghosts) => {
+        for (const [key, weight] of this['_' + ghosts]) {
+          this['_' + ghosts].delete(key);
+          this._weights[ghosts] -= weight;
+          return;
+        }
+      };
+      const w = this._weights;
+      while (this._b1.size > 0 && w.t1 + w.b1 > this._capacity) {
+        dropOldest('b1');
+      }
+      while (this._b2.size > 0 && w.t1 + w.t2 + w.b1 + w.b2 > 2 * this._capacity) {
+        dropOldest('b2');
+      }
+    }
+
+    _clearEntries() {
+      for (const list of ['t1', 't2', 'b1', 'b2']) {
+        this['_' + list].clear();
+        this._weights[list] = 0;
+      }
+      this._target = 0;
+    }
+
+    *_entries() {
+      yield* this._t1.entries();
+      yield* this._t2.entries();
+    }
+
+    stats() {
+      return { ...super.stats(), recencyTarget: this._target, ghosts: this._b1.size + this._b2.size };
+    }
+  }
+
+  /**
+   * Build a cache from options
+   * @param {Object} options - { policy: 'lru' (default) or 'arc', maxBytes, maxEntries, sizeOf }
+   * @returns {Cache}
+   */
+  function createCache(options = {}) {
+    const policy = options.policy || Policy.LRU;
+    if (policy === Policy.LRU) {
+      return new LRUCache(options);
+    }
+    if (policy === Policy.ARC) {
+      return new ARCCache(options);
+    }
+    throw new Error('Unknown cache policy: ' + policy);
+  }
+
+  // ============================================
+  // PEER TIER
+  // ============================================
+
+  /**
+   * Ask peers for content (ContentDistribution.fetchContent or compatible)
+   * The caller must check the bytes against the CID before trusting them.
+   * @param {Object} peers - { fetchContent(cid) }
+   * @param {string} cid
+   * @returns {Promise<Uint8Array|null>} Bytes, or null if no peer has them
+   */
+  async function fetchFromPeers(peers, cid) {
+    try {
+      const content = await peers.fetchContent(cid);
+      if (!content) {
+        return null;
+      }
+      return content instanceof Uint8Array ? content : new Uint8Array(content);
+    } catch (e) {
+      return null; // Not found, or no peer answered
+    }
+  }
+
+  // ============================================
+  // EXPORT
+  // ============================================
+  const TieredCache = Object.freeze({
+    VERSION: CACHE_VERSION,
+    Policy: Policy,
+    Cache: Cache,
+    LRUCache: LRUCache,
+    ARCCache: ARCCache,
+    createCache: createCache,
+    sizeOf: sizeOf,
+    fetchFromPeers: fetchFromPeers
+  });
+
+  // Universal module export
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TieredCache;
+  } else if (typeof root !== 'undefined') {
+    root.TieredCache = TieredCache;
+  }
+
+})(typeof globalThis !== 'undefined' ? globalThis : (typeof window !== 'undefined' ? window : global));